@@ -5,10 +5,118 @@ const inquirer = require('inquirer');
 // Register the fuzzy search for autocomplete
 const Fuse = require('fuse.js');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const readline = require('readline');
 const { v4: uuidv4 } = require('uuid');
 const Papa = require('papaparse');
 
+// How many changes the undo history keeps
+const MAX_UNDO_ENTRIES = 50;
+
+// Where autosave keeps a copy of unsaved work, offered for restore after a crash
+const RECOVERY_FILE = path.join(os.homedir(), '.orgchart-recovery.json');
+
+// Named CSV column mappings saved from the import wizard
+const CSV_MAPPINGS_FILE = path.join(os.homedir(), '.orgchart-csv-mappings.json');
+
+// Saved JSON files are wrapped in a versioned envelope. Bump the version
+// whenever the saved structure changes, and add a migration step for it.
+const JSON_FORMAT = 'terminal-org-chart';
+const JSON_FORMAT_VERSION = 3;
+
+// Each step upgrades saved data from version N to version N + 1
+const JSON_MIGRATIONS = {
+  // Version 1 files are a bare root employee with no envelope
+  1: (root) => ({
+    format: JSON_FORMAT,
+    version: 2,
+    title: '',
+    created: null,
+    modified: null,
+    customFields: [],
+    root
+  }),
+  // Version 2 files hold a single `root`; version 3 allows several top-level trees
+  2: ({ root, ...rest }) => ({
+    ...rest,
+    version: 3,
+    roots: root ? [root] : []
+  })
+};
+
+// Open positions are nodes of type 'vacancy'. They carry this name until filled,
+// and one of these hiring statuses.
+const VACANCY_NAME = 'Open position';
+const VACANCY_STATUSES = ['approved', 'open', 'interviewing', 'offer extended', 'on hold'];
+
+// Employee fields that diagram exports can show in each node's label; custom
+// field keys may be used as well
+const LABEL_FIELDS = ['name', 'title', 'dept', 'division', 'lob', 'email'];
+
+// Employee fields diagram exports can group nodes by, and tree views can
+// colour-code them by
+const CLUSTER_FIELDS = ['division', 'dept', 'lob'];
+const CLUSTER_FIELD_NAMES = { division: 'Division', dept: 'Department', lob: 'LOB' };
+
+// Colours given to each division, department or LOB in colour-coded tree
+// views, in turn; they repeat when there are more groups than colours
+const GROUP_COLORS = [
+  chalk.cyan, chalk.magenta, chalk.yellow, chalk.green, chalk.blue, chalk.red,
+  chalk.cyanBright, chalk.magentaBright, chalk.yellowBright, chalk.greenBright, chalk.blueBright, chalk.redBright
+];
+
+// Types a custom employee field can have (see OrgChart.addCustomField)
+const CUSTOM_FIELD_TYPES = ['text', 'date', 'number', 'enum'];
+
+// Columns written by CSV export, in the order importFromCSV reads them
+const CSV_COLUMNS = ['name', 'title', 'manager', 'lob', 'division', 'dept', 'email', 'id'];
+
+// Fields the CSV importer understands, with header names commonly used for
+// each one in HR exports. Headers are compared ignoring case and punctuation.
+const CSV_IMPORT_FIELDS = {
+  name: { label: 'Name', required: true, aliases: ['name', 'employee name', 'full name', 'employee', 'worker', 'worker name'] },
+  title: { label: 'Title', required: true, aliases: ['title', 'job title', 'position', 'position title', 'role', 'job'] },
+  manager: { label: 'Manager', aliases: ['manager', 'manager name', 'supervisor', 'supervisor name', 'reports to', 'line manager'] },
+  manager_id: { label: 'Manager ID', aliases: ['manager id', 'supervisor id', 'manager employee id', 'manager number', 'manager no', 'supervisor no', 'supervisor number', 'reports to id'] },
+  manager_email: { label: 'Manager email', aliases: ['manager email', 'supervisor email', 'manager e mail', 'reports to email'] },
+  lob: { label: 'Line of business', aliases: ['lob', 'line of business', 'business line', 'business unit'] },
+  division: { label: 'Division', aliases: ['division', 'division name'] },
+  dept: { label: 'Department', aliases: ['dept', 'department', 'department name', 'team'] },
+  email: { label: 'Email', aliases: ['email', 'e mail', 'email address', 'work email', 'mail'] },
+  type: { label: 'Type (employee or vacancy)', aliases: ['type', 'record type', 'position type'] },
+  status: { label: 'Vacancy status', aliases: ['status', 'vacancy status', 'requisition status', 'hiring status'] },
+  dotted_line_managers: { label: 'Dotted-line managers', aliases: ['dotted line managers', 'dotted line manager', 'dotted line', 'matrix manager', 'matrix managers', 'functional manager', 'secondary manager'] },
+  id: { label: 'ID', aliases: ['id', 'employee id', 'employee number', 'employee no', 'emp id', 'emp no', 'worker id'] }
+};
+
+// Delimiters tried when detecting how a CSV file is separated
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+const CSV_DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+
+// Separates the managers listed in a dotted_line_managers cell
+const CSV_LIST_SEPARATOR = ';';
+
+// Optional columns CSV export can add after the standard ones. The importer
+// reads manager_id (which agrees with the manager column) and ignores the rest,
+// so an exported file still imports cleanly.
+const CSV_EXTRA_COLUMNS = {
+  manager_id: (employee) => (employee.manager ? employee.manager.id : ''),
+  level: (employee) => employee.level,
+  direct_reports: (employee) => employee.reports.length
+};
+
+// Error thrown when loaded chart data fails validation. `problems` lists each
+// one as { path, message, fix }, where `fix` describes the repair, or is null
+// if the problem cannot be repaired.
+class ChartValidationError extends Error {
+  constructor(problems) {
+    super(`${problems.length} problem(s) found in org chart data`);
+    this.name = 'ChartValidationError';
+    this.problems = problems;
+  }
+}
+
 // Define the Employee class to represent each node in the org chart
 class Employee {
   constructor(
@@ -30,1862 +138,7373 @@ class Employee {
     this.dept = dept;        // new
     this.email = email;      // new
     this.reports = [];
+    this.manager = null;     // Back-reference to the employee this one reports to
+    this.type = 'employee';  // or 'vacancy' for an approved, unfilled position
+    this.status = '';        // Hiring status, for vacancies (see VACANCY_STATUSES)
+    this.dottedLineManagers = []; // IDs of secondary (matrix) managers
+    this.fields = {};        // Custom field values, keyed by field key (see OrgChart.customFields)
+  }
+
+  // Create an open position with the given title, target department and status
+  static vacancy(title, dept = '', status = 'open', id = null) {
+    const vacancy = new Employee(VACANCY_NAME, title, 0, '', '', dept, '', id);
+    vacancy.type = 'vacancy';
+    vacancy.status = status;
+    return vacancy;
+  }
+
+  // Whether this node is an open position rather than a person
+  get isVacancy() {
+    return this.type === 'vacancy';
   }
 
   // Add a direct report to this employee
   addReport(employee) {
-    employee.level = this.level + 1;
+    employee.manager = this;
+    employee._setLevel(this.level + 1);
     this.reports.push(employee);
     return this;
   }
+
+  // Detach a direct report from this employee
+  removeReport(employee) {
+    const idx = this.reports.indexOf(employee);
+    if (idx !== -1) {
+      this.reports.splice(idx, 1);
+      employee.manager = null;
+    }
+    return this;
+  }
+
+  // Set this employee's level and shift their whole subtree to match
+  _setLevel(level) {
+    const stack = [[this, level]];
+    while (stack.length > 0) {
+      const [node, nodeLevel] = stack.pop();
+      node.level = nodeLevel;
+      node.reports.forEach((report) => stack.push([report, nodeLevel + 1]));
+    }
+  }
+
+  // Serialize without the manager back-reference, which would be circular.
+  // Vacancy fields are only written for vacancies, and dotted-line managers
+  // and custom field values only when there are some.
+  toJSON() {
+    const data = { ...this };
+    delete data.manager;
+    if (!this.isVacancy) {
+      delete data.type;
+      delete data.status;
+    }
+    if (this.dottedLineManagers.length === 0) {
+      delete data.dottedLineManagers;
+    }
+    if (Object.keys(this.fields).length === 0) {
+      delete data.fields;
+    }
+    return data;
+  }
 }
 
 // Class to handle the org chart operations
 class OrgChart {
   constructor() {
     this.root = null;
-    this.employees = {};
+    this.employees = {}; // Keyed by employee ID
+
+    // Secondary indexes, kept in step with `employees` on every mutation
+    this._byName = new Map();  // name -> Set of employees
+    this._byEmail = new Map(); // lowercased email -> Set of employees
+    this._byDept = new Map();  // dept -> Set of employees
+
+    // Undo/redo history: each entry is { description, changes, revision }
+    // where `changes` holds the state of only what the change touched (see
+    // _touch), from before the change (or after it, for redo)
+    this._undoStack = [];
+    this._redoStack = [];
+    this._journal = null; // The changes being recorded by _recordChange
+
+    // Changes every time the chart changes, and goes back to an earlier value
+    // on undo, so callers can tell whether the chart matches what they saved
+    this.revision = 0;
+    this._nextRevision = 1;
+
+    // Chart metadata saved in the JSON envelope
+    this.title = '';
+    this.created = null;  // ISO timestamps, set when first saved
+    this.modified = null;
+    this.customFields = []; // Definitions of extra per-employee fields
+  }
+
+  // Set the chart's display title
+  setTitle(title) {
+    this._recordChange(`Renamed chart to "${title}"`, () => {
+      this.title = title;
+    });
   }
 
   // Set the CEO/root of the organization
   setRoot(employee) {
-    this.root = employee;
-    this.employees[employee.name] = employee;
+    this._recordChange(`Set ${employee.name} as the root`, () => {
+      this.root = employee;
+      this._registerEmployee(employee);
+    });
   }
 
-  // Add an employee to the org chart
-  addEmployee(name, title, managerName, lob, division, dept, email, id = null) {
-    const employee = new Employee(name, title, 0, lob, division, dept, email, id);
-    this.employees[name] = employee;
+  // Add an employee to the org chart. `fields` gives custom field values,
+  // keyed by field key; throws if one is not valid.
+  addEmployee(name, title, managerId, lob, division, dept, email, id = null, fields = {}) {
+    const manager = managerId ? this.employees[managerId] : null;
+    const description = manager ? `Added ${name} under ${manager.name}` : `Added ${name}`;
+
+    return this._recordChange(description, () => {
+      const employee = new Employee(name, title, 0, lob, division, dept, email, id);
+      this._setCustomFieldValues(employee, fields);
+      this._registerEmployee(employee);
+
+      if (manager) {
+        this._attach(manager, employee);
+      }
+
+      return employee;
+    });
+  }
+
+  // Add an approved, unfilled position under its hiring manager
+  addVacancy(title, managerId, dept = '', status = 'open', id = null) {
+    const manager = managerId ? this.employees[managerId] : null;
+    const description = manager
+      ? `Added vacancy "${title}" under ${manager.name}`
+      : `Added vacancy "${title}"`;
+
+    return this._recordChange(description, () => {
+      const vacancy = Employee.vacancy(title, dept, status, id);
+      if (manager) {
+        // Vacancies sit in their hiring manager's LOB and division
+        vacancy.lob = manager.lob;
+        vacancy.division = manager.division;
+      }
+      this._registerEmployee(vacancy);
+
+      if (manager) {
+        this._attach(manager, vacancy);
+      }
 
-    if (managerName && this.employees[managerName]) {
-      this.employees[managerName].addReport(employee);
+      return vacancy;
+    });
+  }
+
+  // Turn a vacancy into an employee, keeping its ID, manager and reports.
+  // `details` gives the new hire's name and optionally title, email and the
+  // other employee fields. Throws if `id` is not a vacancy.
+  fillVacancy(id, details) {
+    const vacancy = this.employees[id];
+    if (!vacancy || !vacancy.isVacancy) {
+      throw new Error(`"${id}" is not a vacancy`);
+    }
+    if (!details.name || details.name.trim() === '') {
+      throw new Error('A name is needed to fill a vacancy');
     }
 
-    return employee;
+    return this._recordChange(`Filled vacancy "${vacancy.title}" with ${details.name}`, () => {
+      this._unindexEmployee(vacancy);
+
+      vacancy.type = 'employee';
+      vacancy.status = '';
+      vacancy.name = details.name;
+      ['title', 'lob', 'division', 'dept', 'email'].forEach((field) => {
+        if (details[field]) {
+          vacancy[field] = details[field];
+        }
+      });
+
+      this._indexEmployee(vacancy);
+      return vacancy;
+    });
+  }
+
+  // Get every open position, in no particular order
+  getVacancies() {
+    return Object.values(this.employees).filter((e) => e.isVacancy);
   }
 
-  // Remove an employee and reassign their reports
-  removeEmployee(name, newManagerName) {
-    if (!this.employees[name]) return false;
+  // Add a custom field to the chart's schema and return its definition.
+  // `definition` is { label, type, options, key }: see normalizeCustomField.
+  addCustomField(definition) {
+    const field = OrgChart.normalizeCustomField(definition);
+    if (this.getCustomField(field.key)) {
+      throw new Error(`There is already a custom field "${field.key}"`);
+    }
 
-    const employee = this.employees[name];
-    const manager = this._findManager(name);
+    return this._recordChange(`Added custom field "${field.label}"`, () => {
+      this.customFields.push(field);
+      return field;
+    });
+  }
 
-    // If there's a new manager, reassign reports
-    if (newManagerName && this.employees[newManagerName]) {
-      employee.reports.forEach((report) => {
-        this.employees[newManagerName].addReport(report);
+  // Remove a custom field and every employee's value for it; returns false
+  // if there is no such field
+  removeCustomField(key) {
+    const field = this.getCustomField(key);
+    if (!field) return false;
+
+    return this._recordChange(`Removed custom field "${field.label}"`, () => {
+      this.customFields = this.customFields.filter((f) => f !== field);
+      Object.values(this.employees).forEach((e) => {
+        if (key in e.fields) {
+          this._touch(e);
+          delete e.fields[key];
+        }
       });
+      return true;
+    });
+  }
+
+  // Get a custom field definition by key, or null
+  getCustomField(key) {
+    return this.customFields.find((f) => f.key === key) || null;
+  }
+
+  // Check a custom field definition and return a clean copy of it. The key
+  // defaults to the label in snake_case. Throws if the label is missing, the
+  // key clashes with a built-in field, the type is not one of
+  // CUSTOM_FIELD_TYPES or an enum has no options.
+  static normalizeCustomField(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('A custom field must be an object');
     }
 
-    // Remove employee from manager's reports
-    if (manager) {
-      manager.reports = manager.reports.filter((e) => e.name !== name);
+    const label = typeof definition.label === 'string' ? definition.label.trim() : '';
+    if (!label) {
+      throw new Error('A custom field needs a label');
     }
 
-    // Remove employee from employees dictionary
-    delete this.employees[name];
-    return true;
+    const key = definition.key || label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (typeof key !== 'string' || !/^[a-z][a-z0-9_]*$/.test(key)) {
+      throw new Error(`Custom field key "${key}" must start with a letter and use only a-z, 0-9 and _`);
+    }
+    const builtIn = [...Object.keys(CSV_IMPORT_FIELDS), ...Object.keys(CSV_EXTRA_COLUMNS), 'dotted_line_managers'];
+    if (builtIn.includes(key)) {
+      throw new Error(`"${key}" is a built-in field`);
+    }
+
+    if (!CUSTOM_FIELD_TYPES.includes(definition.type)) {
+      throw new Error(`Custom field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`);
+    }
+
+    const field = { key, label, type: definition.type };
+    if (definition.type === 'enum') {
+      const options = Array.isArray(definition.options)
+        ? [...new Set(definition.options.map((option) => String(option).trim()).filter(Boolean))]
+        : [];
+      if (options.length === 0) {
+        throw new Error(`Choice field "${label}" needs at least one option`);
+      }
+      field.options = options;
+    }
+    return field;
   }
 
-  // Find who manages a given employee
-  _findManager(employeeName) {
-    for (const name in this.employees) {
-      const employee = this.employees[name];
-      if (employee.reports.some((e) => e.name === employeeName)) {
-        return employee;
+  // Check a value for a custom field and convert it to the form it is stored
+  // in: text as given, enum options matched ignoring case, dates as
+  // YYYY-MM-DD and numbers as numbers. Blank input gives null. Throws with a
+  // message saying what is wrong.
+  static parseCustomFieldValue(field, input) {
+    const text = input == null ? '' : String(input).trim();
+    if (text === '') return null;
+
+    switch (field.type) {
+      case 'date': {
+        const match = /^(\d{4})-(\d{2})-(\d{2})(T.*)?$/.exec(text);
+        const date = match ? new Date(Date.UTC(match[1], match[2] - 1, match[3])) : null;
+        if (!date || date.getUTCMonth() !== match[2] - 1 || date.getUTCDate() !== Number(match[3])) {
+          throw new Error(`"${text}" is not a date as YYYY-MM-DD`);
+        }
+        return `${match[1]}-${match[2]}-${match[3]}`;
+      }
+      case 'number': {
+        const number = Number(text.replace(/,/g, ''));
+        if (!Number.isFinite(number)) {
+          throw new Error(`"${text}" is not a number`);
+        }
+        return number;
+      }
+      case 'enum': {
+        const option = field.options.find((o) => o.toLowerCase() === text.toLowerCase());
+        if (!option) {
+          throw new Error(`"${text}" is not one of: ${field.options.join(', ')}`);
+        }
+        return option;
       }
+      default:
+        return text;
     }
-    return null;
   }
 
-  // Edit an employee’s details
-  editEmployee(oldName, newData) {
-    // Check if the employee exists
-    if (!this.employees[oldName]) return false;
+  // Set custom field values on an employee; a blank value clears the field.
+  // Throws if a key is not in the schema or a value is not valid.
+  _setCustomFieldValues(employee, values) {
+    this._touch(employee);
+    Object.entries(values).forEach(([key, input]) => {
+      const field = this.getCustomField(key);
+      if (!field) {
+        throw new Error(`Unknown custom field "${key}"`);
+      }
 
-    // If name is being changed, we need to re-key in `this.employees`
-    const employee = this.employees[oldName];
+      let value;
+      try {
+        value = OrgChart.parseCustomFieldValue(field, input);
+      } catch (err) {
+        throw new Error(`${field.label}: ${err.message}`);
+      }
 
-    // If the name changed, we also need to update the "employees" dictionary key
-    if (newData.name && newData.name.trim() !== '' && newData.name !== oldName) {
-      // Prevent overwriting if there's already someone with the new name
-      if (this.employees[newData.name]) {
-        throw new Error(`An employee named "${newData.name}" already exists!`);
+      if (value === null) {
+        delete employee.fields[key];
+      } else {
+        employee.fields[key] = value;
       }
+    });
+  }
 
-      // Remove the old key and set the new key
-      delete this.employees[oldName];
-      this.employees[newData.name] = employee;
+  // Record that an employee also reports to a dotted-line (matrix) manager.
+  // Throws if either is missing, they are the same person, or the manager is
+  // already the employee's solid-line or dotted-line manager.
+  addDottedLine(employeeId, managerId) {
+    const employee = this.employees[employeeId];
+    const manager = this.employees[managerId];
 
-      // If someone else was managing this employee, update the reference in manager.reports
-      const manager = this._findManager(oldName);
-      if (manager) {
-        const idx = manager.reports.findIndex((r) => r.name === oldName);
-        if (idx !== -1) {
-          manager.reports[idx].name = newData.name;
-        }
-      }
+    if (!employee) {
+      throw new Error(`Employee "${employeeId}" not found`);
+    }
+    if (!manager) {
+      throw new Error(`Manager "${managerId}" not found`);
     }
+    if (employee === manager) {
+      throw new Error(`${employee.name} cannot have a dotted line to themselves`);
+    }
+    if (employee.manager === manager) {
+      throw new Error(`${manager.name} is already ${employee.name}'s manager`);
+    }
+    if (employee.dottedLineManagers.includes(manager.id)) {
+      throw new Error(`${employee.name} already has a dotted line to ${manager.name}`);
+    }
+
+    return this._recordChange(`Added dotted line from ${employee.name} to ${manager.name}`, () => {
+      this._touch(employee);
+      employee.dottedLineManagers.push(manager.id);
+      return employee;
+    });
+  }
 
-    // Update fields
-    employee.name = newData.name ?? employee.name;
-    employee.title = newData.title ?? employee.title;
-    employee.lob = newData.lob ?? employee.lob;
-    employee.division = newData.division ?? employee.division;
-    employee.dept = newData.dept ?? employee.dept;
-    employee.email = newData.email ?? employee.email;
+  // Remove a dotted-line relationship; returns false if there was none
+  removeDottedLine(employeeId, managerId) {
+    const employee = this.employees[employeeId];
+    if (!employee || !employee.dottedLineManagers.includes(managerId)) return false;
 
-    return true;
+    const manager = this.employees[managerId];
+    return this._recordChange(`Removed dotted line from ${employee.name} to ${manager.name}`, () => {
+      this._touch(employee);
+      employee.dottedLineManagers = employee.dottedLineManagers.filter((id) => id !== managerId);
+      return true;
+    });
   }
 
-  // Search for employees by ID, name, title, LOB, division, dept, or email
-  search(query) {
-    query = query.toLowerCase();
-    const results = [];
+  // Get an employee's dotted-line managers
+  getDottedLineManagers(employeeId) {
+    const employee = this.employees[employeeId];
+    return employee ? employee.dottedLineManagers.map((id) => this.employees[id]) : [];
+  }
 
-    for (const name in this.employees) {
-      const e = this.employees[name];
-      // Add more match criteria as needed
-      if (
-        e.id.toLowerCase().includes(query) ||
-        e.name.toLowerCase().includes(query) ||
-        e.title.toLowerCase().includes(query) ||
-        (e.lob && e.lob.toLowerCase().includes(query)) ||
-        (e.division && e.division.toLowerCase().includes(query)) ||
-        (e.dept && e.dept.toLowerCase().includes(query)) ||
-        (e.email && e.email.toLowerCase().includes(query))
-      ) {
-        results.push(e);
+  // Get everyone with a dotted line to the given manager
+  getDottedLineReports(managerId) {
+    return Object.values(this.employees).filter((e) => e.dottedLineManagers.includes(managerId));
+  }
+
+  // Remove an employee and reassign their reports. Throws if the new manager
+  // is the employee or someone under them, whose reports would be lost.
+  removeEmployee(id, newManagerId) {
+    if (!this.employees[id]) return false;
+
+    const employee = this.employees[id];
+    const manager = employee.manager;
+    const newManager = newManagerId ? this.employees[newManagerId] : null;
+    if (newManager && (newManager === employee || this.isInSubtree(newManager.id, employee.id))) {
+      throw new Error(
+        `Cannot reassign ${employee.name}'s reports to ${newManager.name}: ${newManager.name} reports to them`
+      );
+    }
+
+    // e.g. "Removed Jane Doe; 4 reports reassigned to Bob"
+    let description = `Removed ${employee.name}`;
+    if (employee.reports.length > 0) {
+      description += newManager
+        ? `; ${employee.reports.length} reports reassigned to ${newManager.name}`
+        : `; ${employee.reports.length} reports detached`;
+    }
+
+    return this._recordChange(description, () => {
+      // If there's a new manager, reassign reports; otherwise they are detached
+      const reports = [...employee.reports];
+      reports.forEach((report) => {
+        this._detach(report);
+        if (newManager) {
+          this._attach(newManager, report);
+        } else {
+          // Detached reports head their own tree now
+          report._setLevel(0);
+        }
+      });
+
+      // Remove employee from manager's reports
+      if (manager) {
+        this._detach(employee);
+      }
+
+      // Remove employee from employees dictionary
+      this._unregisterEmployee(employee);
+
+      // Dotted lines to the employee go with them
+      this.getDottedLineReports(employee.id).forEach((e) => {
+        this._touch(e);
+        e.dottedLineManagers = e.dottedLineManagers.filter((managerId) => managerId !== employee.id);
+      });
+
+      // Without its root, the next top-level employee becomes the chart's root
+      if (this.root === employee) {
+        this.root = null;
+        this.root = this.getRoots()[0] || null;
       }
+      return true;
+    });
+  }
+
+  // Move an employee, along with everyone under them, to report to a new manager.
+  // Throws if either employee is missing or the move would create a cycle.
+  moveEmployee(id, newManagerId) {
+    const employee = this.employees[id];
+    const newManager = this.employees[newManagerId];
+
+    if (!employee) {
+      throw new Error(`Employee "${id}" not found`);
     }
+    if (!newManager) {
+      throw new Error(`Manager "${newManagerId}" not found`);
+    }
+    this._checkNewManager(employee, newManager);
 
-    return results;
+    if (employee.manager === newManager) {
+      return employee;
+    }
+
+    const teamSize = this.getSubtree(employee.id).length;
+    let description = `Moved ${employee.name}`;
+    if (teamSize > 0) description += ` and ${teamSize} reports`;
+    if (employee.manager) description += ` from ${employee.manager.name}`;
+    description += ` to ${newManager.name}`;
+
+    return this._recordChange(description, () => {
+      this._detach(employee);
+
+      // addReport recomputes `level` for the whole moved subtree
+      this._attach(newManager, employee);
+
+      // A dotted line to the new manager is now the solid line
+      employee.dottedLineManagers = employee.dottedLineManagers.filter((managerId) => managerId !== newManager.id);
+
+      // Moving the root under someone hands the root role to their top-level tree
+      if (this.root === employee) {
+        this.root = this.getRoots().find((top) => top !== employee) || null;
+      }
+      return employee;
+    });
   }
 
-  // Get an employee's full path from root (for org hierarchy)
-  getPath(employeeName) {
-    const path = [];
-    let current = this.employees[employeeName];
+  // Check whether an employee sits anywhere below the given manager
+  isInSubtree(employeeId, managerId) {
+    const employee = this.employees[employeeId];
+    let current = employee ? employee.manager : null;
 
-    if (!current) return path;
+    while (current) {
+      if (current.id === managerId) return true;
+      current = current.manager;
+    }
 
-    // Add the employee
-    path.unshift(current);
+    return false;
+  }
 
-    // Add all managers up to the root
-    let manager = this._findManager(current.name);
-    while (manager) {
-      path.unshift(manager);
-      manager = this._findManager(manager.name);
+  // Get everyone under an employee (not including the employee), in tree order
+  getSubtree(employeeId) {
+    const employee = this.employees[employeeId];
+    if (!employee) return [];
+
+    const result = [];
+    const stack = [...employee.reports].reverse();
+    while (stack.length > 0) {
+      const node = stack.pop();
+      result.push(node);
+      for (let i = node.reports.length - 1; i >= 0; i--) {
+        stack.push(node.reports[i]);
+      }
     }
 
-    return path;
+    return result;
   }
 
-  // Print the org chart in the terminal
-  print() {
-    if (!this.root) {
-      console.log(chalk.red('Organization chart is empty. Add a CEO first.'));
-      return;
+  // Find who manages a given employee
+  _findManager(employeeId) {
+    const employee = this.employees[employeeId];
+    return employee ? employee.manager : null;
+  }
+
+  // Throw if making an employee report to a manager would create a cycle:
+  // the manager is the employee themselves or someone under them
+  _checkNewManager(employee, manager) {
+    if (employee === manager) {
+      throw new Error(`${employee.name} cannot report to themselves`);
     }
+    if (this.isInSubtree(manager.id, employee.id)) {
+      throw new Error(
+        `Cannot move ${employee.name} under ${manager.name}: ${manager.name} reports to them`
+      );
+    }
+  }
 
-    console.log(chalk.bold('Organization Chart'));
-    console.log(chalk.dim('─'.repeat(50)));
+  // Make an employee report to a manager, recording both for undo. Every
+  // re-parenting goes through here, so none of them can create a cycle.
+  _attach(manager, employee) {
+    this._checkNewManager(employee, manager);
+    this._touch(manager);
+    this._touch(employee);
+    manager.addReport(employee);
+  }
 
-    this._printNode(this.root, '', true);
+  // Take an employee out of their manager's reports, recording both for undo
+  _detach(employee) {
+    if (!employee.manager) return;
+    this._touch(employee.manager);
+    this._touch(employee);
+    employee.manager.removeReport(employee);
   }
 
-  // Helper method to print a node and its subtree
-  _printNode(node, prefix, isTail) {
-    // Print current node
-    const connector = isTail ? '└── ' : '├── ';
-    
-    // Standard text mode
-    console.log(
-      `${prefix}${connector}${chalk.green(node.name)} ${chalk.blue(`(${node.title})`)}`
-    );
+  // Add an employee to the ID dictionary and the secondary indexes
+  _registerEmployee(employee) {
+    this._touch(employee);
+    this.employees[employee.id] = employee;
+    this._indexEmployee(employee);
+  }
 
-    // Prepare prefix for children
-    const childPrefix = prefix + (isTail ? '    ' : '│   ');
+  // Remove an employee from the ID dictionary and the secondary indexes
+  _unregisterEmployee(employee) {
+    this._touch(employee);
+    this._unindexEmployee(employee);
+    delete this.employees[employee.id];
+  }
 
-    // Print children
-    const lastIdx = node.reports.length - 1;
-    node.reports.forEach((report, idx) => {
-      this._printNode(report, childPrefix, idx === lastIdx);
-    });
+  // Add an employee to the name, email and dept indexes
+  _indexEmployee(employee) {
+    const add = (index, key) => {
+      if (!key) return;
+      if (!index.has(key)) index.set(key, new Set());
+      index.get(key).add(employee);
+    };
+
+    add(this._byName, employee.name);
+    add(this._byEmail, employee.email && employee.email.toLowerCase());
+    add(this._byDept, employee.dept);
   }
 
-  // Export the org chart to a JSON file
-  exportToJSON(filename) {
-    // Instead of directly stringifying this.root,
-    // we can create a custom serialization that includes extra fields.
-    const data = JSON.stringify(this.root, null, 2);
-    fs.writeFileSync(filename, data);
-    console.log(chalk.green(`Org chart exported to ${filename}`));
+  // Remove an employee from the name, email and dept indexes. Callers change
+  // the indexed fields next, so the employee is recorded for undo first.
+  _unindexEmployee(employee) {
+    this._touch(employee);
+    const remove = (index, key) => {
+      if (!key || !index.has(key)) return;
+      const set = index.get(key);
+      set.delete(employee);
+      if (set.size === 0) index.delete(key);
+    };
+
+    remove(this._byName, employee.name);
+    remove(this._byEmail, employee.email && employee.email.toLowerCase());
+    remove(this._byDept, employee.dept);
   }
 
-  // Import an org chart from a JSON file
-  importFromJSON(filename) {
-    try {
-      const data = fs.readFileSync(filename, 'utf8');
-      const obj = JSON.parse(data);
+  // Rebuild the secondary indexes from scratch after `employees` is replaced wholesale
+  _rebuildIndexes() {
+    this._byName.clear();
+    this._byEmail.clear();
+    this._byDept.clear();
+    Object.values(this.employees).forEach((e) => this._indexEmployee(e));
+  }
 
-      // Recreate the org chart from the JSON data
-      this.employees = {};
-      this._recreateFromJSON(obj);
+  // Find every employee with exactly this name (names need not be unique)
+  findByName(name) {
+    return [...(this._byName.get(name) || [])];
+  }
 
-      console.log(chalk.green(`Org chart imported from ${filename}`));
-      return true;
-    } catch (err) {
-      console.error(chalk.red(`Error importing org chart: ${err.message}`));
-      return false;
-    }
+  // Find every employee with this email address (case-insensitive)
+  findByEmail(email) {
+    return [...(this._byEmail.get(String(email).toLowerCase()) || [])];
   }
 
-  // Helper method to recreate the org chart from JSON
-  _recreateFromJSON(obj, manager = null) {
-    // Note: We also restore lob, division, dept, email if present
-    const employee = new Employee(
-      obj.name,
-      obj.title,
-      obj.level,
-      obj.lob || '',
-      obj.division || '',
-      obj.dept || '',
-      obj.email || '',
-      obj.id || null
-    );
-    this.employees[obj.name] = employee;
+  // Find every employee in a department
+  findByDept(dept) {
+    return [...(this._byDept.get(dept) || [])];
+  }
 
-    if (!manager) {
-      this.root = employee;
-    } else {
-      manager.addReport(employee);
+  // Find an employee by ID, or by name when exactly one employee has it.
+  // Returns null if nobody matches; throws if the name is shared.
+  findEmployee(idOrName) {
+    if (this.employees[idOrName]) {
+      return this.employees[idOrName];
     }
 
-    if (obj.reports && obj.reports.length > 0) {
-      obj.reports.forEach((report) => {
-        this._recreateFromJSON(report, employee);
-      });
+    const matches = this.findByName(idOrName);
+    if (matches.length > 1) {
+      throw new Error(
+        `${matches.length} employees are named "${idOrName}"; use an ID instead`
+      );
     }
 
-    return employee;
+    return matches[0] || null;
+  }
+
+  // Edit an employee’s details
+  editEmployee(id, newData) {
+    // Check if the employee exists
+    const employee = this.employees[id];
+    if (!employee) return false;
+
+    return this._recordChange(`Edited ${employee.name}`, () => {
+      // Name, email and dept are indexed, so re-index around the update
+      this._unindexEmployee(employee);
+
+      // Update fields; a blank name keeps the current one
+      if (newData.name && newData.name.trim() !== '') {
+        employee.name = newData.name;
+      }
+      employee.title = newData.title ?? employee.title;
+      employee.lob = newData.lob ?? employee.lob;
+      employee.division = newData.division ?? employee.division;
+      employee.dept = newData.dept ?? employee.dept;
+      employee.email = newData.email ?? employee.email;
+      if (employee.isVacancy) {
+        employee.status = newData.status ?? employee.status;
+      }
+      this._setCustomFieldValues(employee, newData.fields || {});
+
+      this._indexEmployee(employee);
+      return true;
+    });
   }
 
-  // Import employees from a CSV file
-  importFromCSV(filename, mergeMode = false) {
+  // Run a mutation and push it onto the undo stack. `description` may be a
+  // function of the mutation's result. The mutation must _touch each employee
+  // before changing them, so the entry holds only what the change affects. If
+  // the mutation throws, the chart is restored to how it was before. Nested
+  // changes are folded into the outer one.
+  _recordChange(description, mutate) {
+    if (this._journal) {
+      return mutate();
+    }
+
+    const changes = { chart: this._chartState(), employees: new Map() };
+    let result;
+
+    this._journal = changes;
     try {
-      const csvData = fs.readFileSync(filename, 'utf8');
-      
-      // Parse CSV data
-      const results = Papa.parse(csvData, {
-        header: true,
-        skipEmptyLines: true
+      result = mutate();
+    } catch (err) {
+      this._journal = null;
+      this._restoreChanges(changes);
+      throw err;
+    } finally {
+      this._journal = null;
+    }
+
+    this._undoStack.push({
+      description: typeof description === 'function' ? description(result) : description,
+      changes,
+      revision: this.revision
+    });
+    if (this._undoStack.length > MAX_UNDO_ENTRIES) {
+      this._undoStack.shift();
+    }
+    this._redoStack = [];
+    this.revision = this._nextRevision++;
+
+    return result;
+  }
+
+  // Record an employee's state in the change being recorded, the first time
+  // the change touches them, so that undo can put it back
+  _touch(employee) {
+    if (this._journal && !this._journal.employees.has(employee)) {
+      this._journal.employees.set(employee, this._employeeState(employee));
+    }
+  }
+
+  // Copy what a change can alter on an employee. `level` is left out, since
+  // it follows from the reporting lines once they are restored.
+  _employeeState(employee) {
+    const state = { ...employee };
+    delete state.level;
+    state.reports = [...employee.reports];
+    state.dottedLineManagers = [...employee.dottedLineManagers];
+    state.fields = { ...employee.fields };
+    state.registered = this.employees[employee.id] === employee;
+    return state;
+  }
+
+  // Copy the chart-wide settings a change can alter
+  _chartState() {
+    return { root: this.root, title: this.title, customFields: [...this.customFields] };
+  }
+
+  // Put back the states recorded by _recordChange, and return the states they
+  // replace, which restore the chart to how it is now
+  _restoreChanges(changes) {
+    const current = { chart: this._chartState(), employees: new Map() };
+    changes.employees.forEach((state, employee) => {
+      current.employees.set(employee, this._employeeState(employee));
+    });
+
+    // Unregister everyone first, as a restored employee may take back an ID
+    // that another one holds now
+    changes.employees.forEach((state, employee) => {
+      if (this.employees[employee.id] === employee) {
+        this._unregisterEmployee(employee);
+      }
+    });
+    changes.employees.forEach(({ registered, ...state }, employee) => {
+      Object.assign(employee, state, {
+        reports: [...state.reports],
+        dottedLineManagers: [...state.dottedLineManagers],
+        fields: { ...state.fields }
       });
-      
-      if (results.errors.length > 0) {
-        console.error(chalk.red(`Error parsing CSV: ${results.errors[0].message}`));
-        return false;
+      if (registered) {
+        this._registerEmployee(employee);
       }
-      
-      if (results.data.length === 0) {
-        console.error(chalk.red('CSV file is empty or has no valid data'));
-        return false;
+    });
+
+    // Work out levels again, shifting a subtree only when it is out of step
+    changes.employees.forEach((state, employee) => {
+      let level = 0;
+      for (let manager = employee.manager; manager; manager = manager.manager) {
+        level++;
       }
-      
-      // Store current employees if in merge mode
-      const existingEmployees = mergeMode ? {...this.employees} : {};
-      const existingRoot = mergeMode ? this.root : null;
-      
-      // If not in merge mode, reset the org chart
-      if (!mergeMode) {
-        this.employees = {};
+      if (employee.level !== level || employee.reports.some((report) => report.level !== level + 1)) {
+        employee._setLevel(level);
       }
-      
-      // Create a map to hold new employees before setting up relationships
-      const newEmployeeMap = {};
-      let newEmployeesCount = 0;
-      let updatedEmployeesCount = 0;
-      
-      // First pass: create or update employees
-      results.data.forEach(row => {
-        // Skip rows that don't have the minimum required fields
-        if (!row.name || !row.title) {
-          console.warn(chalk.yellow(`Skipping row with missing name or title`));
-          return;
-        }
-        
-        // Check if this employee already exists in merge mode
-        const existingEmployee = mergeMode ? this.employees[row.name] : null;
-        
-        if (existingEmployee && mergeMode) {
-          // Update existing employee with data from CSV
-          existingEmployee.title = row.title;
-          existingEmployee.lob = row.lob || existingEmployee.lob;
-          existingEmployee.division = row.division || existingEmployee.division;
-          existingEmployee.dept = row.dept || existingEmployee.dept;
-          existingEmployee.email = row.email || existingEmployee.email;
-          // Don't update ID if it already exists
-          
-          newEmployeeMap[row.name] = existingEmployee;
-          updatedEmployeesCount++;
-        } else {
-          // Create new employee
-          const employee = new Employee(
-            row.name,
-            row.title,
-            0, // Level will be set when building relationships
-            row.lob || '',
-            row.division || '',
-            row.dept || '',
-            row.email || '',
-            row.id || null
-          );
-          
-          newEmployeeMap[row.name] = employee;
-          this.employees[row.name] = employee;
-          newEmployeesCount++;
-        }
+    });
+
+    this.root = changes.chart.root;
+    this.title = changes.chart.title;
+    this.customFields = [...changes.chart.customFields];
+    return current;
+  }
+
+  // Check whether there is a change to undo
+  canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  // Check whether there is an undone change to redo
+  canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  // Describe the change `undo()` would revert, or null
+  getUndoDescription() {
+    const entry = this._undoStack[this._undoStack.length - 1];
+    return entry ? entry.description : null;
+  }
+
+  // Describe the change `redo()` would reapply, or null
+  getRedoDescription() {
+    const entry = this._redoStack[this._redoStack.length - 1];
+    return entry ? entry.description : null;
+  }
+
+  // Revert the most recent change; returns its description, or null if there was none
+  undo() {
+    const entry = this._undoStack.pop();
+    if (!entry) return null;
+
+    this._redoStack.push({
+      description: entry.description,
+      changes: this._restoreChanges(entry.changes),
+      revision: this.revision
+    });
+    this.revision = entry.revision;
+    return entry.description;
+  }
+
+  // Reapply the most recently undone change; returns its description, or null
+  redo() {
+    const entry = this._redoStack.pop();
+    if (!entry) return null;
+
+    this._undoStack.push({
+      description: entry.description,
+      changes: this._restoreChanges(entry.changes),
+      revision: this.revision
+    });
+    this.revision = entry.revision;
+    return entry.description;
+  }
+
+  // Forget all undo/redo history, e.g. after loading a different chart
+  clearHistory() {
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+
+  // Serialize the whole chart, including detached employees, into a snapshot
+  // string, used to work on a copy of the chart (see previewCSVImportString)
+  _captureState() {
+    return JSON.stringify({
+      title: this.title,
+      customFields: this.customFields,
+      rootId: this.root ? this.root.id : null,
+      employees: Object.values(this.employees).map((e) => {
+        const data = { ...e };
+        delete data.manager;
+        data.reports = e.reports.map((report) => report.id);
+        return data;
+      })
+    });
+  }
+
+  // Replace the chart with a snapshot taken by `_captureState`
+  _restoreState(state) {
+    const data = JSON.parse(state);
+
+    this.employees = {};
+    data.employees.forEach((fields) => {
+      const employee = Object.assign(
+        new Employee(fields.name, fields.title, fields.level, '', '', '', '', fields.id),
+        fields,
+        { reports: [], manager: null }
+      );
+      this.employees[employee.id] = employee;
+    });
+
+    // Relink reporting lines in their original order
+    data.employees.forEach(({ id, reports }) => {
+      const employee = this.employees[id];
+      reports.forEach((reportId) => {
+        const report = this.employees[reportId];
+        report.manager = employee;
+        employee.reports.push(report);
       });
-      
-      // Second pass: establish manager-report relationships for new or updated employees
-      results.data.forEach(row => {
-        if (!row.name || !newEmployeeMap[row.name]) return;
-        
-        const employee = newEmployeeMap[row.name];
-        
-        // If manager is specified and exists in any map, establish relationship
-        if (row.manager) {
-          // Look for manager in new employees first, then in existing employees
-          const manager = newEmployeeMap[row.manager] || (mergeMode ? this.employees[row.manager] : null);
-          
-          if (manager) {
-            // Check if this employee is already a report of this manager
-            const isAlreadyReport = manager.reports.some(report => report.name === employee.name);
-            
-            if (!isAlreadyReport) {
-              // Remove from previous manager's reports if it exists somewhere else
-              if (mergeMode) {
-                Object.values(this.employees).forEach(potentialManager => {
-                  if (potentialManager !== manager) {
-                    potentialManager.reports = potentialManager.reports.filter(
-                      report => report.name !== employee.name
-                    );
-                  }
-                });
-              }
-              
-              // Add to new manager
-              manager.addReport(employee);
-            }
-          } else {
-            console.warn(chalk.yellow(`Manager "${row.manager}" not found for employee "${row.name}". Employee will be added without a manager.`));
-          }
+    });
+
+    this.root = data.rootId ? this.employees[data.rootId] : null;
+    this.title = data.title;
+    this.customFields = data.customFields;
+    this._rebuildIndexes();
+  }
+
+  // Search for employees by ID, name, title, LOB, division, dept, email, or
+  // any custom field.
+  // `type` limits the results to 'employee's or 'vacancy's.
+  search(query, { type = null } = {}) {
+    query = query.toLowerCase();
+    const results = [];
+
+    for (const e of Object.values(this.employees)) {
+      if (type && e.type !== type) {
+        continue;
+      }
+
+      // Add more match criteria as needed
+      if (
+        (e.status && e.status.toLowerCase().includes(query)) ||
+        e.id.toLowerCase().includes(query) ||
+        e.name.toLowerCase().includes(query) ||
+        e.title.toLowerCase().includes(query) ||
+        (e.lob && e.lob.toLowerCase().includes(query)) ||
+        (e.division && e.division.toLowerCase().includes(query)) ||
+        (e.dept && e.dept.toLowerCase().includes(query)) ||
+        (e.email && e.email.toLowerCase().includes(query)) ||
+        Object.values(e.fields).some((value) => String(value).toLowerCase().includes(query))
+      ) {
+        results.push(e);
+      }
+    }
+
+    return results;
+  }
+
+  // Get an employee's full path from root (for org hierarchy)
+  getPath(employeeId) {
+    const path = [];
+    let current = this.employees[employeeId];
+
+    // Walk the manager back-references up to the root
+    while (current) {
+      path.unshift(current);
+      current = current.manager;
+    }
+
+    return path;
+  }
+
+  // Print the org chart (every top-level tree, or the subtree under `node`) in
+  // the terminal. With `view: 'boxes'` it is drawn top-down with formatBoxes;
+  // if that is wider than the terminal the boxes are narrowed, and failing
+  // that the indented tree is shown instead. Other options are as for
+  // formatTree.
+  print(node = null, { view = 'tree', ...options } = {}) {
+    if (!node && !this.root) {
+      console.log(chalk.red('Organization chart is empty. Add a CEO first.'));
+      return;
+    }
+
+    console.log(chalk.bold('Organization Chart'));
+    console.log(chalk.dim('─'.repeat(50)));
+
+    if (view === 'boxes') {
+      const columns = process.stdout.columns || 80;
+      const boxWidth = [24, 16].find((width) =>
+        this.formatBoxes(node, { ...options, boxWidth: width, color: false }).every((line) => line.length <= columns)
+      );
+      if (boxWidth) {
+        this.formatBoxes(node, { ...options, boxWidth, color: true }).forEach((line) => console.log(line));
+        return;
+      }
+      console.log(chalk.yellow(`The box view is too wide for this ${columns}-column terminal; showing the indented tree instead.`));
+    }
+
+    this.formatTree(node, { ...options, color: true }).forEach((line) => console.log(line));
+  }
+
+  // Render the subtree under `node`, or every top-level tree side by side, as
+  // a top-down diagram of boxes joined by lines, laid out by
+  // OrgReports.layout. Each box shows the name and title, cut short to fit
+  // `boxWidth` characters, or the `labelTemplate` label (see formatLabel)
+  // wrapped over both lines. `maxDepth` and `collapseICs` sum up reports in
+  // rollup boxes as formatTree does. `dottedLines` lists dotted-line
+  // managers below. With `color`, `colorBy` colours the boxes' text as in
+  // formatTree.
+  formatBoxes(node = null, {
+    color = false,
+    boxWidth = 24,
+    compactLeaves = true,
+    maxDepth = Infinity,
+    collapseICs = false,
+    labelTemplate = null,
+    dottedLines = false,
+    colorBy = null
+  } = {}) {
+    // Layout coordinates are the character cells that box edges sit on, so a
+    // box of boxWidth characters is boxWidth - 1 units wide
+    const { nodes, lines, width, height } = new OrgReports(this).layout(node, {
+      nodeWidth: boxWidth - 1,
+      nodeHeight: 3,
+      gapX: 3,
+      gapY: 2,
+      stackIndent: 4,
+      stackGap: 1,
+      compactLeaves,
+      maxDepth,
+      collapseICs
+    });
+    const people = nodes.filter((n) => n.employee).map((n) => n.employee);
+
+    // Each cell records which directions lines leave it in, and the
+    // box-drawing character is picked once everything has been drawn
+    const [UP, DOWN, LEFT, RIGHT] = [1, 2, 4, 8];
+    const joints = {
+      [UP]: '│', [DOWN]: '│', [UP | DOWN]: '│',
+      [LEFT]: '─', [RIGHT]: '─', [LEFT | RIGHT]: '─',
+      [DOWN | RIGHT]: '┌', [DOWN | LEFT]: '┐', [UP | RIGHT]: '└', [UP | LEFT]: '┘',
+      [UP | DOWN | RIGHT]: '├', [UP | DOWN | LEFT]: '┤',
+      [LEFT | RIGHT | DOWN]: '┬', [LEFT | RIGHT | UP]: '┴',
+      [UP | DOWN | LEFT | RIGHT]: '┼'
+    };
+    const flags = Array.from({ length: height + 1 }, () => new Array(width + 1).fill(0));
+    const text = Array.from({ length: height + 1 }, () => new Array(width + 1).fill(null));
+
+    const draw = (x1, y1, x2, y2) => {
+      if (y1 === y2) {
+        const [from, to] = x1 < x2 ? [x1, x2] : [x2, x1];
+        for (let x = from; x <= to; x++) {
+          flags[y1][x] |= (x > from ? LEFT : 0) | (x < to ? RIGHT : 0);
+        }
+      } else {
+        const [from, to] = y1 < y2 ? [y1, y2] : [y2, y1];
+        for (let y = from; y <= to; y++) {
+          flags[y][x1] |= (y > from ? UP : 0) | (y < to ? DOWN : 0);
+        }
+      }
+    };
+
+    lines.forEach(({ x1, y1, x2, y2 }) => draw(x1, y1, x2, y2));
+
+    const inner = boxWidth - 2;
+    const fit = (value) => {
+      const clipped = value.length > inner ? `${value.slice(0, inner - 1)}…` : value;
+      const left = Math.floor((inner - clipped.length) / 2);
+      return [' '.repeat(left), clipped, ' '.repeat(inner - clipped.length - left)];
+    };
+    const write = (x, y, value, style) => {
+      const [before, body, after] = fit(value);
+      text[y][x] = `${before}${color ? style(body) : body}${after}`;
+      for (let i = 1; i < inner; i++) {
+        text[y][x + i] = '';
+      }
+    };
+    // Break a label at the last space that lets the first line fit; the
+    // second line is cut short by write if it is still too long
+    const wrap = (value) => {
+      const cut = value.length > inner ? value.lastIndexOf(' ', inner) : -1;
+      return cut > 0 ? [value.slice(0, cut), value.slice(cut + 1)] : [value, ''];
+    };
+
+    const groupColors = color && colorBy ? this.groupColors(colorBy, people) : null;
+
+    nodes.forEach(({ employee, rollup, x, y }) => {
+      const right = x + boxWidth - 1;
+      draw(x, y, right, y);
+      draw(x, y + 3, right, y + 3);
+      draw(x, y, x, y + 3);
+      draw(right, y, right, y + 3);
+      if (rollup) {
+        // e.g. "+ 14 reports" over "12 ICs, 2 managers", or over "40 people
+        // in all" when the rollup stands for more than the direct reports
+        const { headline, breakdown } = OrgChart.rollupParts(rollup.reports);
+        write(x + 1, y + 1, headline, chalk.gray);
+        write(x + 1, y + 2, rollup.total > rollup.reports.length ? `${rollup.total} people in all` : breakdown, chalk.gray);
+        return;
+      }
+      const groupStyle = groupColors ? groupColors.get(employee[colorBy] || '') : null;
+      const label = labelTemplate ? this.formatLabel(employee, labelTemplate) : null;
+      if (employee.isVacancy) {
+        write(x + 1, y + 1, '[Vacancy]', groupStyle || chalk.yellow.italic);
+        write(x + 1, y + 2, label || employee.title, groupStyle || chalk.yellow.italic);
+      } else if (label) {
+        const [first, second] = wrap(label);
+        write(x + 1, y + 1, first, groupStyle || chalk.green);
+        write(x + 1, y + 2, second, groupStyle || chalk.green);
+      } else {
+        write(x + 1, y + 1, employee.name, groupStyle || chalk.green);
+        write(x + 1, y + 2, employee.title, groupStyle || chalk.blue);
+      }
+    });
+
+    const output = flags.map((row, y) => row
+      .map((cell, x) => (text[y][x] !== null ? text[y][x] : joints[cell] || ' '))
+      .join('')
+      .trimEnd());
+
+    // e.g. "┄ Jane Doe: dotted line to Bob Lee, Sue Park"
+    if (dottedLines) {
+      const notes = people
+        .filter((employee) => employee.dottedLineManagers.length > 0)
+        .map((employee) => {
+          const note = `┄ ${employee.name}: dotted line to ${this.getDottedLineManagers(employee.id).map((m) => m.name).join(', ')}`;
+          return color ? chalk.magenta(note) : note;
+        });
+      if (notes.length > 0) {
+        output.push('', ...notes);
+      }
+    }
+
+    if (groupColors) {
+      output.push('', this._legend(colorBy, groupColors));
+    }
+    return output;
+  }
+
+  // Render the subtree under `node`, or every top-level tree separated by a
+  // blank line, as an array of indented tree lines. `dottedLines` notes each
+  // employee's dotted-line managers after their name. Reports more than
+  // `maxDepth` levels below the top are summed up in a line such as
+  // "+ 14 reports (12 ICs, 2 managers)", and with `collapseICs` so are a
+  // manager's reports who have no reports of their own (when there are two
+  // or more of them). `labelTemplate` replaces "name (title)" on each line
+  // (see formatLabel). With `color`, `colorBy` (one of CLUSTER_FIELDS)
+  // colours each line by that field and adds a legend below the tree.
+  formatTree(node = null, {
+    color = false,
+    dottedLines = false,
+    maxDepth = Infinity,
+    collapseICs = false,
+    labelTemplate = null,
+    colorBy = null
+  } = {}) {
+    const lines = [];
+    const tops = node ? [node] : this.getRoots();
+    const groupColors = color && colorBy
+      ? this.groupColors(colorBy, tops.flatMap((top) => [top, ...this.getSubtree(top.id)]))
+      : null;
+
+    tops.forEach((top, idx) => {
+      if (idx > 0) lines.push('');
+      this._formatNode(top, '', true, lines, { color, dottedLines, maxDepth, collapseICs, labelTemplate, colorBy, groupColors });
+    });
+
+    if (groupColors) {
+      lines.push('', this._legend(colorBy, groupColors));
+    }
+    return lines;
+  }
+
+  // Fill in a label template such as "{name} — {title} [{dept}] <{email}>"
+  // for an employee. Placeholders are LABEL_FIELDS or custom field keys. A
+  // blank field is dropped along with the space before it and the brackets
+  // directly around it.
+  formatLabel(employee, template) {
+    return template
+      .replace(/(\s*)([([<]?)\{(\w+)\}([)\]>]?)/g, (match, space, open, field, close) => {
+        const value = LABEL_FIELDS.includes(field) ? employee[field] : employee.fields[field];
+        if (value !== undefined && value !== null && value !== '') {
+          return `${space}${open}${value}${close}`;
+        }
+        return open && close ? '' : `${open}${close}`;
+      })
+      .trim();
+  }
+
+  // Make sure a label template has at least one placeholder and that each
+  // one names a field; throws otherwise
+  checkLabelTemplate(template) {
+    const fields = [...template.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+    if (fields.length === 0) {
+      throw new Error('A label template needs at least one field, such as {name}');
+    }
+    const unknown = fields.filter((field) => !LABEL_FIELDS.includes(field) && !this.getCustomField(field));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown label field "${unknown[0]}". Choose from: ${[...LABEL_FIELDS, ...this.customFields.map((f) => f.key)].join(', ')}`);
+    }
+  }
+
+  // A chalk style for each value of `field` (one of CLUSTER_FIELDS) among
+  // `employees`, in alphabetical order, as a Map. A blank value is grey.
+  groupColors(field, employees = Object.values(this.employees)) {
+    const values = [...new Set(employees.map((e) => e[field] || ''))].sort((a, b) => a.localeCompare(b));
+    let next = 0;
+    return new Map(values.map((value) => [
+      value,
+      value === '' ? chalk.gray : GROUP_COLORS[next++ % GROUP_COLORS.length]
+    ]));
+  }
+
+  // One line naming the colour of each group, e.g. "Department: ■ Eng ■ Sales"
+  _legend(field, groupColors) {
+    const entries = [...groupColors].map(([value, style]) => style(`■ ${value || '(none)'}`));
+    return `${CLUSTER_FIELD_NAMES[field]}: ${entries.join('  ')}`;
+  }
+
+  // Get every top-level employee (anyone without a manager), the root first
+  getRoots() {
+    const others = Object.values(this.employees).filter((e) => !e.manager && e !== this.root);
+    return this.root ? [this.root, ...others] : others;
+  }
+
+  // Helper method to render a node and its subtree, `depth` levels below the
+  // top of the tree. Options are as for formatTree.
+  _formatNode(node, prefix, isTail, lines, options, depth = 0) {
+    const { color, dottedLines, maxDepth, collapseICs, labelTemplate, colorBy, groupColors } = options;
+    // Render current node
+    const connector = isTail ? '└── ' : '├── ';
+
+    // e.g. "┄ dotted line to Bob Lee, Sue Park"
+    let annotation = '';
+    if (dottedLines && node.dottedLineManagers.length > 0) {
+      const names = this.getDottedLineManagers(node.id).map((m) => m.name).join(', ');
+      annotation = color ? ` ${chalk.magenta(`┄ dotted line to ${names}`)}` : ` ┄ dotted line to ${names}`;
+    }
+    
+    // A template or group colour replaces the usual colouring of the label
+    const text = labelTemplate ? this.formatLabel(node, labelTemplate) : null;
+    const groupStyle = groupColors ? groupColors.get(node[colorBy] || '') : null;
+
+    if (node.isVacancy && color) {
+      const style = groupStyle || chalk.yellow.italic;
+      lines.push(`${prefix}${connector}${style(`[Vacancy] ${text || node.title}`)} ${chalk.gray(`(${node.status})`)}${annotation}`);
+    } else if (node.isVacancy) {
+      lines.push(`${prefix}${connector}[Vacancy] ${text || node.title} (${node.status})${annotation}`);
+    } else if (color && (text || groupStyle)) {
+      lines.push(`${prefix}${connector}${(groupStyle || chalk.green)(text || `${node.name} (${node.title})`)}${annotation}`);
+    } else if (text) {
+      lines.push(`${prefix}${connector}${text}${annotation}`);
+    } else if (color) {
+      lines.push(`${prefix}${connector}${chalk.green(node.name)} ${chalk.blue(`(${node.title})`)}${annotation}`);
+    } else {
+      lines.push(`${prefix}${connector}${node.name} (${node.title})${annotation}`);
+    }
+
+    // Prepare prefix for children
+    const childPrefix = prefix + (isTail ? '    ' : '│   ');
+    const rollup = (reports, total) => {
+      const label = OrgChart.rollupLabel(reports, total);
+      lines.push(`${childPrefix}└── ${color ? chalk.gray(label) : label}`);
+    };
+
+    // Past the depth limit the reports are only counted
+    if (node.reports.length > 0 && depth >= maxDepth) {
+      rollup(node.reports, this.getSubtree(node.id).length);
+      return;
+    }
+
+    // Individual contributors may be counted after the managers instead
+    let shown = node.reports;
+    let collapsed = [];
+    if (collapseICs) {
+      collapsed = node.reports.filter((report) => report.reports.length === 0);
+      if (collapsed.length >= 2) {
+        shown = node.reports.filter((report) => report.reports.length > 0);
+      } else {
+        collapsed = [];
+      }
+    }
+
+    // Render children
+    const lastIdx = shown.length - 1;
+    shown.forEach((report, idx) => {
+      this._formatNode(report, childPrefix, idx === lastIdx && collapsed.length === 0, lines, options, depth + 1);
+    });
+    if (collapsed.length > 0) {
+      rollup(collapsed);
+    }
+  }
+
+  // Summary of reports left out of a tree, such as "+ 14 reports (12 ICs,
+  // 2 managers)" or "+ 3 ICs". Reports with reports of their own count as
+  // managers, and unfilled positions as vacancies. `total`, when it is more
+  // than the number of reports, adds how many people they lead in all.
+  static rollupLabel(reports, total = reports.length) {
+    const { headline, breakdown } = OrgChart.rollupParts(reports);
+    let label = breakdown ? `${headline} (${breakdown})` : headline;
+    if (total > reports.length) {
+      label += `, ${total} people in all`;
+    }
+    return label;
+  }
+
+  // The two parts of a rollup label: a headline such as "+ 14 reports" or
+  // "+ 3 ICs", and a breakdown such as "12 ICs, 2 managers" when the reports
+  // are of more than one kind (otherwise '')
+  static rollupParts(reports) {
+    const managers = reports.filter((e) => e.reports.length > 0).length;
+    const vacancies = reports.filter((e) => e.isVacancy && e.reports.length === 0).length;
+    const ics = reports.length - managers - vacancies;
+
+    const parts = [];
+    if (ics > 0) parts.push(`${ics} IC${ics === 1 ? '' : 's'}`);
+    if (managers > 0) parts.push(`${managers} manager${managers === 1 ? '' : 's'}`);
+    if (vacancies > 0) parts.push(`${vacancies} ${vacancies === 1 ? 'vacancy' : 'vacancies'}`);
+
+    return parts.length === 1
+      ? { headline: `+ ${parts[0]}`, breakdown: '' }
+      : { headline: `+ ${reports.length} reports`, breakdown: parts.join(', ') };
+  }
+
+  // Get the chart as plain JSON-serializable data, in the current versioned envelope
+  toJSON() {
+    return {
+      format: JSON_FORMAT,
+      version: JSON_FORMAT_VERSION,
+      title: this.title,
+      created: this.created,
+      modified: this.modified,
+      customFields: this.customFields,
+      roots: this.getRoots()
+    };
+  }
+
+  // Export the org chart to a JSON file, stamping its created/modified dates
+  exportToJSON(filename) {
+    this.modified = new Date().toISOString();
+    if (!this.created) {
+      this.created = this.modified;
+    }
+
+    const data = JSON.stringify(this.toJSON(), null, 2);
+    fs.writeFileSync(filename, data);
+  }
+
+  // Upgrade parsed JSON from any earlier format version to the current one.
+  // Throws if the data comes from a newer version of the app, or is not an
+  // object at all (such as `null` or a list).
+  static migrateJSON(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      const found = data === null ? 'null' : Array.isArray(data) ? 'a list' : `a ${typeof data}`;
+      throw new Error(`Not an org chart: the file holds ${found} instead of an object`);
+    }
+
+    // Files from before the envelope existed are just the root employee
+    let version = data.format === JSON_FORMAT ? data.version : 1;
+
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Unrecognized org chart format version: ${version}`);
+    }
+    if (version > JSON_FORMAT_VERSION) {
+      throw new Error(
+        `This file uses format version ${version}, but this app only understands up to version ${JSON_FORMAT_VERSION}. Please upgrade.`
+      );
+    }
+
+    while (version < JSON_FORMAT_VERSION) {
+      data = JSON_MIGRATIONS[version](data);
+      version++;
+    }
+
+    return data;
+  }
+
+  // Check parsed JSON data of any format version for problems. Returns
+  // { problems, repaired }: every problem with the JSON path where it occurs,
+  // and a repaired copy of the (migrated) data, or null if it cannot be repaired.
+  static validateJSON(obj) {
+    const problems = [];
+
+    let data;
+    try {
+      data = OrgChart.migrateJSON(obj);
+    } catch (err) {
+      problems.push({ path: '(file)', message: err.message, fix: null });
+      return { problems, repaired: null };
+    }
+
+    const repaired = { ...data };
+
+    // Paths are reported as they appear in the file: version 1 files are a bare
+    // root employee, and version 2 files have a single `root`
+    const fileVersion = obj && obj.format === JSON_FORMAT ? obj.version : 1;
+    const rootPath = (idx) => {
+      if (fileVersion === 1) return '';
+      if (fileVersion === 2) return 'root';
+      return `roots[${idx}]`;
+    };
+
+    if (typeof data.title !== 'string') {
+      problems.push({ path: 'title', message: 'title is not text', fix: 'title cleared' });
+      repaired.title = '';
+    }
+    if (!Array.isArray(data.customFields)) {
+      problems.push({ path: 'customFields', message: 'customFields is not a list', fix: 'custom fields removed' });
+      repaired.customFields = [];
+    } else {
+      repaired.customFields = [];
+      data.customFields.forEach((definition, idx) => {
+        let field;
+        try {
+          field = OrgChart.normalizeCustomField(definition);
+        } catch (err) {
+          problems.push({ path: `customFields[${idx}]`, message: err.message, fix: 'field removed' });
+          return;
+        }
+        if (repaired.customFields.some((f) => f.key === field.key)) {
+          problems.push({ path: `customFields[${idx}]`, message: `duplicate key "${field.key}"`, fix: 'field removed' });
+          return;
         }
+        repaired.customFields.push(field);
       });
-      
-      // Find the root if we're not in merge mode or if we don't have a root yet
-      if (!mergeMode || !this.root) {
-        const possibleRoots = Object.values(this.employees).filter(e => {
-          // Check if this employee is not a report of any other employee
-          return !Object.values(this.employees).some(manager => 
-            manager.reports.includes(e)
-          );
+    }
+    const customFields = new Map(repaired.customFields.map((field) => [field.key, field]));
+
+    // id -> { path, name } of the first employee seen with it
+    const seenIds = new Map();
+    // Employees with dotted lines, checked once every ID is known: { fixed, at }
+    const withDottedLines = [];
+
+    const checkNode = (node, nodePath) => {
+      const at = nodePath || '(root)';
+
+      if (!node || typeof node !== 'object' || Array.isArray(node)) {
+        problems.push({ path: at, message: 'not an employee object', fix: 'entry removed' });
+        return null;
+      }
+
+      const fixed = { ...node };
+
+      if (typeof node.name !== 'string' || node.name.trim() === '') {
+        problems.push({ path: at, message: 'missing name', fix: 'named "Unknown"' });
+        fixed.name = 'Unknown';
+      }
+      if (typeof node.title !== 'string' || node.title.trim() === '') {
+        problems.push({ path: at, message: 'missing title', fix: 'titled "Unknown"' });
+        fixed.title = 'Unknown';
+      }
+
+      ['lob', 'division', 'dept', 'email', 'status'].forEach((field) => {
+        if (node[field] != null && typeof node[field] !== 'string') {
+          problems.push({ path: at, message: `${field} is not text`, fix: 'converted to text' });
+          fixed[field] = String(node[field]);
+        }
+      });
+
+      if (node.type != null && node.type !== 'employee' && node.type !== 'vacancy') {
+        problems.push({ path: at, message: `unknown type "${node.type}"`, fix: 'treated as an employee' });
+        fixed.type = 'employee';
+      }
+
+      if (node.id == null || node.id === '') {
+        problems.push({ path: at, message: 'missing id', fix: 'new ID generated' });
+        fixed.id = uuidv4();
+      } else if (typeof node.id !== 'string') {
+        problems.push({ path: at, message: 'id is not text', fix: 'converted to text' });
+        fixed.id = String(node.id);
+      }
+
+      const first = seenIds.get(fixed.id);
+      if (first && first.name === fixed.name) {
+        problems.push({
+          path: at,
+          message: `${fixed.name} already appears at ${first.path}`,
+          fix: 'duplicate entry removed'
         });
-        
-        if (possibleRoots.length === 0) {
-          console.error(chalk.red('No root employee found. CSV should have at least one employee with no manager.'));
-          
-          // Restore previous state if in merge mode
-          if (mergeMode) {
-            this.employees = existingEmployees;
-            this.root = existingRoot;
+        return null;
+      }
+      if (first) {
+        problems.push({
+          path: at,
+          message: `duplicate id "${fixed.id}" (also used by ${first.name} at ${first.path})`,
+          fix: 'new ID generated'
+        });
+        fixed.id = uuidv4();
+      }
+      seenIds.set(fixed.id, { path: at, name: fixed.name });
+
+      if (node.fields != null && (typeof node.fields !== 'object' || Array.isArray(node.fields))) {
+        problems.push({ path: at, message: 'fields is not an object', fix: 'custom field values removed' });
+        fixed.fields = {};
+      } else if (node.fields != null) {
+        fixed.fields = {};
+        Object.entries(node.fields).forEach(([key, value]) => {
+          const field = customFields.get(key);
+          if (!field) {
+            problems.push({ path: at, message: `unknown custom field "${key}"`, fix: 'value removed' });
+            return;
           }
-          
-          return false;
-        }
-        
-        if (possibleRoots.length > 1) {
-          console.warn(chalk.yellow(`Found ${possibleRoots.length} employees with no manager. Using the first one as root.`));
+          try {
+            const parsed = OrgChart.parseCustomFieldValue(field, value);
+            if (parsed !== null) fixed.fields[key] = parsed;
+          } catch (err) {
+            problems.push({ path: at, message: `${field.label}: ${err.message}`, fix: 'value removed' });
+          }
+        });
+      }
+
+      if (node.dottedLineManagers != null) {
+        if (!Array.isArray(node.dottedLineManagers) || node.dottedLineManagers.some((id) => typeof id !== 'string')) {
+          problems.push({ path: at, message: 'dottedLineManagers is not a list of IDs', fix: 'dotted lines removed' });
+          fixed.dottedLineManagers = [];
+        } else {
+          withDottedLines.push({ fixed, at });
         }
-        
-        this.root = possibleRoots[0];
       }
-      
-      // Output appropriate message based on mode
-      if (mergeMode) {
-        console.log(chalk.green(`Successfully merged CSV data: ${newEmployeesCount} new employees added, ${updatedEmployeesCount} existing employees updated`));
+
+      if (node.reports != null && !Array.isArray(node.reports)) {
+        problems.push({ path: at, message: 'reports is not a list', fix: 'reports removed' });
+        fixed.reports = [];
       } else {
-        console.log(chalk.green(`Successfully imported ${Object.keys(this.employees).length} employees from CSV`));
+        // Children keep the path they have in the file, even if an earlier sibling is removed
+        const prefix = nodePath ? `${nodePath}.` : '';
+        fixed.reports = (node.reports || [])
+          .map((report, idx) => checkNode(report, `${prefix}reports[${idx}]`))
+          .filter(Boolean);
       }
-      
-      return true;
-    } catch (err) {
-      console.error(chalk.red(`Error importing from CSV: ${err.message}`));
-      return false;
+
+      return fixed;
+    };
+
+    if (!Array.isArray(data.roots)) {
+      problems.push({ path: 'roots', message: 'roots is not a list', fix: null });
+      return { problems, repaired: null };
+    }
+
+    repaired.roots = data.roots
+      .map((root, idx) => checkNode(root, rootPath(idx)))
+      .filter(Boolean);
+    if (data.roots.length > 0 && repaired.roots.length === 0) {
+      // No usable top-level employee is left, so there is nothing to load
+      return { problems: problems.map((p) => ({ ...p, fix: null })), repaired: null };
     }
+
+    withDottedLines.forEach(({ fixed, at }) => {
+      fixed.dottedLineManagers = fixed.dottedLineManagers.filter((id) => {
+        if (id === fixed.id) {
+          problems.push({ path: at, message: 'dotted line to themselves', fix: 'dotted line removed' });
+          return false;
+        }
+        if (!seenIds.has(id)) {
+          problems.push({ path: at, message: `dotted-line manager "${id}" not found`, fix: 'dotted line removed' });
+          return false;
+        }
+        return true;
+      });
+    });
+
+    return { problems, repaired };
   }
-}
 
-// Main application class
-class OrgChartApp {
-  constructor() {
-    this.orgChart = new OrgChart();
-    this.currentFile = null;
+  // Replace the chart with one built from parsed JSON data of any format version.
+  // Invalid data is refused with a ChartValidationError unless `repair` is set,
+  // in which case every fixable problem is repaired on the way in.
+  loadJSON(obj, { repair = false } = {}) {
+    const { problems, repaired } = OrgChart.validateJSON(obj);
+    if (problems.length > 0 && !(repair && repaired)) {
+      throw new ChartValidationError(problems);
+    }
+
+    const data = repaired;
+
+    this.root = null;
+    this.employees = {};
+    this._rebuildIndexes();
+    this.clearHistory();
+    this.revision = this._nextRevision++;
+
+    this.title = data.title || '';
+    this.created = data.created || null;
+    this.modified = data.modified || null;
+    this.customFields = data.customFields || [];
+
+    // The first top-level employee is the chart's root
+    data.roots.forEach((root) => this._recreateFromJSON(root));
+
+    return this;
   }
-  
-  // Helper method to add a back/cancel option to menu choices
-  addBackOption(choices, backLabel = 'Back to main menu') {
-    return [
-      ...choices,
-      new inquirer.Separator('-------------------'),
-      { name: backLabel, value: 'back' }
-    ];
+
+  // Import an org chart from a JSON file; throws if it cannot be read, parsed
+  // or validated (see loadJSON for the `repair` option)
+  importFromJSON(filename, options = {}) {
+    const data = fs.readFileSync(filename, 'utf8');
+    return this.loadJSON(JSON.parse(data), options);
   }
-  
-  // Generic helper method to search and select an employee
-  async selectEmployee(message = 'Select an employee:', filter = null, entityType = 'employee') {
-    let employees = Object.values(this.orgChart.employees);
-    
+
+  // Validate a JSON file without loading it; see validateJSON
+  static validateJSONFile(filename) {
+    const data = fs.readFileSync(filename, 'utf8');
+    return OrgChart.validateJSON(JSON.parse(data));
+  }
+
+  // Helper method to recreate the org chart from JSON
+  _recreateFromJSON(obj, manager = null) {
+    // Note: We also restore lob, division, dept, email if present
+    const employee = new Employee(
+      obj.name,
+      obj.title,
+      0, // Levels are recomputed from the hierarchy
+      obj.lob || '',
+      obj.division || '',
+      obj.dept || '',
+      obj.email || '',
+      obj.id || null
+    );
+    if (obj.type === 'vacancy') {
+      employee.type = 'vacancy';
+      employee.status = obj.status || 'open';
+    }
+    employee.dottedLineManagers = [...(obj.dottedLineManagers || [])];
+    employee.fields = { ...(obj.fields || {}) };
+    this._registerEmployee(employee);
+
+    if (!manager) {
+      this.root = this.root || employee;
+    } else {
+      manager.addReport(employee);
+    }
+
+    if (obj.reports && obj.reports.length > 0) {
+      obj.reports.forEach((report) => {
+        this._recreateFromJSON(report, employee);
+      });
+    }
+
+    return employee;
+  }
+
+  // Build CSV text that importFromCSV turns back into the same chart. Rows are
+  // in tree order, so every manager comes before their reports and report
+  // order is kept. `extraColumns` names any of CSV_EXTRA_COLUMNS to append.
+  toCSV({ extraColumns = [] } = {}) {
+    extraColumns.forEach((column) => {
+      if (!CSV_EXTRA_COLUMNS[column]) {
+        throw new Error(`Unknown CSV column "${column}". Choose from: ${Object.keys(CSV_EXTRA_COLUMNS).join(', ')}`);
+      }
+    });
+
+    // Type and status columns are only needed when there are vacancies, and
+    // dotted_line_managers when someone has a dotted line
+    const vacancyColumns = this.getVacancies().length > 0 ? ['type', 'status'] : [];
+    const dottedLineColumns = Object.values(this.employees).some((e) => e.dottedLineManagers.length > 0)
+      ? ['dotted_line_managers']
+      : [];
+    // Then a column for each custom field, headed so that its definition
+    // travels with the file (see csvFieldHeader)
+    const customColumns = this.customFields.map((field) => field.key);
+
+    // Every top-level tree, the root's first
+    const rows = [];
+    this.getRoots().forEach((top) => {
+      [top, ...this.getSubtree(top.id)].forEach((employee) => {
+        rows.push([
+          employee.name,
+          employee.title,
+          this._csvManagerReference(employee.manager),
+          employee.lob || '',
+          employee.division || '',
+          employee.dept || '',
+          employee.email || '',
+          employee.id,
+          ...vacancyColumns.map((column) => employee[column]),
+          ...dottedLineColumns.map(() => this.getDottedLineManagers(employee.id)
+            .map((manager) => manager.name.includes(CSV_LIST_SEPARATOR) ? manager.id : this._csvManagerReference(manager))
+            .join(`${CSV_LIST_SEPARATOR} `)),
+          ...customColumns.map((key) => employee.fields[key] ?? ''),
+          ...extraColumns.map((column) => CSV_EXTRA_COLUMNS[column](employee))
+        ]);
+      });
+    });
+
+    return Papa.unparse({
+      fields: [
+        ...CSV_COLUMNS,
+        ...vacancyColumns,
+        ...dottedLineColumns,
+        ...this.customFields.map((field) => OrgChart.csvFieldHeader(field)),
+        ...extraColumns
+      ],
+      data: rows
+    });
+  }
+
+  // Export the chart to a CSV file; see toCSV for options
+  exportToCSV(filename, options = {}) {
+    fs.writeFileSync(filename, this.toCSV(options));
+  }
+
+  // The CSV header for a custom field: its label followed by its definition,
+  // such as "Start date [start_date:date]" or "Type [type_of_hire:enum:Full-time|Contractor]".
+  // "%", "|" and "]" in enum options are percent-encoded.
+  static csvFieldHeader(field) {
+    let definition = `${field.key}:${field.type}`;
+    if (field.type === 'enum') {
+      definition += `:${field.options.map((option) => option.replace(/[%|\]]/g, encodeURIComponent)).join('|')}`;
+    }
+    return `${field.label} [${definition}]`;
+  }
+
+  // The custom field definition carried by a header written by csvFieldHeader,
+  // or null if the header is not in that form or the definition is invalid
+  static parseCSVFieldHeader(header) {
+    const match = /^(.*?)\s*\[([a-z][a-z0-9_]*):(text|date|number|enum)(?::([^\]]*))?\]$/.exec(header.trim());
+    if (!match) return null;
+
+    const [, label, key, type, options] = match;
+    try {
+      return OrgChart.normalizeCustomField({
+        label: label || key,
+        key,
+        type,
+        options: options === undefined ? undefined : options.split('|').map(decodeURIComponent)
+      });
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // The manager column holds the manager's name where that is unambiguous,
+  // and their ID otherwise
+  _csvManagerReference(manager) {
+    if (!manager) return '';
+    const nameIsUnique = this.findByName(manager.name).length === 1 && !this.employees[manager.name];
+    return nameIsUnique ? manager.name : manager.id;
+  }
+
+  // Find the existing employee a CSV row should update when merging: by ID,
+  // or by name if the row has no ID and the name is unambiguous
+  _findMergeTarget(row, existingEmployees) {
+    if (row.id) {
+      return existingEmployees[row.id] || null;
+    }
+
+    const matches = Object.values(existingEmployees).filter((e) => e.name === row.name);
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  // Decode raw CSV bytes, honouring a UTF-8 or UTF-16 byte order mark and
+  // falling back to Latin-1 for files that are not valid UTF-8
+  static decodeCSV(buffer) {
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+      return { text: buffer.toString('utf8', 3), encoding: 'UTF-8 with BOM' };
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+      return { text: buffer.toString('utf16le', 2), encoding: 'UTF-16 LE' };
+    }
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+      const swapped = Buffer.from(buffer.subarray(2, buffer.length - (buffer.length % 2))).swap16();
+      return { text: swapped.toString('utf16le'), encoding: 'UTF-16 BE' };
+    }
+
+    const text = buffer.toString('utf8');
+    if (text.includes('\uFFFD')) {
+      return { text: buffer.toString('latin1'), encoding: 'Latin-1' };
+    }
+    return { text, encoding: 'UTF-8' };
+  }
+
+  // Parse CSV text, detecting the delimiter (comma, semicolon, tab or pipe).
+  // Returns { headers, rows, delimiter } with rows keyed by header; throws if
+  // the text cannot be parsed or has no data rows.
+  static parseCSV(csvData) {
+    const results = Papa.parse(csvData.replace(/^\uFEFF/, ''), {
+      header: true,
+      skipEmptyLines: true,
+      delimitersToGuess: CSV_DELIMITERS,
+      transformHeader: (header) => header.trim()
+    });
+
+    // A single-column file has nothing to detect a delimiter from
+    const errors = results.errors.filter((err) => err.code !== 'UndetectableDelimiter');
+    if (errors.length > 0) {
+      throw new Error(`Error parsing CSV: ${errors[0].message} (row ${errors[0].row + 2})`);
+    }
+
+    if (results.data.length === 0) {
+      throw new Error('CSV file is empty or has no valid data');
+    }
+
+    return {
+      headers: results.meta.fields,
+      rows: results.data,
+      delimiter: results.meta.delimiter
+    };
+  }
+
+  // Read and parse a CSV file; see decodeCSV and parseCSV.
+  // Returns { headers, rows, delimiter, encoding }.
+  static readCSVFile(filename) {
+    const { text, encoding } = OrgChart.decodeCSV(fs.readFileSync(filename));
+    return { ...OrgChart.parseCSV(text), encoding };
+  }
+
+  // Suggest which header feeds each importer field, as { field: header | null }.
+  // Each header is used for at most one field. `fields` defaults to the
+  // built-in fields; see csvImportFields for a chart's custom fields too.
+  static proposeCSVMapping(headers, fields = CSV_IMPORT_FIELDS) {
+    const normalize = (header) => header.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const available = new Map(headers.map((header) => [normalize(header), header]));
+
+    const mapping = {};
+    // Exact field names win over aliases, so a file with both "employee" and
+    // "id" columns maps "id" to id
+    Object.keys(fields).forEach((field) => {
+      mapping[field] = available.get(field) || null;
+      if (mapping[field]) available.delete(field);
+    });
+    Object.entries(fields).forEach(([field, { aliases }]) => {
+      if (mapping[field]) return;
+      const alias = aliases.find((candidate) => available.has(candidate));
+      if (alias) {
+        mapping[field] = available.get(alias);
+        available.delete(alias);
+      }
+    });
+
+    return mapping;
+  }
+
+  // The fields a CSV import can fill: CSV_IMPORT_FIELDS followed by the
+  // chart's custom fields, which are matched by key, label or a header written
+  // by csvFieldHeader. Custom fields defined in `headers` that the chart does
+  // not have yet are included with their `definition`, for the import to add.
+  csvImportFields(headers = []) {
+    const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const fields = { ...CSV_IMPORT_FIELDS };
+    this.customFields.forEach(({ key, label }) => {
+      fields[key] = { label, custom: true, aliases: [normalize(key), normalize(label)] };
+    });
+
+    headers.forEach((header) => {
+      const definition = OrgChart.parseCSVFieldHeader(header);
+      if (!definition) return;
+      if (!fields[definition.key]) {
+        fields[definition.key] = { label: definition.label, custom: true, definition, aliases: [] };
+      }
+      fields[definition.key].aliases.push(normalize(header));
+    });
+    return fields;
+  }
+
+  // Import employees from a CSV file. Options are as for importFromCSVString.
+  importFromCSV(filename, mergeMode = false, options = {}) {
+    const { text } = OrgChart.decodeCSV(fs.readFileSync(filename));
+    return this.importFromCSVString(text, mergeMode, path.basename(filename), options);
+  }
+
+  // Import employees from CSV text. Returns a summary of what changed along
+  // with any per-row warnings; throws if nothing usable could be imported,
+  // leaving the chart as it was. `source` names the data in the undo history.
+  // `mapping` gives the header to read for each field (see proposeCSVMapping,
+  // which is used when it is omitted). `managerKey` (or `mapping.managerKey`)
+  // names a column whose values the manager column refers to, such as an
+  // employee number; without it the manager column holds an ID or a name.
+  importFromCSVString(csvData, mergeMode = false, source = 'CSV data', options = {}) {
+    const { rows, keyColumn, ...columnSummary } = this._prepareCSVRows(csvData, options);
+
+    return this._recordChange(
+      (summary) => mergeMode
+        ? `Merged ${source}: ${summary.added} added, ${summary.updated} updated`
+        : `Imported ${source}: ${summary.total} employees`,
+      () => this._applyCSVRows(rows, mergeMode, keyColumn, columnSummary)
+    );
+  }
+
+  // Work out what importing a CSV file would do; see previewCSVImportString
+  previewCSVImport(filename, mergeMode = false, options = {}) {
+    const { text } = OrgChart.decodeCSV(fs.readFileSync(filename));
+    return this.previewCSVImportString(text, mergeMode, options);
+  }
+
+  // Work out what importing CSV text would do, without changing the chart.
+  // Takes the same options as importFromCSVString and returns a report of
+  // skipped rows, duplicate names, unresolved managers, cycles, the resulting
+  // top-level employees, and who would be added, updated or moved. `error` is
+  // set if the import would fail.
+  previewCSVImportString(csvData, mergeMode = false, options = {}) {
+    const { rows, keyColumn, ...columnSummary } = this._prepareCSVRows(csvData, options);
+
+    // Rows that name the same person more than once
+    const rowsByName = new Map();
+    this._checkCSVRows(rows).valid.forEach((row) => {
+      rowsByName.set(row.name, [...(rowsByName.get(row.name) || []), row.rowNumber]);
+    });
+    const duplicateNames = [...rowsByName.entries()]
+      .filter(([, rowNumbers]) => rowNumbers.length > 1)
+      .map(([name, rowNumbers]) => ({ name, rows: rowNumbers }));
+
+    // Run the import on a copy and compare it with the chart as it is
+    const scratch = new OrgChart();
+    scratch._restoreState(this._captureState());
+
+    let summary;
+    try {
+      summary = scratch._recordChange('Preview', () => scratch._applyCSVRows(rows, mergeMode, keyColumn, columnSummary));
+    } catch (err) {
+      const { skipped } = this._checkCSVRows(rows);
+      return {
+        mergeMode, rows: rows.length, skipped, duplicateNames, unresolved: [], unresolvedDottedLines: [], invalidValues: [], cycles: [],
+        roots: [], root: null, added: [], updated: [], moved: [], replaced: 0, ...columnSummary, error: err.message
+      };
+    }
+
+    const added = [];
+    const updated = [];
+    const moved = [];
+    Object.values(scratch.employees).forEach((after) => {
+      const before = mergeMode ? this.employees[after.id] : null;
+      if (!before) {
+        added.push(after.name);
+        return;
+      }
+
+      const changes = ['name', 'title', 'lob', 'division', 'dept', 'email', 'status']
+        .filter((field) => before[field] !== after[field]);
+      if (before.dottedLineManagers.join() !== after.dottedLineManagers.join()) {
+        changes.push('dotted-line managers');
+      }
+      this.customFields.forEach(({ key, label }) => {
+        if (before.fields[key] !== after.fields[key]) changes.push(label);
+      });
+      if (changes.length > 0) {
+        updated.push({ name: after.name, changes });
+      }
+
+      const fromId = before.manager ? before.manager.id : null;
+      const toId = after.manager ? after.manager.id : null;
+      if (fromId !== toId) {
+        moved.push({
+          name: after.name,
+          from: before.manager ? before.manager.name : null,
+          to: after.manager ? after.manager.name : null
+        });
+      }
+    });
+
+    return {
+      mergeMode,
+      rows: rows.length,
+      skipped: summary.skipped,
+      duplicateNames,
+      unresolved: summary.unresolved,
+      unresolvedDottedLines: summary.unresolvedDottedLines,
+      invalidValues: summary.invalidValues,
+      cycles: summary.cycles,
+      roots: Object.values(scratch.employees).filter((e) => !e.manager).map((e) => e.name),
+      root: scratch.root ? scratch.root.name : null,
+      added,
+      updated,
+      moved,
+      replaced: mergeMode ? 0 : Object.keys(this.employees).length,
+      newFields: summary.newFields,
+      ignoredColumns: summary.ignoredColumns,
+      error: null
+    };
+  }
+
+  // Parse CSV text and rename each row's columns to the importer's field names.
+  // Returns { rows, keyColumn, newFields, ignoredColumns }: the custom fields
+  // defined by the headers that the import adds to the chart, and the headers
+  // of columns that feed no field.
+  _prepareCSVRows(csvData, { mapping = null, managerKey = null } = {}) {
+    const { headers, rows } = OrgChart.parseCSV(csvData);
+    const importFields = this.csvImportFields(headers);
+    const columns = mapping || OrgChart.proposeCSVMapping(headers, importFields);
+    const keyColumn = managerKey || columns.managerKey || null;
+
+    if (keyColumn && !headers.includes(keyColumn)) {
+      throw new Error(`Manager key column "${keyColumn}" is not in the CSV`);
+    }
+    if (keyColumn && !columns.manager) {
+      throw new Error(`A manager key column needs a column mapped to Manager`);
+    }
+
+    Object.entries(importFields).forEach(([field, { label, required }]) => {
+      const header = columns[field];
+      if (header && !headers.includes(header)) {
+        throw new Error(`Column "${header}" mapped to ${label} is not in the CSV`);
+      }
+      if (required && !header) {
+        throw new Error(`No column is mapped to ${label}`);
+      }
+    });
+
+    const fieldRows = rows.map((row, idx) => {
+      const fieldRow = { rowNumber: idx + 1, fields: {} };
+      Object.keys(CSV_IMPORT_FIELDS).forEach((field) => {
+        fieldRow[field] = columns[field] ? row[columns[field]] || '' : '';
+      });
+      // Custom field values stay raw here; _applyCSVRows checks them
+      Object.entries(importFields).forEach(([key, { custom }]) => {
+        if (custom && columns[key]) {
+          fieldRow.fields[key] = row[columns[key]] || '';
+        }
+      });
+      if (keyColumn) {
+        fieldRow.key = row[keyColumn] || '';
+      }
+
+      // Vacancy rows need no name
+      fieldRow.type = fieldRow.type.trim().toLowerCase() === 'vacancy' ? 'vacancy' : 'employee';
+      if (fieldRow.type === 'vacancy' && !fieldRow.name) {
+        fieldRow.name = VACANCY_NAME;
+      }
+      return fieldRow;
+    });
+
+    const newFields = Object.entries(importFields)
+      .filter(([key, { definition }]) => definition && columns[key])
+      .map(([, { definition }]) => definition);
+
+    // The extra columns toCSV can add are expected to go unused
+    const usedHeaders = new Set([...Object.keys(importFields).map((field) => columns[field]), keyColumn]);
+    const ignoredColumns = headers.filter((header) => !usedHeaders.has(header) && !CSV_EXTRA_COLUMNS[header]);
+
+    return { rows: fieldRows, keyColumn, newFields, ignoredColumns };
+  }
+
+  // Split CSV rows into those that can be imported and those that are skipped:
+  // rows missing a name or title, and rows repeating an id used on an earlier row
+  _checkCSVRows(rows) {
+    const valid = [];
+    const skipped = [];
+    // id -> row number it was first seen on
+    const idRows = new Map();
+
+    rows.forEach((row) => {
+      if (!row.name || !row.title) {
+        skipped.push({ row: row.rowNumber, name: row.name || '', reason: `missing ${row.name ? 'title' : 'name'}` });
+        return;
+      }
+      if (row.id && idRows.has(row.id)) {
+        skipped.push({ row: row.rowNumber, name: row.name, reason: `duplicate id "${row.id}" (first used on row ${idRows.get(row.id)})` });
+        return;
+      }
+
+      if (row.id) idRows.set(row.id, row.rowNumber);
+      valid.push(row);
+    });
+
+    return { valid, skipped };
+  }
+
+  // Work out who a CSV row names as its manager. manager_id is tried first,
+  // then manager_email, then the manager column: through the manager key
+  // column when there is one, otherwise as an ID or a name. Returns null if
+  // the row has no manager, { manager } if found, or { reference, reason }.
+  _resolveCSVManager(row, keyIndex, keyColumn) {
+    if (row.manager_id) {
+      const manager = this.employees[row.manager_id];
+      return manager ? { manager } : { reference: row.manager_id, reason: 'no employee has this ID' };
+    }
+
+    if (row.manager_email) {
+      const matches = this.findByEmail(row.manager_email);
+      if (matches.length === 1) return { manager: matches[0] };
+      return {
+        reference: row.manager_email,
+        reason: matches.length === 0 ? 'no employee has this email' : `${matches.length} employees have this email`
+      };
+    }
+
+    if (!row.manager) {
+      return null;
+    }
+
+    return this._resolveCSVReference(row.manager, keyIndex, keyColumn);
+  }
+
+  // Look up an employee named in a manager or dotted-line manager cell:
+  // through the manager key column when there is one, otherwise as an ID or
+  // a name. Returns { manager } if found, or { reference, reason }.
+  _resolveCSVReference(reference, keyIndex, keyColumn) {
+    if (keyIndex) {
+      if (!keyIndex.has(reference)) {
+        return { reference, reason: `no row has this ${keyColumn}` };
+      }
+      const manager = keyIndex.get(reference);
+      return manager ? { manager } : { reference, reason: `several rows have this ${keyColumn}` };
+    }
+
+    if (this.employees[reference]) {
+      return { manager: this.employees[reference] };
+    }
+    const matches = this.findByName(reference);
+    if (matches.length === 1) return { manager: matches[0] };
+    return {
+      reference,
+      reason: matches.length === 0
+        ? 'no employee has this ID or name'
+        : `${matches.length} employees share this name; use their ID`
+    };
+  }
+
+  // Create, update and link employees from parsed CSV rows, first adding the
+  // custom fields in `newFields`. `ignoredColumns` is passed on in the summary.
+  _applyCSVRows(rows, mergeMode, keyColumn = null, { newFields = [], ignoredColumns = [] } = {}) {
+    newFields.forEach((field) => this.addCustomField(field));
+
+    // Store current employees if in merge mode
+    const existingEmployees = mergeMode ? {...this.employees} : {};
+    
+    // If not in merge mode, reset the org chart
+    if (!mergeMode) {
+      Object.values(this.employees).forEach((employee) => this._unregisterEmployee(employee));
+    }
+    
+    // Map each CSV row to the employee it created or updated, so relationships
+    // can be set up once every employee exists
+    const rowEmployees = new Map();
+    const warnings = [];
+    // Manager references that could not be resolved: { row, name, reference, reason }
+    const unresolved = [];
+    // Manager links refused because they would close a loop: { row, name, chain }
+    const cycles = [];
+    // Dotted-line manager references that could not be resolved: { row, name, reference, reason }
+    const unresolvedDottedLines = [];
+    // Custom field values that failed validation and were left blank: { row, name, field, reason }
+    const invalidValues = [];
+    
+    // Check a row's custom field values, leaving out blank and invalid ones
+    const rowFieldValues = (row) => {
+      const values = {};
+      Object.entries(row.fields).forEach(([key, input]) => {
+        const field = this.getCustomField(key);
+        try {
+          const value = OrgChart.parseCustomFieldValue(field, input);
+          if (value !== null) values[key] = value;
+        } catch (err) {
+          invalidValues.push({ row: row.rowNumber, name: row.name, field: field.label, reason: err.message });
+        }
+      });
+      return values;
+    };
+    let newEmployeesCount = 0;
+    let updatedEmployeesCount = 0;
+    
+    const { valid, skipped } = this._checkCSVRows(rows);
+    
+    // First pass: create or update employees
+    valid.forEach(row => {
+      // Check if this employee already exists in merge mode
+      const existingEmployee = mergeMode ? this._findMergeTarget(row, existingEmployees) : null;
+      
+      const fieldValues = rowFieldValues(row);
+      
+      if (existingEmployee && mergeMode && existingEmployee.isVacancy && row.type === 'employee') {
+        // A person now holds the position
+        this.fillVacancy(existingEmployee.id, row);
+        this.editEmployee(existingEmployee.id, { fields: fieldValues });
+        
+        rowEmployees.set(row, existingEmployee);
+        updatedEmployeesCount++;
+      } else if (existingEmployee && mergeMode) {
+        // Update existing employee with data from CSV
+        this.editEmployee(existingEmployee.id, {
+          title: row.title,
+          lob: row.lob || existingEmployee.lob,
+          division: row.division || existingEmployee.division,
+          dept: row.dept || existingEmployee.dept,
+          email: row.email || existingEmployee.email,
+          status: row.status || existingEmployee.status,
+          fields: fieldValues
+        });
+        // Don't update ID if it already exists
+        
+        rowEmployees.set(row, existingEmployee);
+        updatedEmployeesCount++;
+      } else {
+        // Create new employee
+        const employee = new Employee(
+          row.name,
+          row.title,
+          0, // Level will be set when building relationships
+          row.lob || '',
+          row.division || '',
+          row.dept || '',
+          row.email || '',
+          row.id || null
+        );
+        if (row.type === 'vacancy') {
+          employee.type = 'vacancy';
+          employee.status = row.status || 'open';
+        }
+        employee.fields = fieldValues;
+        
+        rowEmployees.set(row, employee);
+        this._registerEmployee(employee);
+        newEmployeesCount++;
+      }
+    });
+    
+    // Map each manager-key value to the employee on that row; null marks a
+    // value shared by several rows
+    let keyIndex = null;
+    if (keyColumn) {
+      keyIndex = new Map();
+      rowEmployees.forEach((employee, row) => {
+        if (row.key) {
+          keyIndex.set(row.key, keyIndex.has(row.key) ? null : employee);
+        }
+      });
+    }
+    
+    // Second pass: establish manager-report relationships for new or updated employees
+    rowEmployees.forEach((employee, row) => {
+      const resolved = this._resolveCSVManager(row, keyIndex, keyColumn);
+      if (!resolved) {
+        return;
+      }
+      
+      const { manager } = resolved;
+      if (!manager) {
+        unresolved.push({ row: row.rowNumber, name: row.name, reference: resolved.reference, reason: resolved.reason });
+      } else if (manager === employee) {
+        unresolved.push({ row: row.rowNumber, name: row.name, reference: row.manager_id || row.manager_email || row.manager, reason: 'refers to the employee themselves' });
+      } else if (this.isInSubtree(manager.id, employee.id)) {
+        // e.g. A reports to B reports to A: the link that would close the loop is left out
+        const chain = [employee.name];
+        for (let current = manager; current !== employee; current = current.manager) {
+          chain.push(current.name);
+        }
+        chain.push(employee.name);
+        cycles.push({ row: row.rowNumber, name: row.name, chain });
+      } else if (!manager.reports.includes(employee)) {
+        // Remove from previous manager's reports if it exists somewhere else
+        this._detach(employee);
+        
+        // Add to new manager
+        this._attach(manager, employee);
+      }
+    });
+    
+    // Third pass: dotted lines, once every solid line is in place. A blank
+    // cell keeps an existing employee's dotted lines when merging.
+    rowEmployees.forEach((employee, row) => {
+      this._touch(employee);
+      const references = row.dotted_line_managers
+        .split(CSV_LIST_SEPARATOR)
+        .map((reference) => reference.trim())
+        .filter(Boolean);
+      if (references.length === 0) {
+        employee.dottedLineManagers = employee.dottedLineManagers
+          .filter((managerId) => !employee.manager || managerId !== employee.manager.id);
+        return;
+      }
+      
+      const managerIds = [];
+      references.forEach((reference) => {
+        const resolved = this._resolveCSVReference(reference, keyIndex, keyColumn);
+        if (!resolved.manager) {
+          unresolvedDottedLines.push({ row: row.rowNumber, name: row.name, reference, reason: resolved.reason });
+        } else if (resolved.manager === employee) {
+          unresolvedDottedLines.push({ row: row.rowNumber, name: row.name, reference, reason: 'refers to the employee themselves' });
+        } else if (resolved.manager !== employee.manager && !managerIds.includes(resolved.manager.id)) {
+          managerIds.push(resolved.manager.id);
+        }
+      });
+      employee.dottedLineManagers = managerIds;
+    });
+    
+    // Find the root if we're not in merge mode or if we don't have a root yet
+    if (!mergeMode || !this.root) {
+      // Anyone without a manager is a candidate root
+      const possibleRoots = Object.values(this.employees).filter(e => !e.manager);
+      
+      if (possibleRoots.length === 0) {
+        // Throwing makes _recordChange restore the previous state
+        throw new Error('No root employee found. CSV should have at least one employee with no manager.');
+      }
+      
+      if (possibleRoots.length > 1) {
+        warnings.push(`Found ${possibleRoots.length} employees with no manager. Each heads its own top-level tree.`);
+      }
+      
+      this.root = possibleRoots[0];
+    }
+    
+    return {
+      added: newEmployeesCount,
+      updated: updatedEmployeesCount,
+      total: Object.keys(this.employees).length,
+      warnings,
+      skipped,
+      unresolved,
+      unresolvedDottedLines,
+      invalidValues,
+      cycles,
+      newFields,
+      ignoredColumns
+    };
+  }
+}
+
+// Inline stylesheet for the HTML export (see OrgReports.html)
+const HTML_EXPORT_STYLE = `
+  body { margin: 0; font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2933; background: #f5f7fa; }
+  header { padding: 16px 24px; background: #1f3a5f; color: #fff; }
+  header h1 { margin: 0 0 4px; font-size: 22px; }
+  header p { margin: 0; font-size: 13px; opacity: 0.8; }
+  .toolbar { display: flex; gap: 8px; align-items: center; padding: 12px 24px; background: #fff; border-bottom: 1px solid #d9e2ec; }
+  .toolbar input { flex: 1; max-width: 360px; padding: 6px 10px; font-size: 14px; border: 1px solid #bcccdc; border-radius: 4px; }
+  .toolbar button { padding: 6px 10px; font-size: 13px; border: 1px solid #bcccdc; border-radius: 4px; background: #fff; cursor: pointer; }
+  .toolbar .matches { font-size: 13px; color: #52606d; }
+  main { display: flex; align-items: flex-start; gap: 24px; padding: 16px 24px; }
+  #tree { flex: 1; min-width: 0; }
+  #tree ul { list-style: none; margin: 0; padding-left: 20px; border-left: 1px dotted #bcccdc; }
+  #tree > ul { padding-left: 0; border-left: none; }
+  #tree li.collapsed > ul { display: none; }
+  .node { display: inline-flex; align-items: center; gap: 4px; margin: 2px 0; padding: 2px 6px; border-radius: 4px; cursor: pointer; }
+  .node:hover { background: #e4ecf7; }
+  .node.selected { background: #1f3a5f; color: #fff; }
+  .node.match { outline: 2px solid #f0b429; }
+  .node.vacancy .label { font-style: italic; color: #8d6e00; }
+  .node.selected.vacancy .label { color: #ffe08a; }
+  .toggle { display: inline-block; width: 14px; color: #52606d; }
+  .count { font-size: 11px; color: #829ab1; }
+  #details { width: 360px; position: sticky; top: 16px; padding: 16px; background: #fff; border: 1px solid #d9e2ec; border-radius: 6px; }
+  #details h2 { margin: 0 0 12px; font-size: 18px; }
+  #details h3 { margin: 16px 0 6px; font-size: 14px; }
+  #details table { border-collapse: collapse; font-size: 13px; }
+  #details td { padding: 2px 12px 2px 0; vertical-align: top; }
+  #details td:first-child { color: #52606d; white-space: nowrap; }
+  #details ul { margin: 0; padding-left: 18px; font-size: 13px; }
+  #details a { color: #1f5fa8; cursor: pointer; }
+  .empty { color: #829ab1; font-size: 13px; }
+`;
+
+// Inline script for the HTML export: builds the collapsible tree from the
+// embedded data, and handles search and the detail panel
+const HTML_EXPORT_SCRIPT = `
+(function () {
+  var data = JSON.parse(document.getElementById('org-data').textContent);
+  var byId = {};
+  data.employees.forEach(function (e) { byId[e.id] = e; });
+  var items = {}; // employee id -> tree <li>
+  var selectedId = null;
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function label(e) {
+    return e.type === 'vacancy' ? '[Vacancy] ' + e.title + ' (' + e.status + ')' : e.name + ' (' + e.title + ')';
+  }
+
+  function setCollapsed(li, collapsed) {
+    if (!li.querySelector('ul')) return;
+    li.classList.toggle('collapsed', collapsed);
+    li.querySelector('.toggle').textContent = collapsed ? '\\u25b8' : '\\u25be';
+  }
+
+  function build(e, parent) {
+    var li = el('li');
+    var row = el('div', 'node' + (e.type === 'vacancy' ? ' vacancy' : ''));
+    row.appendChild(el('span', 'toggle', ''));
+    row.appendChild(el('span', 'label', label(e)));
+    if (e.reports.length > 0) row.appendChild(el('span', 'count', '(' + e.reports.length + ')'));
+    row.addEventListener('click', function () { select(e.id); });
+    li.appendChild(row);
+
+    if (e.reports.length > 0) {
+      var ul = el('ul');
+      e.reports.forEach(function (id) { build(byId[id], ul); });
+      li.appendChild(ul);
+      row.firstChild.addEventListener('click', function (event) {
+        event.stopPropagation();
+        setCollapsed(li, !li.classList.contains('collapsed'));
+      });
+      // Large charts open with only the top levels expanded
+      setCollapsed(li, e.depth >= 2);
+    }
+
+    items[e.id] = li;
+    parent.appendChild(li);
+  }
+
+  // Expand every manager above an employee so they can be seen
+  function reveal(id) {
+    var e = byId[id];
+    e.path.slice(0, -1).forEach(function (step) {
+      if (items[step.id]) setCollapsed(items[step.id], false);
+    });
+  }
+
+  function personLink(person) {
+    if (!byId[person.id]) return el('span', '', person.name + ' (' + person.title + ')');
+    var link = el('a', '', person.name + ' (' + person.title + ')');
+    link.addEventListener('click', function () { select(person.id); });
+    return link;
+  }
+
+  function list(people, emptyText) {
+    if (people.length === 0) return el('p', 'empty', emptyText);
+    var ul = el('ul');
+    people.forEach(function (person) {
+      var li = el('li');
+      li.appendChild(personLink(person));
+      ul.appendChild(li);
+    });
+    return ul;
+  }
+
+  function select(id) {
+    var e = byId[id];
+    if (selectedId && items[selectedId]) items[selectedId].firstChild.classList.remove('selected');
+    selectedId = id;
+    items[id].firstChild.classList.add('selected');
+    reveal(id);
+    items[id].firstChild.scrollIntoView({ block: 'nearest' });
+
+    var panel = document.getElementById('details');
+    panel.textContent = '';
+    panel.appendChild(el('h2', '', e.type === 'vacancy' ? 'Vacancy: ' + e.title : e.name));
+
+    var table = el('table');
+    e.details.forEach(function (pair) {
+      var tr = el('tr');
+      tr.appendChild(el('td', '', pair[0]));
+      tr.appendChild(el('td', '', pair[1]));
+      table.appendChild(tr);
+    });
+    panel.appendChild(table);
+
+    panel.appendChild(el('h3', '', 'Organizational Hierarchy'));
+    panel.appendChild(list(e.path, ''));
+
+    if (e.dottedLineManagers.length > 0) {
+      panel.appendChild(el('h3', '', 'Dotted-Line Managers'));
+      panel.appendChild(list(e.dottedLineManagers, ''));
+    }
+    if (e.dottedLineReports.length > 0) {
+      panel.appendChild(el('h3', '', 'Dotted-Line Reports'));
+      panel.appendChild(list(e.dottedLineReports, ''));
+    }
+
+    // Direct reports, each with their own reports beneath them
+    panel.appendChild(el('h3', '', 'Direct Reports'));
+    var reports = list(e.reports.map(function (reportId) { return byId[reportId]; }), 'No direct reports');
+    e.reports.forEach(function (reportId, index) {
+      var subReports = byId[reportId].reports.map(function (subId) { return byId[subId]; });
+      if (subReports.length > 0) reports.children[index].appendChild(list(subReports, ''));
+    });
+    panel.appendChild(reports);
+  }
+
+  function search(query) {
+    query = query.trim().toLowerCase();
+    var matches = [];
+    data.employees.forEach(function (e) {
+      var row = items[e.id].firstChild;
+      var isMatch = query !== '' && e.search.indexOf(query) !== -1;
+      row.classList.toggle('match', isMatch);
+      if (isMatch) {
+        matches.push(e.id);
+        reveal(e.id);
+      }
+    });
+    document.getElementById('matches').textContent = query === '' ? '' : matches.length + ' match' + (matches.length === 1 ? '' : 'es');
+    return matches;
+  }
+
+  var tree = document.getElementById('tree');
+  var top = el('ul');
+  data.roots.forEach(function (id) { build(byId[id], top); });
+  tree.appendChild(top);
+
+  var input = document.getElementById('search');
+  input.addEventListener('input', function () { search(input.value); });
+  input.addEventListener('keydown', function (event) {
+    if (event.key !== 'Enter') return;
+    var matches = search(input.value);
+    if (matches.length > 0) select(matches[0]);
+  });
+
+  document.getElementById('expand').addEventListener('click', function () {
+    Object.keys(items).forEach(function (id) { setCollapsed(items[id], false); });
+  });
+  document.getElementById('collapse').addEventListener('click', function () {
+    Object.keys(items).forEach(function (id) { setCollapsed(items[id], byId[id].depth >= 1); });
+  });
+
+  if (data.roots.length > 0) select(data.roots[0]);
+})();
+`;
+
+// Builds the plain-text reports, diagram exports and HTML page for an org
+// chart. Every method returns the report as a string and leaves writing it
+// out to the caller.
+class OrgReports {
+  constructor(orgChart) {
+    this.orgChart = orgChart;
+  }
+
+  // Everyone under `rootEmployee` including them, or every top-level tree
+  // when it is null, in tree order
+  _employeesInScope(rootEmployee = null) {
+    const tops = rootEmployee ? [rootEmployee] : this.orgChart.getRoots();
+    return tops.flatMap((top) => [top, ...this.orgChart.getSubtree(top.id)]);
+  }
+
+  // The values of `fields` for an employee, skipping blank ones. Fields are
+  // names from LABEL_FIELDS or custom field keys; throws on any other name.
+  _labelLines(employee, fields) {
+    return fields
+      .map((field) => {
+        if (LABEL_FIELDS.includes(field)) return employee[field];
+        if (this.orgChart.getCustomField(field)) return employee.fields[field];
+        throw new Error(`Unknown label field "${field}". Choose from: ${[...LABEL_FIELDS, ...this.orgChart.customFields.map((f) => f.key)].join(', ')}`);
+      })
+      .filter((value) => value !== undefined && value !== null && value !== '')
+      .map(String);
+  }
+
+  // Build a Graphviz DOT graph of the whole chart, or of the subtree under
+  // `rootEmployee`. `label` lists the fields shown in each box, `cluster`
+  // (one of CLUSTER_FIELDS) groups boxes by that field, and `dottedLines`
+  // adds dashed edges for dotted-line managers within the graph.
+  dot(rootEmployee = null, { label = ['name', 'title'], cluster = null, dottedLines = true } = {}) {
+    if (cluster && !CLUSTER_FIELDS.includes(cluster)) {
+      throw new Error(`Cannot cluster by "${cluster}". Choose from: ${CLUSTER_FIELDS.join(', ')}`);
+    }
+
+    // DOT strings are double-quoted; \n inside a label is a line break
+    const quote = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+
+    const employees = this._employeesInScope(rootEmployee);
+    const inScope = new Set(employees);
+    const title = rootEmployee ? `${rootEmployee.name} (${rootEmployee.title})` : this.orgChart.title;
+
+    const nodeLine = (employee) => {
+      const attributes = [`label=${quote(this._labelLines(employee, label).join('\n'))}`];
+      if (employee.isVacancy) {
+        attributes.push('style="rounded,dashed"', 'fillcolor=white');
+      }
+      return `${quote(employee.id)} [${attributes.join(', ')}];`;
+    };
+
+    const lines = [];
+    lines.push('digraph OrgChart {');
+    lines.push(`  graph [rankdir=TB${title ? `, label=${quote(title)}, labelloc=t` : ''}];`);
+    lines.push('  node [shape=box, style="rounded,filled", fillcolor="#eef3fb", fontname="Helvetica"];');
+    lines.push('  edge [arrowhead=none];');
+    lines.push('');
+
+    // Boxes, grouped into one cluster per value of the cluster field
+    if (cluster) {
+      const groups = new Map();
+      employees.forEach((employee) => {
+        const value = employee[cluster] || '';
+        groups.set(value, [...(groups.get(value) || []), employee]);
+      });
+
+      let clusterIdx = 0;
+      groups.forEach((members, value) => {
+        if (!value) {
+          // Employees without a value sit outside any cluster
+          members.forEach((employee) => lines.push(`  ${nodeLine(employee)}`));
+          return;
+        }
+        lines.push(`  subgraph ${quote(`cluster_${clusterIdx++}`)} {`);
+        lines.push(`    label=${quote(value)};`);
+        lines.push('    style="rounded,dashed";');
+        members.forEach((employee) => lines.push(`    ${nodeLine(employee)}`));
+        lines.push('  }');
+      });
+    } else {
+      employees.forEach((employee) => lines.push(`  ${nodeLine(employee)}`));
+    }
+    lines.push('');
+
+    // Reporting lines
+    employees.forEach((employee) => {
+      if (employee.manager && inScope.has(employee.manager)) {
+        lines.push(`  ${quote(employee.manager.id)} -> ${quote(employee.id)};`);
+      }
+    });
+
+    // Dotted lines between people who are both in the graph
+    if (dottedLines) {
+      employees.forEach((employee) => {
+        this.orgChart.getDottedLineManagers(employee.id)
+          .filter((manager) => inScope.has(manager))
+          .forEach((manager) => {
+            lines.push(`  ${quote(manager.id)} -> ${quote(employee.id)} [style=dashed, constraint=false];`);
+          });
+      });
+    }
+
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+  }
+
+  // Build a Mermaid `flowchart TD` of the whole chart, or of the subtree under
+  // `rootEmployee`. `label` is as for dot. `maxDepth` limits how many levels
+  // below each top employee are drawn; a manager whose reports are cut off
+  // gets a "+ N more" box instead. `fence` wraps it in a Markdown code block.
+  mermaid(rootEmployee = null, { label = ['name', 'title'], maxDepth = Infinity, dottedLines = true, fence = false } = {}) {
+    // Labels are double-quoted; characters Mermaid would read as syntax are
+    // written as entity codes (# first, since the codes use it)
+    const escape = (text) => text
+      .replace(/#/g, '#35;')
+      .replace(/"/g, '#quot;')
+      .replace(/&/g, '#amp;')
+      .replace(/</g, '#lt;')
+      .replace(/>/g, '#gt;')
+      .replace(/\s*\r?\n\s*/g, ' ');
+
+    const lines = ['flowchart TD'];
+    const edges = [];
+    const vacancies = [];
+    const nodeIds = new Map(); // employee -> Mermaid node id
+    let moreCount = 0;
+
+    const tops = rootEmployee ? [rootEmployee] : this.orgChart.getRoots();
+    tops.forEach((top) => {
+      const stack = [[top, 0]];
+      while (stack.length > 0) {
+        const [employee, depth] = stack.pop();
+        const id = `n${nodeIds.size}`;
+        nodeIds.set(employee, id);
+        lines.push(`  ${id}["${this._labelLines(employee, label).map(escape).join('<br/>')}"]`);
+        if (employee.isVacancy) vacancies.push(id);
+        if (employee.manager && nodeIds.has(employee.manager)) {
+          edges.push(`  ${nodeIds.get(employee.manager)} --> ${id}`);
+        }
+
+        if (employee.reports.length === 0) continue;
+        if (depth >= maxDepth) {
+          // Summarise the reports below the depth limit
+          const hidden = this.orgChart.getSubtree(employee.id).length;
+          const moreId = `more${moreCount++}`;
+          lines.push(`  ${moreId}(["+ ${hidden} more"])`);
+          edges.push(`  ${id} --> ${moreId}`);
+          continue;
+        }
+        for (let i = employee.reports.length - 1; i >= 0; i--) {
+          stack.push([employee.reports[i], depth + 1]);
+        }
+      }
+    });
+
+    lines.push(...edges);
+
+    // Dotted lines between people who are both drawn
+    if (dottedLines) {
+      nodeIds.forEach((id, employee) => {
+        this.orgChart.getDottedLineManagers(employee.id)
+          .filter((manager) => nodeIds.has(manager))
+          .forEach((manager) => lines.push(`  ${nodeIds.get(manager)} -.- ${id}`));
+      });
+    }
+
+    if (vacancies.length > 0) {
+      lines.push('  classDef vacancy stroke-dasharray: 5 5');
+      lines.push(`  class ${vacancies.join(',')} vacancy`);
+    }
+
+    const content = lines.join('\n');
+    return fence ? `\`\`\`mermaid\n${content}\n\`\`\`\n` : `${content}\n`;
+  }
+
+  // Lay out the whole chart, or the subtree under `rootEmployee`, as a
+  // top-down box diagram. Sizes are in whatever unit the caller draws in
+  // (pixels for SVG, characters in the terminal). With `compactLeaves`, a
+  // manager's reports who have no reports of their own are stacked in a
+  // column instead of spread across the row. Reports more than `maxDepth`
+  // levels below the top, and with `collapseICs` a manager's two or more
+  // reports who have no reports of their own, are summed up in a single
+  // rollup box, as formatTree does. Returns { nodes, lines, width, height }:
+  // each node is { employee, rollup, x, y }, the top-left corner of its box,
+  // where a rollup box has no employee and a rollup of { reports, total }
+  // (see OrgChart.rollupLabel), and each line is a connector segment
+  // { x1, y1, x2, y2 }.
+  layout(rootEmployee = null, {
+    nodeWidth = 180,
+    nodeHeight = 48,
+    gapX = 24,
+    gapY = 40,
+    stackIndent = 24,
+    stackGap = 12,
+    compactLeaves = true,
+    maxDepth = Infinity,
+    collapseICs = false
+  } = {}) {
+    const center = Math.floor(nodeWidth / 2);
+
+    // The boxes below an employee `depth` levels from the top: their reports,
+    // with rollups in place of those summed up
+    const boxesBelow = (employee, depth) => {
+      if (employee.reports.length > 0 && depth >= maxDepth) {
+        return [{ rollup: { reports: employee.reports, total: this.orgChart.getSubtree(employee.id).length } }];
+      }
+      const ics = employee.reports.filter((report) => report.reports.length === 0);
+      if (collapseICs && ics.length >= 2) {
+        return [
+          ...employee.reports.filter((report) => report.reports.length > 0),
+          { rollup: { reports: ics, total: ics.length } }
+        ];
+      }
+      return employee.reports;
+    };
+    const isLeaf = (box) => Boolean(box.rollup) || box.reports.length === 0;
+    const nodeAt = (box, x, y) => (box.rollup
+      ? { employee: null, rollup: box.rollup, x, y }
+      : { employee: box, rollup: null, x, y });
+
+    // First pass: how much room each subtree needs, and where its manager's
+    // box sits within that room
+    const measure = (box, depth) => {
+      const below = box.rollup ? [] : boxesBelow(box, depth);
+      const leaves = compactLeaves ? below.filter(isLeaf) : [];
+      const stacked = leaves.length >= 2 ? leaves : [];
+      const children = below.filter((report) => !stacked.includes(report)).map((report) => measure(report, depth + 1));
+      const stackHeight = stacked.length * (nodeHeight + stackGap) - stackGap;
+      const block = { box, stacked, children, nodeX: 0, width: nodeWidth, height: nodeHeight };
+
+      if (stacked.length > 0 && children.length === 0) {
+        // Only a stack: it hangs from a spine near the manager's left edge
+        block.width = Math.max(nodeWidth, stackIndent + nodeWidth);
+        block.height = nodeHeight + stackGap + stackHeight;
+        return block;
+      }
+      if (children.length === 0) {
+        return block;
+      }
+
+      // Side by side in a row, the stack (if any) first. Each item has an
+      // anchor where its connector drops from the bus above the row.
+      const items = [];
+      if (stacked.length > 0) {
+        items.push({ width: stackIndent + nodeWidth, height: stackHeight, anchor: Math.floor(stackIndent / 2) });
+      }
+      children.forEach((child) => items.push({ block: child, width: child.width, height: child.height, anchor: child.nodeX + center }));
+
+      let offset = 0;
+      items.forEach((item) => {
+        item.left = offset;
+        offset += item.width + gapX;
+      });
+      const rowWidth = offset - gapX;
+
+      // Centre the manager over the first and last anchors, shifting the row
+      // right if that would push the manager's box past the left edge
+      const managerCenter = Math.floor((items[0].left + items[0].anchor + items[items.length - 1].left + items[items.length - 1].anchor) / 2);
+      const rowOffset = Math.max(0, center - managerCenter);
+      block.items = items;
+      block.rowOffset = rowOffset;
+      block.nodeX = rowOffset + managerCenter - center;
+      block.width = Math.max(rowOffset + rowWidth, block.nodeX + nodeWidth);
+      block.height = nodeHeight + gapY + Math.max(...items.map((item) => item.height));
+      return block;
+    };
+
+    const nodes = [];
+    const lines = [];
+    const line = (x1, y1, x2, y2) => lines.push({ x1, y1, x2, y2 });
+
+    // A column of leaf reports hanging from a spine at `spineX`
+    const placeStack = (stacked, spineX, spineTop, left, top) => {
+      stacked.forEach((box, index) => {
+        const y = top + index * (nodeHeight + stackGap);
+        nodes.push(nodeAt(box, left, y));
+        line(spineX, Math.floor(y + nodeHeight / 2), left, Math.floor(y + nodeHeight / 2));
+      });
+      const lastMiddle = Math.floor(top + (stacked.length - 1) * (nodeHeight + stackGap) + nodeHeight / 2);
+      line(spineX, spineTop, spineX, lastMiddle);
+    };
+
+    // Second pass: absolute positions
+    const place = (block, left, top) => {
+      const x = left + block.nodeX;
+      const bottom = top + nodeHeight;
+      nodes.push(nodeAt(block.box, x, top));
+
+      if (!block.items) {
+        if (block.stacked.length > 0) {
+          placeStack(block.stacked, x + Math.floor(stackIndent / 2), bottom, x + stackIndent, bottom + stackGap);
+        }
+        return;
+      }
+
+      const busY = bottom + Math.floor(gapY / 2);
+      const rowTop = bottom + gapY;
+      const rowLeft = left + block.rowOffset;
+      const anchors = block.items.map((item) => rowLeft + item.left + item.anchor);
+      line(x + center, bottom, x + center, busY);
+      if (anchors.length > 1) {
+        line(anchors[0], busY, anchors[anchors.length - 1], busY);
+      }
+
+      block.items.forEach((item, index) => {
+        const itemLeft = rowLeft + item.left;
+        if (item.block) {
+          line(anchors[index], busY, anchors[index], rowTop);
+          place(item.block, itemLeft, rowTop);
+        } else {
+          placeStack(block.stacked, anchors[index], busY, itemLeft + stackIndent, rowTop);
+        }
+      });
+    };
+
+    // Separate top-level trees sit side by side
+    const tops = rootEmployee ? [rootEmployee] : this.orgChart.getRoots();
+    let left = 0;
+    let height = 0;
+    tops.map((top) => measure(top, 0)).forEach((block) => {
+      place(block, left, 0);
+      left += block.width + gapX;
+      height = Math.max(height, block.height);
+    });
+
+    return { nodes, lines, width: Math.max(0, left - gapX), height };
+  }
+
+  // Build an SVG box-and-line diagram of the whole chart, or of the subtree
+  // under `rootEmployee`, using layout(). `label` lists the fields shown in
+  // each box, one per line; text too long for a box is cut short with "…".
+  // `compactLeaves` stacks leaf reports, and `dottedLines` adds dashed curves
+  // for dotted-line managers within the diagram.
+  svg(rootEmployee = null, { label = ['name', 'title'], nodeWidth = 180, compactLeaves = true, dottedLines = true } = {}) {
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+
+    // Roughly how many characters of 12px text fit in a box
+    const lineHeight = 16;
+    const padding = 8;
+    const maxChars = Math.max(4, Math.floor((nodeWidth - 2 * padding) / 7));
+    const fit = (text) => (text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text);
+
+    const nodeHeight = Math.max(1, label.length) * lineHeight + 2 * padding;
+    const { nodes, lines, width, height } = this.layout(rootEmployee, { nodeWidth, nodeHeight, compactLeaves });
+    const margin = 20;
+    const shift = (value) => value + margin;
+
+    const out = [];
+    out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width + 2 * margin}" height="${height + 2 * margin}" viewBox="0 0 ${width + 2 * margin} ${height + 2 * margin}" font-family="Helvetica, Arial, sans-serif" font-size="12">`);
+    out.push(`  <title>${escape(this.orgChart.title || 'Organization Chart')}</title>`);
+    out.push('  <rect width="100%" height="100%" fill="#ffffff"/>');
+
+    // Connectors go underneath the boxes
+    out.push('  <g stroke="#829ab1" stroke-width="1.5" fill="none">');
+    lines.forEach(({ x1, y1, x2, y2 }) => {
+      out.push(`    <path d="M${shift(x1)} ${shift(y1)} L${shift(x2)} ${shift(y2)}"/>`);
+    });
+    out.push('  </g>');
+
+    if (dottedLines) {
+      const positions = new Map(nodes.map((node) => [node.employee, node]));
+      const curves = [];
+      nodes.forEach(({ employee, x, y }) => {
+        this.orgChart.getDottedLineManagers(employee.id)
+          .filter((manager) => positions.has(manager))
+          .forEach((manager) => {
+            const from = positions.get(manager);
+            const x1 = shift(from.x + nodeWidth / 2);
+            const y1 = shift(from.y + nodeHeight);
+            const x2 = shift(x + nodeWidth / 2);
+            const y2 = shift(y);
+            curves.push(`    <path d="M${x1} ${y1} C${x1} ${y1 + 40} ${x2} ${y2 - 40} ${x2} ${y2}"/>`);
+          });
+      });
+      if (curves.length > 0) {
+        out.push('  <g stroke="#b44cb4" stroke-width="1.5" stroke-dasharray="6 4" fill="none">');
+        out.push(...curves);
+        out.push('  </g>');
+      }
+    }
+
+    nodes.forEach(({ employee, x, y }) => {
+      const textLines = this._labelLines(employee, label);
+      const dash = employee.isVacancy ? ' stroke-dasharray="5 4"' : '';
+      out.push(`  <g transform="translate(${shift(x)} ${shift(y)})">`);
+      out.push(`    <rect width="${nodeWidth}" height="${nodeHeight}" rx="6" fill="${employee.isVacancy ? '#fff8e1' : '#f0f4f8'}" stroke="#1f3a5f"${dash}/>`);
+      textLines.forEach((text, index) => {
+        const weight = index === 0 ? ' font-weight="bold"' : ' fill="#52606d"';
+        out.push(`    <text x="${nodeWidth / 2}" y="${padding + (index + 1) * lineHeight - 4}" text-anchor="middle"${weight}>${escape(fit(text))}</text>`);
+      });
+      out.push('  </g>');
+    });
+
+    out.push('</svg>');
+    return `${out.join('\n')}\n`;
+  }
+
+  // Build a self-contained HTML page of the whole chart, or of the subtree
+  // under `rootEmployee`: a collapsible tree with a search box, and a detail
+  // panel showing what the employee details screen shows. The page loads
+  // nothing from the network, so it can be emailed and opened offline.
+  html(rootEmployee = null) {
+    const person = (employee) => ({ id: employee.id, name: employee.name, title: employee.title });
+    const employees = this._employeesInScope(rootEmployee);
+    const topDepth = rootEmployee ? this.orgChart.getPath(rootEmployee.id).length : 1;
+
+    const data = {
+      roots: (rootEmployee ? [rootEmployee] : this.orgChart.getRoots()).map((top) => top.id),
+      employees: employees.map((employee) => {
+        const path = this.orgChart.getPath(employee.id);
+        const details = employee.isVacancy
+          ? [['ID', employee.id], ['Status', employee.status], ['Hiring manager', employee.manager ? employee.manager.name : 'None']]
+          : [['ID', employee.id], ['Name', employee.name]];
+        details.push(
+          ['Title', employee.title],
+          ['LOB', employee.lob],
+          ['Division', employee.division],
+          ['Department', employee.dept],
+          ['Email', employee.email],
+          ...this.orgChart.customFields.map(({ key, label }) => [label, employee.fields[key] ?? '']),
+          ['Level', employee.level]
+        );
+
+        return {
+          id: employee.id,
+          name: employee.name,
+          title: employee.title,
+          type: employee.type,
+          status: employee.status,
+          depth: path.length - topDepth,
+          details: details.map(([label, value]) => [label, String(value ?? '')]),
+          path: path.map(person),
+          dottedLineManagers: this.orgChart.getDottedLineManagers(employee.id).map(person),
+          dottedLineReports: this.orgChart.getDottedLineReports(employee.id).map(person),
+          reports: employee.reports.map((report) => report.id),
+          // Everything the search box matches against
+          search: details.map(([, value]) => String(value ?? '')).join('\n').toLowerCase()
+        };
+      })
+    };
+
+    const escapeHTML = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    // The data sits inside a <script> element, so it must not contain "<"
+    const json = JSON.stringify(data).replace(/</g, '\\u003c');
+
+    const title = this.orgChart.title || 'Organization Chart';
+    const vacancies = employees.filter((employee) => employee.isVacancy).length;
+    let summary = `${employees.length - vacancies} employees`;
+    if (vacancies > 0) {
+      summary += `, ${vacancies} open vacancies`;
+    }
+    if (rootEmployee) {
+      summary = `Subtree under ${rootEmployee.name} · ${summary}`;
+    }
+    summary += ` · Generated on ${new Date().toLocaleString()}`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)}</title>
+<style>${HTML_EXPORT_STYLE}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHTML(title)}</h1>
+  <p>${escapeHTML(summary)}</p>
+</header>
+<div class="toolbar">
+  <input id="search" type="search" placeholder="Search name, title, department, email..." autocomplete="off">
+  <span id="matches" class="matches"></span>
+  <button id="expand" type="button">Expand all</button>
+  <button id="collapse" type="button">Collapse all</button>
+</div>
+<main>
+  <div id="tree"></div>
+  <aside id="details"></aside>
+</main>
+<script type="application/json" id="org-data">${json}</script>
+<script>${HTML_EXPORT_SCRIPT}</script>
+</body>
+</html>
+`;
+  }
+
+  // Build the text of the full organization chart report. `maxDepth`,
+  // `collapseICs` and `labelTemplate` are as in OrgChart.formatTree.
+  fullChart({ maxDepth = Infinity, collapseICs = false, labelTemplate = null } = {}) {
+    let content = '';
+
+    // Header
+    content += `ORGANIZATION CHART\n`;
+    content += `=================\n\n`;
+    if (this.orgChart.title) {
+      content += `${this.orgChart.title}\n\n`;
+    }
+
+    content += `Organization Chart\n`;
+    content += `${'─'.repeat(50)}\n`;
+    content += this.orgChart.formatTree(null, { maxDepth, collapseICs, labelTemplate }).join('\n');
+
+    const vacancies = this.orgChart.getVacancies().length;
+    content += '\n\n';
+    content += `Total Employees: ${Object.keys(this.orgChart.employees).length - vacancies}\n`;
+    if (vacancies > 0) {
+      content += `Open Vacancies: ${vacancies}\n`;
+    }
+    content += `Generated on: ${new Date().toLocaleString()}\n`;
+
+    return content;
+  }
+
+  // Build the text of a subtree report rooted at the given employee, with
+  // `maxDepth`, `collapseICs` and `labelTemplate` as in OrgChart.formatTree
+  subtree(rootEmployee, { maxDepth = Infinity, collapseICs = false, labelTemplate = null } = {}) {
+    let content = '';
+
+    // Header
+    content += `ORGANIZATIONAL SUBTREE: ${rootEmployee.name.toUpperCase()}\n`;
+    content += `======================${'='.repeat(rootEmployee.name.length)}\n\n`;
+
+    content += this.orgChart.formatTree(rootEmployee, { maxDepth, collapseICs, labelTemplate }).join('\n');
+
+    content += '\n\n';
+    content += `Generated on: ${new Date().toLocaleString()}\n`;
+
+    return content;
+  }
+
+  // Build the text of the employee directory report
+  directory() {
+    let content = '';
+
+    // Header
+    content += `EMPLOYEE DIRECTORY\n`;
+    content += `=================\n\n`;
+
+    // Sort employees by name; open positions are listed after them
+    const sortedEmployees = Object.values(this.orgChart.employees)
+      .filter((e) => !e.isVacancy)
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    // Add each employee
+    sortedEmployees.forEach((employee, index) => {
+      content += `${index + 1}. ${employee.name}\n`;
+      content += `   ID: ${employee.id}\n`;
+      content += `   Title: ${employee.title}\n`;
+      content += `   LOB: ${employee.lob}\n`;
+      content += `   Division: ${employee.division}\n`;
+      content += `   Department: ${employee.dept}\n`;
+      content += `   Email: ${employee.email}\n`;
+      this.orgChart.customFields.forEach(({ key, label }) => {
+        content += `   ${label}: ${employee.fields[key] ?? ''}\n`;
+      });
+
+      // Manager
+      const manager = this.orgChart._findManager(employee.id);
+      if (manager) {
+        content += `   Reports to: ${manager.name} (${manager.title})\n`;
+      } else {
+        content += `   Reports to: None (Top of organization)\n`;
+      }
+
+      // Dotted-line (matrix) managers
+      const dottedLineManagers = this.orgChart.getDottedLineManagers(employee.id);
+      if (dottedLineManagers.length > 0) {
+        content += `   Dotted line to: ${dottedLineManagers.map((m) => `${m.name} (${m.title})`).join(', ')}\n`;
+      }
+
+      // Add direct reports count
+      if (employee.reports.length > 0) {
+        content += `   Direct reports: ${employee.reports.length}\n`;
+      } else {
+        content += `   Direct reports: None\n`;
+      }
+
+      content += '\n';
+    });
+
+    const vacancies = this.orgChart.getVacancies().sort((a, b) => a.title.localeCompare(b.title));
+    if (vacancies.length > 0) {
+      content += `OPEN POSITIONS\n`;
+      content += `--------------\n\n`;
+      vacancies.forEach((vacancy, index) => {
+        content += `${index + 1}. ${vacancy.title}\n`;
+        content += `   ID: ${vacancy.id}\n`;
+        content += `   Status: ${vacancy.status}\n`;
+        content += `   Department: ${vacancy.dept}\n`;
+        content += vacancy.manager
+          ? `   Hiring manager: ${vacancy.manager.name} (${vacancy.manager.title})\n`
+          : `   Hiring manager: None\n`;
+        content += '\n';
+      });
+    }
+
+    content += `Total Employees: ${sortedEmployees.length}\n`;
+    if (vacancies.length > 0) {
+      content += `Open Vacancies: ${vacancies.length}\n`;
+    }
+    content += `Generated on: ${new Date().toLocaleString()}\n`;
+
+    return content;
+  }
+
+  // Build the text of the matrix report: everyone with a dotted-line manager,
+  // then each dotted-line manager with the people who have a dotted line to them
+  matrix() {
+    let content = '';
+
+    // Header
+    content += `MATRIX REPORTING REPORT\n`;
+    content += `======================\n\n`;
+
+    const employees = Object.values(this.orgChart.employees)
+      .filter((e) => e.dottedLineManagers.length > 0)
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    if (employees.length === 0) {
+      content += `No one has a dotted-line manager.\n\n`;
+    }
+
+    employees.forEach((employee, index) => {
+      content += `${index + 1}. ${employee.name} (${employee.title})\n`;
+      content += employee.manager
+        ? `   Reports to: ${employee.manager.name} (${employee.manager.title})\n`
+        : `   Reports to: None (Top of organization)\n`;
+      this.orgChart.getDottedLineManagers(employee.id).forEach((manager) => {
+        content += `   Dotted line to: ${manager.name} (${manager.title})\n`;
+      });
+      content += '\n';
+    });
+
+    // Group by dotted-line manager, keeping the first-seen order of each group
+    const byManager = new Map();
+    employees.forEach((employee) => {
+      this.orgChart.getDottedLineManagers(employee.id).forEach((manager) => {
+        byManager.set(manager, [...(byManager.get(manager) || []), employee]);
+      });
+    });
+
+    if (byManager.size > 0) {
+      content += `BY DOTTED-LINE MANAGER\n`;
+      content += `----------------------\n`;
+      [...byManager.entries()]
+        .sort(([a], [b]) => a.name.localeCompare(b.name))
+        .forEach(([manager, reports]) => {
+          content += `${manager.name} (${manager.title}): ${reports.length}\n`;
+          reports.forEach((report) => {
+            content += `  - ${report.name} (${report.title})\n`;
+          });
+        });
+      content += '\n';
+    }
+
+    content += `Employees with dotted-line managers: ${employees.length}\n`;
+    content += `Generated on: ${new Date().toLocaleString()}\n`;
+
+    return content;
+  }
+
+  // Build the text of a CSV import preview (see OrgChart.previewCSVImport).
+  // Each section lists at most `limit` entries.
+  csvImportPreview(preview, source, { limit = Infinity } = {}) {
+    let content = '';
+
+    // Header
+    content += `CSV IMPORT REPORT: ${source}\n`;
+    content += `===================${'='.repeat(source.length)}\n\n`;
+
+    content += preview.mergeMode
+      ? 'Mode: merge into the current chart\n'
+      : `Mode: replace the current chart (${preview.replaced} employees)\n`;
+    content += `Rows read: ${preview.rows}\n`;
+    content += preview.error
+      ? `Result: the import would fail: ${preview.error}\n`
+      : `Result: ${preview.added.length} added, ${preview.updated.length} updated, ${preview.moved.length} moved\n`;
+
+    const section = (title, items, formatItem) => {
+      content += `\n${title} (${items.length})\n`;
+      if (items.length === 0) {
+        content += '  None\n';
+        return;
+      }
+      items.slice(0, limit).forEach((item) => {
+        content += `  ${formatItem(item)}\n`;
+      });
+      if (items.length > limit) {
+        content += `  ...and ${items.length - limit} more\n`;
+      }
+    };
+
+    section('Skipped rows', preview.skipped, ({ row, name, reason }) =>
+      `row ${row}: ${name || '(no name)'} - ${reason}`
+    );
+    section('Duplicate names', preview.duplicateNames, ({ name, rows }) =>
+      `${name} - rows ${rows.join(', ')}`
+    );
+    section('Unknown managers', preview.unresolved, ({ row, name, reference, reason }) =>
+      `row ${row}: ${name} -> "${reference}" (${reason})`
+    );
+    section('Unknown dotted-line managers', preview.unresolvedDottedLines, ({ row, name, reference, reason }) =>
+      `row ${row}: ${name} -> "${reference}" (${reason})`
+    );
+    section('Invalid custom field values (left blank)', preview.invalidValues, ({ row, name, field, reason }) =>
+      `row ${row}: ${name} - ${field}: ${reason}`
+    );
+    section('Cycles', preview.cycles, ({ row, chain }) =>
+      `row ${row}: ${chain.join(' reports to ')} (this manager link is left out)`
+    );
+    section('Columns not imported', preview.ignoredColumns, (header) => `"${header}" matches no field`);
+    section('New custom fields', preview.newFields, ({ label, type }) => `${label} (${type})`);
+    section('Employees with no manager', preview.roots, (name) =>
+      name === preview.root ? `${name} (root)` : name
+    );
+    section('Added', preview.added, (name) => name);
+    section('Updated', preview.updated, ({ name, changes }) => `${name}: ${changes.join(', ')}`);
+    section('Moved', preview.moved, ({ name, from, to }) => `${name}: ${from || '(no manager)'} -> ${to || '(no manager)'}`);
+
+    content += `\nGenerated on: ${new Date().toLocaleString()}\n`;
+
+    return content;
+  }
+
+  // Build the text of the organization statistics report
+  statistics() {
+    const nodes = Object.values(this.orgChart.employees);
+    // Open positions are counted separately from people
+    const employees = nodes.filter((e) => !e.isVacancy);
+    const vacancies = nodes.filter((e) => e.isVacancy);
+
+    // Calculate statistics
+    const totalEmployees = employees.length;
+    const maxLevel = employees.reduce((max, e) => Math.max(max, e.level), 0);
+
+    // Count employees by level
+    const employeesByLevel = Array(maxLevel + 1).fill(0);
+    employees.forEach((e) => {
+      employeesByLevel[e.level]++;
+    });
+
+    // Average span of control, counting open positions as reports
+    const managersCount = employees.filter((e) => e.reports.length > 0).length;
+    const topLevelCount = this.orgChart.getRoots().length;
+    const avgSpan =
+      managersCount > 0
+        ? (nodes.length - topLevelCount) / managersCount // Top-level employees report to no one
+        : 0;
+
+    // Find manager with most direct reports
+    let maxReports = 0;
+    let managerWithMostReports = null;
+    employees.forEach((e) => {
+      if (e.reports.length > maxReports) {
+        maxReports = e.reports.length;
+        managerWithMostReports = e;
+      }
+    });
+
+    let content = '';
+
+    // Header
+    content += `ORGANIZATION STATISTICS REPORT\n`;
+    content += `============================\n\n`;
+
+    // General statistics
+    content += `General Statistics:\n`;
+    content += `-----------------\n`;
+    content += `Total Employees: ${totalEmployees}\n`;
+    content += `Open Vacancies: ${vacancies.length}\n`;
+    content += `Top-Level Trees: ${topLevelCount}\n`;
+    content += `Organization Depth: ${maxLevel + 1} levels\n`;
+    content += `Total Managers: ${managersCount}\n`;
+    content += `Average Span of Control: ${avgSpan.toFixed(2)} direct reports per manager\n\n`;
+
+    // Employees by level
+    content += `Employees by Level:\n`;
+    content += `-----------------\n`;
+    employeesByLevel.forEach((count, level) => {
+      content += `Level ${level}: ${count} employees ${
+        level === 0 ? '(Top level)' : ''
+      }\n`;
+    });
+    content += '\n';
+
+    // Manager with most direct reports
+    if (managerWithMostReports) {
+      content += `Manager with Most Direct Reports:\n`;
+      content += `-------------------------------\n`;
+      content += `${managerWithMostReports.name} (${managerWithMostReports.title}): ${maxReports} direct reports\n\n`;
+    }
+
+    // Employees with no direct reports
+    const individualContributors = employees.filter((e) => e.reports.length === 0);
+    content += `Individual Contributors: ${individualContributors.length} (${(
+      (individualContributors.length / totalEmployees) *
+      100
+    ).toFixed(1)}% of organization)\n\n`;
+
+    // Open positions by hiring status
+    if (vacancies.length > 0) {
+      content += `Open Vacancies by Status:\n`;
+      content += `-----------------------\n`;
+      const byStatus = new Map();
+      vacancies.forEach((v) => byStatus.set(v.status, (byStatus.get(v.status) || 0) + 1));
+      byStatus.forEach((count, status) => {
+        content += `${status}: ${count}\n`;
+      });
+      content += '\n';
+    }
+
+    content += `Generated on: ${new Date().toLocaleString()}\n`;
+
+    return content;
+  }
+
+  // Build the text of an employee details report
+  employeeDetails(employee) {
+    let content = '';
+
+    // Basic information
+    if (employee.isVacancy) {
+      content += `VACANCY DETAILS: ${employee.title.toUpperCase()}\n`;
+      content += `===================${'='.repeat(employee.title.length)}\n\n`;
+      content += `ID: ${employee.id}\n`;
+      content += `Status: ${employee.status}\n`;
+      content += `Hiring manager: ${employee.manager ? employee.manager.name : 'None'}\n`;
+    } else {
+      content += `EMPLOYEE DETAILS: ${employee.name.toUpperCase()}\n`;
+      content += `====================${'='.repeat(employee.name.length)}\n\n`;
+      content += `ID: ${employee.id}\n`;
+      content += `Name: ${employee.name}\n`;
+    }
+    content += `Title: ${employee.title}\n`;
+    content += `LOB: ${employee.lob}\n`;
+    content += `Division: ${employee.division}\n`;
+    content += `Department: ${employee.dept}\n`;
+    content += `Email: ${employee.email}\n`;
+    this.orgChart.customFields.forEach(({ key, label }) => {
+      content += `${label}: ${employee.fields[key] ?? ''}\n`;
+    });
+    content += `Level: ${employee.level}\n\n`;
+
+    // Dotted-line relationships, in both directions
+    const dottedLineManagers = this.orgChart.getDottedLineManagers(employee.id);
+    const dottedLineReports = this.orgChart.getDottedLineReports(employee.id);
+    if (dottedLineManagers.length > 0) {
+      content += `DOTTED-LINE MANAGERS:\n`;
+      content += `--------------------\n`;
+      dottedLineManagers.forEach((manager) => {
+        content += `- ${manager.name} (${manager.title})\n`;
+      });
+      content += '\n';
+    }
+    if (dottedLineReports.length > 0) {
+      content += `DOTTED-LINE REPORTS:\n`;
+      content += `-------------------\n`;
+      dottedLineReports.forEach((report) => {
+        content += `- ${report.name} (${report.title})\n`;
+      });
+      content += '\n';
+    }
+
+    // Organization path
+    content += `ORGANIZATIONAL HIERARCHY:\n`;
+    content += `------------------------\n`;
+    const path = this.orgChart.getPath(employee.id);
+
+    if (path.length > 0) {
+      path.forEach((pathEmployee, index) => {
+        const indent = '  '.repeat(index);
+        content += `${indent}${
+          index === path.length - 1 ? '└─ ' : '├─ '
+        }${pathEmployee.name} (${pathEmployee.title})\n`;
+      });
+    }
+
+    content += '\n';
+
+    // Direct reports
+    content += `DIRECT REPORTS:\n`;
+    content += `--------------\n`;
+    if (employee.reports.length > 0) {
+      employee.reports.forEach((report) => {
+        content += `- ${report.name} (${report.title})\n`;
+
+        // Second level (reports of reports)
+        if (report.reports.length > 0) {
+          report.reports.forEach((subReport) => {
+            content += `  └─ ${subReport.name} (${subReport.title})\n`;
+          });
+        }
+      });
+    } else {
+      content += 'No direct reports\n';
+    }
+
+    content += '\n';
+    content += `Generated on: ${new Date().toLocaleString()}\n`;
+
+    return content;
+  }
+}
+
+// Exit codes used by the non-interactive subcommands
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,      // I/O or data errors
+  USAGE: 2,      // Bad or missing arguments
+  NOT_FOUND: 3   // Search matched nothing, or a named employee does not exist
+};
+
+// Options that are flags and never take a value
+const BOOLEAN_OPTIONS = ['merge', 'help', 'repair', 'dry-run', 'top-level', 'dotted-lines', 'remove', 'markdown', 'spread-leaves', 'boxes', 'collapse-ics'];
+
+// Error raised by a command-line subcommand, carrying the process exit code
+class CommandError extends Error {
+  constructor(message, exitCode = EXIT_CODES.ERROR) {
+    super(message);
+    this.name = 'CommandError';
+    this.exitCode = exitCode;
+  }
+}
+
+const COMMAND_USAGE = `Usage: node orgchart.js [command] [options]
+
+Run without a command to start the interactive menus.
+
+Commands:
+  print --file <org.json> [--manager <id|name>] [--dotted-lines] [--depth <levels>] [--collapse-ics] [--boxes]
+        [--label-template <template>] [--color-by division|dept|lob]
+      Print the org chart, or only the subtree under a manager.
+      --dotted-lines notes each employee's dotted-line managers. --depth
+      limits the levels shown below the top and --collapse-ics sums up each
+      manager's individual contributors, in lines such as
+      "+ 14 reports (12 ICs, 2 managers)". --boxes draws a top-down diagram
+      of boxes instead of the indented tree, summing up in rollup boxes.
+      --label-template sets each person's label, e.g. "{name} — {title} [{dept}]";
+      --color-by colour-codes people by division, dept or lob, with a legend
+  add --file <org.json> --name <name> --title <title> [--manager <id|name> | --top-level]
+      [--lob <lob>] [--division <division>] [--dept <dept>] [--email <email>] [--id <id>]
+      [--<custom field key> <value>]
+      Add an employee and save the chart; prints the new employee's ID.
+      --top-level starts a separate top-level tree instead of reporting to a manager
+  add-field --file <org.json> --label <label> --type <text|date|number|enum> [--options <a,b,c>] [--key <key>]
+      Add a custom employee field to the chart; prints its key. Enum fields
+      need --options. Dates are written YYYY-MM-DD
+  remove --file <org.json> (--id <id> | --name <name>) [--reassign-to <id|name>]
+      Remove an employee and save the chart
+  move --file <org.json> (--id <id> | --name <name>) --manager <id|name>
+      Move an employee and their whole team under a new manager; this also
+      attaches a separate top-level tree under an existing manager
+  dotted-line --file <org.json> --employee <id|name> --manager <id|name> [--remove]
+      Record (or with --remove, delete) a dotted-line manager and save the chart
+  add-vacancy --file <org.json> --title <title> --manager <id|name> [--dept <dept>] [--status <status>]
+      Add an open position under its hiring manager; prints the vacancy's ID
+  fill-vacancy --file <org.json> --id <id> --name <name> [--title <title>] [--email <email>]
+      Turn a vacancy into an employee, keeping its place in the tree
+  search <query> --file <org.json> [--type employee|vacancy]
+      Print matching employees as tab-separated id, name, title, dept, email.
+      With --type vacancy the query may be empty to list every vacancy
+  validate --file <org.json> [--repair] [--out <fixed.json>]
+      List every problem in a chart file with its JSON path; exits 1 if any
+      are found. --repair writes a repaired chart back (or to --out)
+  import-csv <data.csv> [--file <org.json>] [--merge] [--mapping <profile>] [--manager-key <column>]
+             [--dry-run] [--report <report.txt>]
+      Import a CSV and write the chart to --file (or to stdout as JSON).
+      Columns are detected from the headers, or taken from a mapping profile
+      saved by the interactive import. Managers are found by the manager_id or
+      manager_email column, or by the manager column as an ID or name; with
+      --manager-key the manager column holds values of that column instead.
+      --dry-run prints a validation report instead of importing; --report
+      saves that report to a file
+  export-csv --file <org.json> [--columns manager_id,level,direct_reports] [--out <people.csv>]
+      Write the chart as CSV that import-csv reads back; --columns adds extras
+  export-dot --file <org.json> [--manager <id|name>] [--label name,title,dept] [--cluster division|dept|lob]
+             [--out <chart.dot>]
+      Write a Graphviz DOT graph of the chart, or of the subtree under a
+      manager. --label picks the fields in each box (custom field keys too)
+  export-mermaid --file <org.json> [--manager <id|name>] [--label name,title] [--depth <levels>] [--markdown]
+                 [--out <chart.mmd>]
+      Write a Mermaid flowchart of the chart or a subtree. --depth limits the
+      levels drawn below the top; --markdown wraps it in a \`\`\`mermaid block
+  export-svg --file <org.json> [--manager <id|name>] [--label name,title] [--width <px>] [--spread-leaves]
+             [--out <chart.svg>]
+      Write an SVG box-and-line diagram of the chart or a subtree. --width sets
+      the box width; reports with no reports of their own are stacked under
+      their manager unless --spread-leaves is given
+  export-html --file <org.json> [--manager <id|name>] [--out <chart.html>]
+      Write a single-file HTML page of the chart or a subtree, with a
+      collapsible tree, search and a details panel; it works offline
+  report <full|subtree|directory|stats|matrix> --file <org.json> [--manager <id|name>] [--out <file>]
+         [--depth <levels>] [--collapse-ics] [--label-template <template>]
+      Print a report to stdout, or save it with --out. The full and subtree
+      reports take --depth, --collapse-ics and --label-template as print does
+  help
+      Show this help
+
+Employees may be given by ID or by name; a name shared by several employees
+must be replaced by an ID.
+
+Exit codes:
+  0  success
+  1  I/O or data error
+  2  invalid usage
+  3  no matches, or employee not found`;
+
+// Keys listed at the foot of the full-screen navigator
+const NAVIGATOR_HELP = '↑↓ move  ←→ collapse/expand  Enter/Space toggle  / search  n next match  d details  e edit  m move  r remove  q quit';
+
+// Full-screen, keyboard-driven view of the tree. run() takes over the
+// terminal until the user quits or picks an action for the highlighted
+// person, and resolves with { action, employeeId } (action is 'details',
+// 'edit', 'move' or 'remove'), or null on quit. Which managers are expanded
+// and who is highlighted are kept between runs, so the caller can carry out
+// the action and reopen the navigator where the user left off.
+// `labelTemplate` and `colorBy` label and colour each line as in
+// OrgChart.formatTree.
+class TreeNavigator {
+  constructor(orgChart, { input = process.stdin, output = process.stdout, labelTemplate = null, colorBy = null } = {}) {
+    this.orgChart = orgChart;
+    this.input = input;
+    this.output = output;
+    this.labelTemplate = labelTemplate;
+    this.colorBy = colorBy;
+    this.expanded = new Set(orgChart.getRoots().map((e) => e.id));
+    this.cursorId = orgChart.root ? orgChart.root.id : null;
+    this.scrollTop = 0;
+    this.query = null; // The search being typed, or null when not searching
+    this.lastQuery = '';
+    this.message = ''; // Shown on the status line until the next key
+  }
+
+  // Take over the terminal until the user quits or chooses an action
+  run() {
+    return new Promise((resolve) => {
+      const { input, output } = this;
+      const render = () => this._render();
+
+      const finish = (result) => {
+        input.removeListener('keypress', onKeypress);
+        output.removeListener('resize', render);
+        input.setRawMode(false);
+        input.pause();
+        // Show the cursor and leave the alternate screen
+        output.write('\x1b[?25h\x1b[?1049l');
+        resolve(result);
+      };
+
+      const onKeypress = (str, key) => {
+        const result = this._handleKey(str, key || {});
+        if (result) {
+          finish(result.action === 'quit' ? null : result);
+        } else {
+          render();
+        }
+      };
+
+      readline.emitKeypressEvents(input);
+      input.setRawMode(true);
+      input.resume();
+      // Switch to the alternate screen and hide the cursor
+      output.write('\x1b[?1049h\x1b[?25l');
+      input.on('keypress', onKeypress);
+      output.on('resize', render);
+      render();
+    });
+  }
+
+  // Everyone currently shown, in tree order, with the tree lines before them
+  _visibleRows() {
+    const rows = [];
+    const walk = (employee, prefix, connector) => {
+      rows.push({ employee, prefix: `${prefix}${connector}` });
+      if (!this.expanded.has(employee.id)) return;
+
+      const childPrefix = prefix + (connector === '├── ' ? '│   ' : connector === '└── ' ? '    ' : '');
+      employee.reports.forEach((report, idx) => {
+        walk(report, childPrefix, idx === employee.reports.length - 1 ? '└── ' : '├── ');
+      });
+    };
+    this.orgChart.getRoots().forEach((top) => walk(top, '', ''));
+    return rows;
+  }
+
+  _render() {
+    const columns = this.output.columns || 80;
+    const height = Math.max(1, (this.output.rows || 24) - 4);
+    const rows = this._visibleRows();
+
+    let index = rows.findIndex((row) => row.employee.id === this.cursorId);
+    if (index === -1) {
+      index = 0;
+      this.cursorId = rows[0].employee.id;
+    }
+
+    // Scroll just enough to keep the highlighted row on screen
+    if (index < this.scrollTop) {
+      this.scrollTop = index;
+    } else if (index >= this.scrollTop + height) {
+      this.scrollTop = index - height + 1;
+    }
+    this.scrollTop = Math.max(0, Math.min(this.scrollTop, rows.length - height));
+
+    const fit = (text) => (text.length >= columns ? `${text.slice(0, columns - 2)}…` : text);
+    const lines = [
+      chalk.bold.yellow(fit(`${this.orgChart.title || 'Organization Chart'} (${Object.keys(this.orgChart.employees).length} people)`)),
+      chalk.dim('─'.repeat(Math.min(columns - 1, 50)))
+    ];
+
+    const groupColors = this.colorBy ? this.orgChart.groupColors(this.colorBy) : null;
+    rows.slice(this.scrollTop, this.scrollTop + height).forEach(({ employee, prefix }) => {
+      const hasReports = employee.reports.length > 0;
+      const expanded = this.expanded.has(employee.id);
+      const marker = !hasReports ? '  ' : expanded ? '▾ ' : '▸ ';
+      const templated = this.labelTemplate ? this.orgChart.formatLabel(employee, this.labelTemplate) : null;
+      const label = employee.isVacancy
+        ? `[Vacancy] ${templated || employee.title} (${employee.status})`
+        : templated || `${employee.name} (${employee.title})`;
+      const count = hasReports && !expanded ? ` [${employee.reports.length}]` : '';
+      const text = `${prefix}${marker}${label}${count}`;
+
+      if (employee.id === this.cursorId) {
+        lines.push(chalk.inverse(fit(text).padEnd(columns - 1)));
+      } else if (text.length >= columns) {
+        lines.push(fit(text));
+      } else {
+        const style = groupColors
+          ? groupColors.get(employee[this.colorBy] || '')
+          : employee.isVacancy ? chalk.yellow.italic : chalk.green;
+        lines.push(`${chalk.dim(prefix)}${marker}${style(label)}${chalk.gray(count)}`);
+      }
+    });
+
+    while (lines.length < height + 2) {
+      lines.push('');
+    }
+
+    if (this.query !== null) {
+      lines.push(`Search: ${this.query}${chalk.inverse(' ')}  ${chalk.dim('(Enter to jump, Esc to cancel)')}`);
+    } else {
+      lines.push(this.message ? chalk.cyan(fit(this.message)) : chalk.dim(`${index + 1}/${rows.length}`));
+    }
+    lines.push(chalk.dim(fit(NAVIGATOR_HELP)));
+
+    // Draw from the top-left corner, clearing what was there before
+    this.output.write(`\x1b[H${lines.join('\x1b[K\n')}\x1b[K\x1b[J`);
+  }
+
+  // Apply one keypress. Returns { action, employeeId } or { action: 'quit' }
+  // when the navigator should close, or null to keep going.
+  _handleKey(str, key) {
+    if (key.ctrl && key.name === 'c') {
+      return { action: 'quit' };
+    }
+    if (this.query !== null) {
+      this._handleSearchKey(str, key);
+      return null;
+    }
+
+    this.message = '';
+    const rows = this._visibleRows();
+    const index = Math.max(0, rows.findIndex((row) => row.employee.id === this.cursorId));
+    const current = rows[index].employee;
+    const pageSize = Math.max(1, (this.output.rows || 24) - 4);
+    const moveTo = (i) => {
+      this.cursorId = rows[Math.max(0, Math.min(rows.length - 1, i))].employee.id;
+    };
+
+    switch (key.name || str) {
+      case 'up':
+      case 'k':
+        moveTo(index - 1);
+        break;
+      case 'down':
+      case 'j':
+        moveTo(index + 1);
+        break;
+      case 'pageup':
+        moveTo(index - pageSize);
+        break;
+      case 'pagedown':
+        moveTo(index + pageSize);
+        break;
+      case 'home':
+        moveTo(0);
+        break;
+      case 'end':
+        moveTo(rows.length - 1);
+        break;
+      case 'right':
+      case 'l':
+        // Expand, or step down to the first report if already expanded
+        if (current.reports.length > 0 && !this.expanded.has(current.id)) {
+          this.expanded.add(current.id);
+        } else if (current.reports.length > 0) {
+          moveTo(index + 1);
+        }
+        break;
+      case 'left':
+      case 'h':
+        // Collapse, or step up to the manager if already collapsed
+        if (this.expanded.has(current.id) && current.reports.length > 0) {
+          this.expanded.delete(current.id);
+        } else if (current.manager) {
+          this.cursorId = current.manager.id;
+        }
+        break;
+      case 'return':
+      case 'enter':
+      case 'space':
+        if (current.reports.length === 0) {
+          this.message = `${current.isVacancy ? 'This vacancy' : current.name} has no reports`;
+        } else if (this.expanded.has(current.id)) {
+          this.expanded.delete(current.id);
+        } else {
+          this.expanded.add(current.id);
+        }
+        break;
+      case '/':
+        this.query = '';
+        break;
+      case 'n':
+        if (this.lastQuery) {
+          this._jumpToMatch(this.lastQuery, { fromStart: false });
+        } else {
+          this.message = 'Press / to search first';
+        }
+        break;
+      case 'd':
+        return { action: 'details', employeeId: current.id };
+      case 'e':
+        return { action: 'edit', employeeId: current.id };
+      case 'm':
+        return { action: 'move', employeeId: current.id };
+      case 'r':
+        return { action: 'remove', employeeId: current.id };
+      case 'q':
+      case 'escape':
+        return { action: 'quit' };
+      default:
+        break;
+    }
+    return null;
+  }
+
+  // Keys while typing a search
+  _handleSearchKey(str, key) {
+    if (key.name === 'escape') {
+      this.query = null;
+    } else if (key.name === 'return' || key.name === 'enter') {
+      const query = this.query.trim();
+      this.query = null;
+      if (query) {
+        this.lastQuery = query;
+        this._jumpToMatch(query, { fromStart: true });
+      }
+    } else if (key.name === 'backspace') {
+      this.query = this.query.slice(0, -1);
+    } else if (str && str.length === 1 && str >= ' ' && !key.ctrl && !key.meta) {
+      this.query += str;
+    }
+  }
+
+  // Highlight the first match in tree order (or the next one after the
+  // highlighted person), expanding the managers above it
+  _jumpToMatch(query, { fromStart }) {
+    const order = new Map();
+    const walk = (employee) => {
+      order.set(employee, order.size);
+      employee.reports.forEach(walk);
+    };
+    this.orgChart.getRoots().forEach(walk);
+
+    const matches = this.orgChart.search(query).sort((a, b) => order.get(a) - order.get(b));
+    if (matches.length === 0) {
+      this.message = `No matches for "${query}"`;
+      return;
+    }
+
+    const currentPosition = order.get(this.orgChart.employees[this.cursorId]);
+    const target = fromStart
+      ? matches[0]
+      : matches.find((e) => order.get(e) > currentPosition) || matches[0];
+
+    this.orgChart.getPath(target.id).slice(0, -1).forEach((e) => this.expanded.add(e.id));
+    this.cursorId = target.id;
+    this.message = `Match ${matches.indexOf(target) + 1} of ${matches.length} for "${query}" (n for next)`;
+  }
+}
+
+// Main application class
+class OrgChartApp {
+  constructor() {
+    this.orgChart = new OrgChart();
+    this.currentFile = null;
+    this.savedRevision = this.orgChart.revision; // Chart revision last saved or loaded
+    this.autosave = false;
+    this.showDottedLines = false; // Note dotted-line managers in the tree view
+    this.chartView = 'tree'; // 'tree' (indented) or 'boxes' (top-down), see OrgChart.print
+    this.treeLimits = { maxDepth: Infinity, collapseICs: false }; // How much of the tree view to show
+    this.labelTemplate = null; // Label for each person in the chart views, see OrgChart.formatLabel
+    this.colorBy = null; // Division, department or LOB to colour-code the chart views by
+  }
+
+  // Check whether the chart has changed since it was last saved or loaded
+  hasUnsavedChanges() {
+    return this.orgChart.revision !== this.savedRevision;
+  }
+
+  // Record that the chart now matches what is on disk
+  markSaved() {
+    this.savedRevision = this.orgChart.revision;
+  }
+
+  // Before a transition that would throw away the current chart, offer to save
+  // unsaved changes. Returns false if the user chose to cancel.
+  async confirmDiscardChanges(actionLabel) {
+    if (!this.hasUnsavedChanges()) {
+      return true;
+    }
+
+    const { choice } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'choice',
+        message: `You have unsaved changes. Save them before ${actionLabel}?`,
+        choices: [
+          { name: 'Save changes', value: 'save' },
+          { name: 'Discard changes', value: 'discard' },
+          { name: 'Cancel', value: 'cancel' }
+        ]
+      }
+    ]);
+
+    if (choice === 'cancel') {
+      return false;
+    }
+
+    if (choice === 'save') {
+      await this.saveOrgChart();
+      // Backing out of the save prompt (or a failed save) cancels the transition
+      return !this.hasUnsavedChanges();
+    }
+
+    return true;
+  }
+
+  // Write unsaved work to the recovery file when autosave is on, and clear
+  // the recovery file once there is nothing left to recover
+  writeRecoveryFile() {
+    try {
+      if (this.autosave && this.hasUnsavedChanges() && this.orgChart.root) {
+        const data = {
+          savedAt: new Date().toISOString(),
+          currentFile: this.currentFile,
+          chart: this.orgChart.toJSON()
+        };
+        fs.writeFileSync(RECOVERY_FILE, JSON.stringify(data, null, 2));
+      } else {
+        this.removeRecoveryFile();
+      }
+    } catch (err) {
+      console.error(chalk.red(`Error writing recovery file: ${err.message}`));
+    }
+  }
+
+  // Delete the recovery file, if there is one
+  removeRecoveryFile() {
+    if (fs.existsSync(RECOVERY_FILE)) {
+      fs.unlinkSync(RECOVERY_FILE);
+    }
+  }
+
+  // If the last session ended without exiting cleanly, offer to restore its autosaved work
+  async offerRecovery() {
+    if (!fs.existsSync(RECOVERY_FILE)) {
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(RECOVERY_FILE, 'utf8'));
+    } catch (err) {
+      console.error(chalk.red(`Ignoring unreadable recovery file: ${err.message}`));
+      this.removeRecoveryFile();
+      return;
+    }
+
+    console.log(chalk.yellow('The previous session did not exit cleanly and left unsaved changes.'));
+    console.log(chalk.yellow(`Autosaved: ${new Date(data.savedAt).toLocaleString()}`));
+    if (data.currentFile) {
+      console.log(chalk.yellow(`File: ${data.currentFile}`));
+    }
+
+    const { restore } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'restore',
+        message: 'Restore the autosaved org chart?',
+        default: true
+      }
+    ]);
+
+    if (!restore) {
+      this.removeRecoveryFile();
+      return;
+    }
+
+    try {
+      const chart = new OrgChart();
+      chart.loadJSON(data.chart);
+      this.orgChart = chart;
+      this.currentFile = data.currentFile || null;
+      // The restored work has not been saved to its file yet
+      this.savedRevision = null;
+      // Keep autosaving the restored work
+      this.autosave = true;
+      console.log(chalk.green('Restored the autosaved org chart. Remember to save it.'));
+    } catch (err) {
+      console.error(chalk.red(`Error restoring recovery file: ${err.message}`));
+    }
+  }
+
+  // Turn autosave on or off
+  toggleAutosave() {
+    this.autosave = !this.autosave;
+    if (this.autosave) {
+      console.log(chalk.green(`Autosave is on. Unsaved changes are kept in ${RECOVERY_FILE}`));
+    } else {
+      this.removeRecoveryFile();
+      console.log(chalk.yellow('Autosave is off.'));
+    }
+  }
+  
+  // Helper method to add a back/cancel option to menu choices
+  addBackOption(choices, backLabel = 'Back to main menu') {
+    return [
+      ...choices,
+      new inquirer.Separator('-------------------'),
+      { name: backLabel, value: 'back' }
+    ];
+  }
+  
+  // Generic helper method to search and select an employee
+  async selectEmployee(message = 'Select an employee:', filter = null, entityType = 'employee', extraChoices = []) {
+    let employees = Object.values(this.orgChart.employees);
+    
     // Apply filter if provided
     if (filter) {
       employees = employees.filter(filter);
     }
     
-    if (employees.length === 0) {
-      console.log(chalk.yellow(`No ${entityType}s available.`));
-      return 'back';
+    if (employees.length === 0) {
+      console.log(chalk.yellow(`No ${entityType}s available.`));
+      return 'back';
+    }
+    
+    // Sort alphabetically
+    employees.sort((a, b) => a.name.localeCompare(b.name));
+    
+    // Create array of labels for display
+    const employeeLabels = employees.map(e => this._employeeLabel(e));
+    
+    // Setup fuzzy search with Fuse.js
+    const fuse = new Fuse(employeeLabels, { 
+      threshold: 0.3,
+      includeScore: true,
+      keys: ['']  // Search the entire string
+    });
+    
+    console.log(chalk.cyan(`Type to search for a ${entityType} by name or title`));
+    
+    // Get input for search
+    const { searchTerm } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'searchTerm',
+        message: `Search (leave empty to see all, or type "back" to go back):`,
+      }
+    ]);
+    
+    if (searchTerm.toLowerCase() === 'back') {
+      return 'back';
+    }
+    
+    let filteredEmployees;
+    let employeeChoices;
+    
+    // Apply search filter if a term was entered
+    if (searchTerm && searchTerm.trim() !== '') {
+      const results = fuse.search(searchTerm);
+      
+      // Map back to our original objects, maintaining the search result order
+      filteredEmployees = results.map(result => employees[result.refIndex]);
+      
+      // If no results, show all
+      if (filteredEmployees.length === 0) {
+        console.log(chalk.yellow(`No ${entityType}s found matching "${searchTerm}". Showing all ${entityType}s.`));
+        filteredEmployees = employees;
+      } else {
+        console.log(chalk.green(`Found ${filteredEmployees.length} ${entityType}s matching "${searchTerm}"`));
+      }
+    } else {
+      // No search term, show all
+      filteredEmployees = employees;
+    }
+    
+    // Create choices for the selection list
+    employeeChoices = filteredEmployees.map(e => ({
+      name: this._employeeLabel(e),
+      value: e.id
+    }));
+    
+    // Add back option
+    employeeChoices = this.addBackOption([...extraChoices, ...employeeChoices]);
+    
+    // Show the list for selection
+    const { employeeId } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'employeeId',
+        message,
+        choices: employeeChoices,
+        pageSize: 15
+      }
+    ]);
+    
+    return employeeId;
+  }
+
+  // Label an employee for menus, adding their email (or ID) when the name is shared
+  _employeeLabel(employee) {
+    if (employee.isVacancy) {
+      const manager = employee.manager ? `, under ${employee.manager.name}` : '';
+      return `[Vacancy] ${employee.title} (${employee.status}${manager})`;
+    }
+
+    const label = `${employee.name} (${employee.title})`;
+    if (this.orgChart.findByName(employee.name).length < 2) {
+      return label;
+    }
+    return `${label} <${employee.email || employee.id}>`;
+  }
+  
+  // Prompts for each custom field, answered as `fields.<key>`. Values are
+  // checked against the field's type; `employee` supplies the defaults.
+  _customFieldQuestions(employee = null) {
+    return this.orgChart.customFields.map((field) => {
+      const current = employee ? employee.fields[field.key] : undefined;
+
+      if (field.type === 'enum') {
+        return {
+          type: 'list',
+          name: `fields.${field.key}`,
+          message: `${field.label}:`,
+          choices: [{ name: '(none)', value: '' }, ...field.options],
+          default: current ?? ''
+        };
+      }
+
+      const hint = { date: ' (YYYY-MM-DD)', number: ' (number)' }[field.type] || '';
+      return {
+        type: 'input',
+        name: `fields.${field.key}`,
+        message: `${field.label}${hint}:`,
+        default: current === undefined ? '' : String(current),
+        validate: (input) => {
+          try {
+            OrgChart.parseCustomFieldValue(field, input);
+            return true;
+          } catch (err) {
+            return err.message;
+          }
+        }
+      };
+    });
+  }
+
+  // Define the chart's custom employee fields
+  async manageCustomFields() {
+    while (true) {
+      console.clear();
+      console.log(chalk.bold.yellow('Custom Fields'));
+
+      const fields = this.orgChart.customFields;
+      if (fields.length === 0) {
+        console.log(chalk.gray('No custom fields yet'));
+      }
+      fields.forEach((field) => {
+        const options = field.options ? `: ${field.options.join(', ')}` : '';
+        console.log(`- ${chalk.green(field.label)} ${chalk.gray(`(${field.key}, ${field.type}${options})`)}`);
+      });
+      console.log();
+
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'What would you like to do?',
+          choices: this.addBackOption([
+            { name: 'Add a custom field', value: 'add' },
+            { name: 'Remove a custom field', value: 'remove', disabled: fields.length === 0 && 'none to remove' }
+          ])
+        }
+      ]);
+
+      if (action === 'back') {
+        return;
+      }
+
+      if (action === 'add') {
+        const definition = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'label',
+            message: 'Field name, e.g. "Cost center" (or "back" to cancel):',
+            validate: (input) => input.trim() !== '' || 'Name cannot be empty'
+          },
+          {
+            type: 'list',
+            name: 'type',
+            message: 'Type:',
+            choices: [
+              { name: 'Text', value: 'text' },
+              { name: 'Date (YYYY-MM-DD)', value: 'date' },
+              { name: 'Number', value: 'number' },
+              { name: 'Choice from a list', value: 'enum' }
+            ],
+            when: (answers) => answers.label.toLowerCase() !== 'back'
+          },
+          {
+            type: 'input',
+            name: 'options',
+            message: 'Choices, separated by commas:',
+            when: (answers) => answers.type === 'enum',
+            validate: (input) => input.split(',').some((o) => o.trim() !== '') || 'Enter at least one choice',
+            filter: (input) => input.split(',')
+          }
+        ]);
+
+        if (definition.label.toLowerCase() === 'back') {
+          continue;
+        }
+
+        try {
+          const field = this.orgChart.addCustomField(definition);
+          console.log(chalk.green(`Added custom field "${field.label}"`));
+        } catch (err) {
+          console.log(chalk.red(`Error adding custom field: ${err.message}`));
+        }
+        await this.promptToContinue();
+        continue;
+      }
+
+      const { key } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'key',
+          message: 'Select the field to remove:',
+          choices: this.addBackOption(fields.map((f) => ({ name: f.label, value: f.key })), 'Back')
+        }
+      ]);
+      if (key === 'back') {
+        continue;
+      }
+
+      const inUse = Object.values(this.orgChart.employees).filter((e) => e.fields[key] !== undefined).length;
+      const { confirmRemove } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmRemove',
+          message: inUse > 0
+            ? `Remove "${this.orgChart.getCustomField(key).label}" and its values for ${inUse} employee(s)?`
+            : `Remove "${this.orgChart.getCustomField(key).label}"?`,
+          default: false
+        }
+      ]);
+      if (confirmRemove) {
+        this.orgChart.removeCustomField(key);
+      }
+    }
+  }
+
+  // Helper method specifically for manager selection. `extraChoices` are
+  // listed before the managers, e.g. an option for no manager.
+  async selectManager(message = 'Select a manager:', extraChoices = []) {
+    return this.selectEmployee(message, null, 'manager', extraChoices);
+  }
+
+  // Display the main menu
+  async mainMenu() {
+    console.clear();
+    console.log(chalk.bold.cyan('===== Terminal Org Chart ====='));
+
+    if (this.orgChart.title) {
+      console.log(chalk.bold(this.orgChart.title));
+    }
+
+    // A trailing * marks unsaved changes
+    const unsavedMarker = this.hasUnsavedChanges() ? chalk.yellow(' * (unsaved changes)') : '';
+    if (this.currentFile) {
+      console.log(chalk.italic(`Current file: ${this.currentFile}`) + unsavedMarker);
+    } else if (unsavedMarker) {
+      console.log(chalk.italic('Not saved to a file yet') + unsavedMarker);
+    }
+
+    const undoDescription = this.orgChart.getUndoDescription();
+    const redoDescription = this.orgChart.getRedoDescription();
+
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'What would you like to do?',
+        choices: [
+          { name: 'Create a new org chart', value: 'new' },
+          { name: 'Add an employee', value: 'add' },
+          { name: 'Edit an employee', value: 'edit' },
+          { name: 'Remove an employee', value: 'remove' },
+          { name: 'Move an employee', value: 'move' },
+          ...(this.orgChart.getRoots().length > 1
+            ? [{ name: 'Attach a top-level tree under a manager', value: 'attach' }]
+            : []),
+          { name: 'Manage dotted-line managers', value: 'dotted' },
+          { name: 'Manage custom fields', value: 'fields' },
+          { name: 'Add a vacancy', value: 'addvacancy' },
+          {
+            name: 'Fill a vacancy',
+            value: 'fillvacancy',
+            disabled: this.orgChart.getVacancies().length === 0 && 'no open vacancies'
+          },
+          { name: 'Display org chart', value: 'display' },
+          { name: 'Search employees', value: 'search' },
+          new inquirer.Separator('--- History ---'),
+          {
+            name: undoDescription ? `Undo: ${undoDescription}` : 'Undo',
+            value: 'undo',
+            disabled: !undoDescription && 'nothing to undo'
+          },
+          {
+            name: redoDescription ? `Redo: ${redoDescription}` : 'Redo',
+            value: 'redo',
+            disabled: !redoDescription && 'nothing to redo'
+          },
+          new inquirer.Separator('--- File Operations ---'),
+          { name: 'Save org chart', value: 'save' },
+          { name: 'Load org chart', value: 'load' },
+          { name: 'Validate file', value: 'validate' },
+          { name: 'Import from CSV', value: 'importcsv' },
+          { name: 'Export to CSV', value: 'exportcsv' },
+          { name: `Turn autosave ${this.autosave ? 'off' : 'on'}`, value: 'autosave' },
+          new inquirer.Separator('--- Reports ---'),
+          { name: 'Print reports', value: 'print' },
+          new inquirer.Separator('-------------------'),
+          { name: 'Exit', value: 'exit' }
+        ]
+      }
+    ]);
+
+    switch (action) {
+      case 'new':
+        await this.createNewOrgChart();
+        break;
+      case 'add':
+        await this.addEmployee();
+        break;
+      case 'edit':
+        await this.editEmployee();
+        break;
+      case 'remove':
+        await this.removeEmployee();
+        break;
+      case 'move':
+        await this.moveEmployee();
+        break;
+      case 'attach':
+        await this.moveEmployee({ topLevelOnly: true });
+        break;
+      case 'dotted':
+        await this.manageDottedLines();
+        break;
+      case 'fields':
+        await this.manageCustomFields();
+        break;
+      case 'addvacancy':
+        await this.addVacancy();
+        break;
+      case 'fillvacancy':
+        await this.fillVacancy();
+        break;
+      case 'display':
+        await this.displayOrgChart();
+        break;
+      case 'search':
+        await this.searchEmployees();
+        break;
+      case 'undo':
+        this.undoChange();
+        break;
+      case 'redo':
+        this.redoChange();
+        break;
+      case 'save':
+        await this.saveOrgChart();
+        break;
+      case 'load':
+        await this.loadOrgChart();
+        break;
+      case 'validate':
+        await this.validateFile();
+        break;
+      case 'importcsv':
+        await this.importFromCSV();
+        break;
+      case 'exportcsv':
+        await this.exportToCSV();
+        break;
+      case 'print':
+        await this.printMenu();
+        break;
+      case 'autosave':
+        this.toggleAutosave();
+        break;
+      case 'exit':
+        // Stay in the menu if they cancel
+        return !(await this.confirmDiscardChanges('exiting'));
+    }
+
+    // Prompt to continue
+    if (action !== 'exit') {
+      console.log(); // Add empty line for better spacing
+      await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'continue',
+          message: chalk.cyan('Press Enter to return to main menu...'),
+          default: true
+        }
+      ]);
+      return true;
+    }
+
+    return false;
+  }
+
+  // Create a new org chart
+  async createNewOrgChart() {
+    if (!(await this.confirmDiscardChanges('creating a new org chart'))) {
+      return;
+    }
+
+    console.clear();
+    console.log(chalk.bold.yellow('Create a New Org Chart'));
+
+    const { name } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'name',
+        message: 'Enter the name of the CEO/root (or "back" to cancel):',
+        validate: (input) => input.trim() !== '' || 'Name cannot be empty'
+      }
+    ]);
+    
+    if (name.toLowerCase() === 'back') {
+      return;
+    }
+    
+    const { title, lob, division, dept, email, chartTitle } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'title',
+        message: 'Enter their title:',
+        validate: (input) => input.trim() !== '' || 'Title cannot be empty'
+      },
+      {
+        type: 'input',
+        name: 'lob',
+        message: 'Enter LOB (Line of Business):',
+        default: ''
+      },
+      {
+        type: 'input',
+        name: 'division',
+        message: 'Enter Division:',
+        default: ''
+      },
+      {
+        type: 'input',
+        name: 'dept',
+        message: 'Enter Department:',
+        default: ''
+      },
+      {
+        type: 'input',
+        name: 'email',
+        message: 'Enter Email:',
+        default: ''
+      },
+      {
+        type: 'input',
+        name: 'chartTitle',
+        message: 'Enter a title for the org chart (optional):',
+        default: ''
+      }
+    ]);
+
+    this.orgChart = new OrgChart();
+    this.orgChart.title = chartTitle.trim();
+    this.currentFile = null;
+    this.markSaved();
+
+    // Setting the root is a change, so the new chart starts out unsaved
+    const ceo = new Employee(name, title, 0, lob, division, dept, email);
+    this.orgChart.setRoot(ceo);
+
+    console.log(chalk.green(`Created a new org chart with ${name} as the root`));
+  }
+
+  // Add an employee to the org chart
+  async addEmployee() {
+    if (!this.orgChart.root) {
+      console.log(chalk.red('Please create a new org chart first'));
+      return;
+    }
+
+    console.clear();
+    console.log(chalk.bold.yellow('Add an Employee'));
+
+    // First ask for name, to allow early cancellation
+    const { name } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'name',
+        message: 'Enter the name of the employee (or "back" to cancel):',
+        validate: (input) => input.trim() !== '' || 'Name cannot be empty'
+      }
+    ]);
+    
+    if (name.toLowerCase() === 'back') {
+      return;
+    }
+    
+    // Continue with title
+    const { title } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'title',
+        message: 'Enter their title:',
+        validate: (input) => input.trim() !== '' || 'Title cannot be empty'
+      }
+    ]);
+    
+    // Select manager with search capability
+    console.clear();
+    console.log(chalk.bold.yellow('Add an Employee'));
+    console.log(chalk.blue(`Name: ${name}`));
+    console.log(chalk.blue(`Title: ${title}`));
+    console.log();
+    
+    const managerId = await this.selectManager('Select their manager:', [
+      { name: 'No manager (start a new top-level tree)', value: null }
+    ]);
+    
+    if (managerId === 'back') {
+      return;
+    }
+    
+    // Continue with remaining fields, then the chart's custom fields
+    const { lob, division, dept, email, fields = {} } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'lob',
+          message: 'Enter LOB (Line of Business):',
+          default: ''
+        },
+        {
+          type: 'input',
+          name: 'division',
+          message: 'Enter Division:',
+          default: ''
+        },
+        {
+          type: 'input',
+          name: 'dept',
+          message: 'Enter Department:',
+          default: ''
+        },
+        {
+          type: 'input',
+          name: 'email',
+          message: 'Enter Email:',
+          default: ''
+        },
+        ...this._customFieldQuestions()
+      ]);
+
+    this.orgChart.addEmployee(name, title, managerId, lob, division, dept, email, null, fields);
+    if (managerId) {
+      console.log(chalk.green(`Added ${name} reporting to ${this.orgChart.employees[managerId].name}`));
+    } else {
+      console.log(chalk.green(`Added ${name} as a new top-level tree`));
+    }
+    
+    // Ask if they want to add another employee
+    const { addAnother } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'addAnother',
+        message: 'Would you like to add another employee?',
+        default: true
+      }
+    ]);
+    
+    if (addAnother) {
+      await this.addEmployee();
+    }
+  }
+
+  // Add an approved but unfilled position under its hiring manager
+  async addVacancy() {
+    if (!this.orgChart.root) {
+      console.log(chalk.red('Please create a new org chart first'));
+      return;
+    }
+
+    console.clear();
+    console.log(chalk.bold.yellow('Add a Vacancy'));
+
+    const { title } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'title',
+        message: 'Enter the title of the position (or "back" to cancel):',
+        validate: (input) => input.trim() !== '' || 'Title cannot be empty'
+      }
+    ]);
+
+    if (title.toLowerCase() === 'back') {
+      return;
+    }
+
+    // Only people can hire
+    const managerId = await this.selectEmployee(
+      'Select the hiring manager:',
+      (e) => !e.isVacancy,
+      'manager'
+    );
+
+    if (managerId === 'back') {
+      return;
+    }
+
+    const manager = this.orgChart.employees[managerId];
+    const { dept, status } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'dept',
+        message: 'Enter the target department:',
+        default: manager.dept
+      },
+      {
+        type: 'list',
+        name: 'status',
+        message: 'Select the status of the position:',
+        choices: VACANCY_STATUSES,
+        default: 'open'
+      }
+    ]);
+
+    this.orgChart.addVacancy(title, managerId, dept, status);
+    console.log(chalk.green(`Added vacancy "${title}" reporting to ${manager.name}`));
+  }
+
+  // Turn a vacancy into an employee, keeping its place in the tree
+  async fillVacancy() {
+    console.clear();
+    console.log(chalk.bold.yellow('Fill a Vacancy'));
+
+    const vacancyId = await this.selectEmployee(
+      'Select the vacancy to fill:',
+      (e) => e.isVacancy,
+      'vacancy'
+    );
+
+    if (vacancyId === 'back') {
+      return;
+    }
+
+    const vacancy = this.orgChart.employees[vacancyId];
+    console.log(chalk.blue(`Filling: ${vacancy.title}${vacancy.manager ? `, reporting to ${vacancy.manager.name}` : ''}`));
+
+    const details = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'name',
+        message: 'Enter the name of the new hire (or "back" to cancel):',
+        validate: (input) => input.trim() !== '' || 'Name cannot be empty'
+      },
+      {
+        type: 'input',
+        name: 'title',
+        message: 'Enter their title:',
+        default: vacancy.title,
+        when: (answers) => answers.name.toLowerCase() !== 'back'
+      },
+      {
+        type: 'input',
+        name: 'email',
+        message: 'Enter Email:',
+        default: '',
+        when: (answers) => answers.name.toLowerCase() !== 'back'
+      }
+    ]);
+
+    if (details.name.toLowerCase() === 'back') {
+      return;
+    }
+
+    try {
+      this.orgChart.fillVacancy(vacancyId, details);
+      console.log(chalk.green(`${details.name} fills the "${vacancy.title}" position`));
+    } catch (err) {
+      console.log(chalk.red(`Error filling vacancy: ${err.message}`));
+    }
+  }
+
+  // NEW: Edit an existing employee, the one given or one the user selects.
+  // Without `askAgain` it returns straight after the edit instead of
+  // offering to edit someone else.
+  async editEmployee(employeeId = null, { askAgain = true } = {}) {
+    if (!this.orgChart.root) {
+      console.log(chalk.red('Please create a new org chart first'));
+      return;
+    }
+
+    // Check if there are any employees
+    if (Object.keys(this.orgChart.employees).length === 0) {
+      console.log(chalk.yellow('No employees to edit.'));
+      return;
+    }
+    
+    // Use our helper method to select an employee to edit
+    if (!employeeId) {
+      employeeId = await this.selectEmployee('Select the employee to edit:');
+    }
+    
+    if (employeeId === 'back') {
+      return;
+    }
+
+    const employee = this.orgChart.employees[employeeId];
+    if (!employee) {
+      console.log(chalk.red('Employee not found.'));
+      return;
+    }
+
+    // Ask for new info; if empty, we'll leave the field unchanged
+    const answers = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'name',
+        message: `Name [${employee.name}]:`,
+        default: employee.name,
+        when: !employee.isVacancy
+      },
+      {
+        type: 'input',
+        name: 'title',
+        message: `Title [${employee.title}]:`,
+        default: employee.title
+      },
+      {
+        type: 'input',
+        name: 'lob',
+        message: `LOB (Line of Business) [${employee.lob}]:`,
+        default: employee.lob
+      },
+      {
+        type: 'input',
+        name: 'division',
+        message: `Division [${employee.division}]:`,
+        default: employee.division
+      },
+      {
+        type: 'input',
+        name: 'dept',
+        message: `Department [${employee.dept}]:`,
+        default: employee.dept
+      },
+      {
+        type: 'input',
+        name: 'email',
+        message: `Email [${employee.email}]:`,
+        default: employee.email,
+        when: !employee.isVacancy
+      },
+      {
+        type: 'list',
+        name: 'status',
+        message: 'Status:',
+        choices: VACANCY_STATUSES,
+        default: employee.status,
+        when: employee.isVacancy
+      },
+      ...this._customFieldQuestions(employee)
+    ]);
+
+    try {
+      this.orgChart.editEmployee(employeeId, answers);
+      console.log(chalk.green(`Employee "${employee.name}" updated successfully.`));
+      if (!askAgain) {
+        return;
+      }
+      
+      // Ask if they want to edit another employee
+      const { editAnother } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'editAnother',
+          message: 'Would you like to edit another employee?',
+          default: true
+        }
+      ]);
+      
+      if (editAnother) {
+        await this.editEmployee();
+      }
+    } catch (err) {
+      console.log(chalk.red(`Error updating employee: ${err.message}`));
+    }
+  }
+
+  // Remove an employee from the org chart, the one given or one the user
+  // selects. Without `askAgain` it returns straight after the removal
+  // instead of offering to remove someone else.
+  async removeEmployee(employeeId = null, { askAgain = true } = {}) {
+    if (!this.orgChart.root) {
+      console.log(chalk.red('Please create a new org chart first'));
+      return;
+    }
+
+    console.clear();
+    console.log(chalk.bold.yellow('Remove an Employee'));
+
+    // Use our helper method to select an employee to remove, excluding the root
+    if (!employeeId) {
+      employeeId = await this.selectEmployee(
+        'Select the employee to remove:',
+        (e) => e !== this.orgChart.root
+      );
+    }
+    
+    if (employeeId === 'back') {
+      return;
+    }
+
+    const { name } = this.orgChart.employees[employeeId];
+    
+    const { reassignReports } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'reassignReports',
+        message: 'Do you want to reassign their direct reports?',
+        default: true
+      }
+    ]);
+
+    let newManagerId = null;
+
+    if (reassignReports) {
+      console.clear();
+      console.log(chalk.bold.yellow('Reassign Reports'));
+      console.log(chalk.blue(`When removing: ${name}`));
+      console.log();
+      
+      // Use our searchable manager selection method, excluding the person being
+      // removed and everyone under them
+      const manager = await this.selectEmployee(
+        'Select the new manager for their reports:',
+        (e) => e.id !== employeeId && !this.orgChart.isInSubtree(e.id, employeeId),
+        'manager'
+      );
+      
+      if (manager === 'back') {
+        return;  // Cancel the removal if they back out of reassignment
+      }
+      
+      newManagerId = manager;
+    }
+
+    this.orgChart.removeEmployee(employeeId, newManagerId);
+    console.log(chalk.green(`Removed ${name} from the org chart`));
+    if (!askAgain) {
+      return;
+    }
+    
+    // Ask if they want to remove another employee
+    const { removeAnother } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'removeAnother',
+        message: 'Would you like to remove another employee?',
+        default: false
+      }
+    ]);
+    
+    if (removeAnother) {
+      await this.removeEmployee();
+    }
+  }
+
+  // Move an employee (and their whole team) to a new manager
+  // With `topLevelOnly`, only the heads of top-level trees other than the root
+  // are offered, to attach a separate tree under an existing manager.
+  // `employeeId` skips selecting who to move.
+  async moveEmployee({ topLevelOnly = false, employeeId = null } = {}) {
+    if (!this.orgChart.root) {
+      console.log(chalk.red('Please create a new org chart first'));
+      return;
+    }
+
+    const heading = topLevelOnly ? 'Attach a Top-Level Tree' : 'Move an Employee';
+    console.clear();
+    console.log(chalk.bold.yellow(heading));
+
+    // The root has nobody to move under
+    if (!employeeId) {
+      employeeId = await this.selectEmployee(
+        topLevelOnly ? 'Select the head of the tree to attach:' : 'Select the employee to move:',
+        (e) => e !== this.orgChart.root && (!topLevelOnly || !e.manager),
+        topLevelOnly ? 'top-level employee' : 'employee'
+      );
+    }
+    
+    if (employeeId === 'back') {
+      return;
+    }
+
+    const employee = this.orgChart.employees[employeeId];
+    const teamSize = this.orgChart.getSubtree(employeeId).length;
+
+    console.clear();
+    console.log(chalk.bold.yellow(heading));
+    console.log(chalk.blue(`Moving: ${employee.name} (${employee.title})`));
+    if (employee.manager) {
+      console.log(chalk.blue(`Currently reports to: ${employee.manager.name}`));
+    }
+    if (teamSize > 0) {
+      console.log(chalk.blue(`Their team of ${teamSize} will move with them`));
+    }
+    console.log();
+
+    // Exclude the employee, their own team and their current manager
+    const newManagerId = await this.selectEmployee(
+      'Select their new manager:',
+      (e) =>
+        e !== employee &&
+        e !== employee.manager &&
+        !this.orgChart.isInSubtree(e.id, employeeId),
+      'manager'
+    );
+    
+    if (newManagerId === 'back') {
+      return;
+    }
+
+    const newManager = this.orgChart.employees[newManagerId];
+    const { confirmMove } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmMove',
+        message: `Move ${employee.name}${teamSize > 0 ? ` and ${teamSize} report(s)` : ''} under ${newManager.name}?`,
+        default: true
+      }
+    ]);
+
+    if (!confirmMove) {
+      return;
+    }
+
+    try {
+      this.orgChart.moveEmployee(employeeId, newManagerId);
+      console.log(chalk.green(`${employee.name} now reports to ${newManager.name}`));
+    } catch (err) {
+      console.log(chalk.red(`Error moving employee: ${err.message}`));
+    }
+  }
+
+  // Add or remove an employee's dotted-line (matrix) managers
+  async manageDottedLines() {
+    if (!this.orgChart.root) {
+      console.log(chalk.red('Please create a new org chart first'));
+      return;
+    }
+
+    console.clear();
+    console.log(chalk.bold.yellow('Dotted-Line Managers'));
+
+    const employeeId = await this.selectEmployee('Select the employee:');
+    if (employeeId === 'back') {
+      return;
+    }
+
+    const employee = this.orgChart.employees[employeeId];
+
+    while (true) {
+      const dottedLineManagers = this.orgChart.getDottedLineManagers(employeeId);
+
+      console.clear();
+      console.log(chalk.bold.yellow('Dotted-Line Managers'));
+      console.log(chalk.blue(`Employee: ${employee.name} (${employee.title})`));
+      console.log(chalk.blue(`Reports to: ${employee.manager ? employee.manager.name : 'None (Top level)'}`));
+      if (dottedLineManagers.length > 0) {
+        dottedLineManagers.forEach((m) => console.log(`Dotted line to: ${chalk.magenta(m.name)} (${m.title})`));
+      } else {
+        console.log(chalk.gray('No dotted-line managers'));
+      }
+      console.log();
+
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'What would you like to do?',
+          choices: this.addBackOption([
+            { name: 'Add a dotted-line manager', value: 'add' },
+            {
+              name: 'Remove a dotted-line manager',
+              value: 'remove',
+              disabled: dottedLineManagers.length === 0 && 'none to remove'
+            }
+          ])
+        }
+      ]);
+
+      if (action === 'back') {
+        return;
+      }
+
+      try {
+        if (action === 'add') {
+          // Anyone but the employee and their current managers
+          const managerId = await this.selectEmployee(
+            'Select the dotted-line manager:',
+            (e) => e !== employee && e !== employee.manager && !employee.dottedLineManagers.includes(e.id),
+            'manager'
+          );
+          if (managerId !== 'back') {
+            this.orgChart.addDottedLine(employeeId, managerId);
+            console.log(chalk.green(`${employee.name} now has a dotted line to ${this.orgChart.employees[managerId].name}`));
+            await this.promptToContinue();
+          }
+        } else {
+          const { managerId } = await inquirer.prompt([
+            {
+              type: 'list',
+              name: 'managerId',
+              message: 'Select the dotted line to remove:',
+              choices: this.addBackOption(
+                dottedLineManagers.map((m) => ({ name: this._employeeLabel(m), value: m.id })),
+                'Back'
+              )
+            }
+          ]);
+          if (managerId !== 'back') {
+            this.orgChart.removeDottedLine(employeeId, managerId);
+          }
+        }
+      } catch (err) {
+        console.log(chalk.red(`Error updating dotted lines: ${err.message}`));
+        await this.promptToContinue();
+      }
+    }
+  }
+
+  // Revert the most recent change to the chart
+  undoChange() {
+    const description = this.orgChart.undo();
+    if (description) {
+      console.log(chalk.green(`Undid: ${description}`));
+    } else {
+      console.log(chalk.yellow('Nothing to undo.'));
+    }
+  }
+
+  // Reapply the most recently undone change
+  redoChange() {
+    const description = this.orgChart.redo();
+    if (description) {
+      console.log(chalk.green(`Redid: ${description}`));
+    } else {
+      console.log(chalk.yellow('Nothing to redo.'));
+    }
+  }
+
+  // Display the org chart
+  async displayOrgChart() {
+    console.clear();
+    console.log(chalk.bold.yellow('Organization Chart'));
+
+    if (!this.orgChart.root) {
+      console.log(chalk.red('Org chart is empty. Please create one first.'));
+      return;
+    }
+    
+    // Dotted-line managers are noted in the tree once switched on, and the
+    // chosen view is kept for the rest of the session
+    const treeOptions = {
+      dottedLines: this.showDottedLines,
+      view: this.chartView,
+      labelTemplate: this.labelTemplate,
+      colorBy: this.colorBy,
+      ...this.treeLimits
+    };
+
+    // Display the full organization chart
+    this.orgChart.print(null, treeOptions);
+    
+    // Simple menu for org chart viewing actions
+    while (true) {
+      // Checked on each pass, as the navigator can add or remove people
+      const hasDottedLines = Object.values(this.orgChart.employees).some((e) => e.dottedLineManagers.length > 0);
+      console.log();
+      console.log(chalk.dim('─'.repeat(40)));
+      
+      const { viewOption } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'viewOption',
+          message: 'Organization Chart Options:',
+          choices: [
+            { name: 'Browse in the full-screen navigator', value: 'browse' },
+            { name: 'View full organization chart', value: 'full' },
+            {
+              name: this.chartView === 'boxes' ? 'Switch to indented tree view' : 'Switch to top-down box view',
+              value: 'view'
+            },
+            { name: 'Limit the depth or sum up individual contributors', value: 'limits' },
+            { name: 'Change labels and colour-coding', value: 'labels' },
+            { name: 'Focus on a specific department', value: 'department' },
+            ...(hasDottedLines
+              ? [{ name: `${this.showDottedLines ? 'Hide' : 'Show'} dotted-line managers`, value: 'dotted' }]
+              : []),
+            { name: 'Return to main menu', value: 'exit' }
+          ]
+        }
+      ]);
+      
+      if (viewOption === 'exit') {
+        // Return to main menu without exiting the program
+        return;
+      }
+      
+      if (viewOption === 'browse') {
+        await this.browseOrgChart();
+        console.clear();
+        console.log(chalk.bold.yellow('Complete Organization Chart'));
+        this.orgChart.print(null, treeOptions);
+        continue;
+      }
+
+      if (viewOption === 'limits') {
+        this.treeLimits = await this._askTreeLimits(this.treeLimits);
+        Object.assign(treeOptions, this.treeLimits);
+        console.clear();
+        console.log(chalk.bold.yellow('Complete Organization Chart'));
+        this.orgChart.print(null, treeOptions);
+        continue;
+      }
+
+      if (viewOption === 'labels') {
+        const labelTemplate = await this._askLabelTemplate(this.labelTemplate);
+        const { colorBy } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'colorBy',
+            message: 'Colour-code people by:',
+            choices: [
+              { name: 'Nothing', value: null },
+              ...CLUSTER_FIELDS.map((field) => ({ name: CLUSTER_FIELD_NAMES[field], value: field }))
+            ],
+            default: this.colorBy
+          }
+        ]);
+        this.labelTemplate = labelTemplate;
+        this.colorBy = colorBy;
+        Object.assign(treeOptions, { labelTemplate, colorBy });
+        console.clear();
+        console.log(chalk.bold.yellow('Complete Organization Chart'));
+        this.orgChart.print(null, treeOptions);
+        continue;
+      }
+
+      if (viewOption === 'view') {
+        this.chartView = this.chartView === 'boxes' ? 'tree' : 'boxes';
+        treeOptions.view = this.chartView;
+        console.clear();
+        console.log(chalk.bold.yellow('Complete Organization Chart'));
+        this.orgChart.print(null, treeOptions);
+        continue;
+      }
+
+      if (viewOption === 'dotted') {
+        this.showDottedLines = !this.showDottedLines;
+        treeOptions.dottedLines = this.showDottedLines;
+        console.clear();
+        console.log(chalk.bold.yellow('Complete Organization Chart'));
+        this.orgChart.print(null, treeOptions);
+        continue;
+      }
+      
+      if (viewOption === 'full') {
+        // Show the full organization chart again
+        console.clear();
+        console.log(chalk.bold.yellow('Complete Organization Chart'));
+        this.orgChart.print(null, treeOptions);
+        continue;
+      }
+      
+      if (viewOption === 'department') {
+        // Select a manager to focus on
+        const managerId = await this.selectEmployee(
+          'Select a department manager to focus on:',
+          (e) => e.reports.length > 0,  // Filter to only show managers with reports
+          'manager'
+        );
+        
+        if (managerId === 'back') {
+          // If user cancels, show the menu again
+          console.clear();
+          console.log(chalk.bold.yellow('Organization Chart'));
+          this.orgChart.print(null, treeOptions);
+          continue;
+        }
+        
+        const manager = this.orgChart.employees[managerId];
+        if (!manager) {
+          console.log(chalk.red('Manager not found.'));
+          await this.promptToContinue();
+          console.clear();
+          console.log(chalk.bold.yellow('Organization Chart'));
+          this.orgChart.print(null, treeOptions);
+          continue;
+        }
+        
+        // Display the department view with a clear header
+        console.clear();
+        console.log(chalk.bold.yellow(`Department: ${manager.name}`));
+        console.log(chalk.blue(`Title: ${manager.title}`));
+        
+        // Display additional details if available
+        const details = [];
+        if (manager.lob) details.push(`LOB: ${manager.lob}`);
+        if (manager.division) details.push(`Division: ${manager.division}`);
+        if (manager.dept) details.push(`Department: ${manager.dept}`);
+        
+        if (details.length > 0) {
+          console.log(details.join(' | '));
+        }
+        
+        console.log(chalk.dim('─'.repeat(40)));
+        
+        // Print just this manager's subtree
+        this.orgChart.print(manager, treeOptions);
+        
+        // Add a small sub-menu for department view
+        console.log();
+        const { deptOption } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'deptOption',
+            message: 'Department View Options:',
+            choices: [
+              { name: 'Return to full organization chart', value: 'full' },
+              { name: 'Choose another department', value: 'another' },
+              { name: 'Return to main menu', value: 'exit' }
+            ]
+          }
+        ]);
+        
+        if (deptOption === 'exit') {
+          return; // Return to main menu
+        } else if (deptOption === 'full') {
+          console.clear();
+          console.log(chalk.bold.yellow('Complete Organization Chart'));
+          this.orgChart.print(null, treeOptions);
+          continue;
+        }
+        // If 'another', just let the loop continue to show the options again
+      }
+    }
+  }
+  
+  // Ask how much of a tree to show: how many levels below the top, and
+  // whether to sum up individual contributors. Returns { maxDepth,
+  // collapseICs } as OrgChart.formatTree takes them, defaulting to `current`.
+  async _askTreeLimits(current = { maxDepth: Infinity, collapseICs: false }) {
+    const { depth, collapseICs } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'depth',
+        message: 'How many levels below the top to show (blank for all):',
+        default: current.maxDepth === Infinity ? '' : String(current.maxDepth),
+        validate: (input) => input.trim() === '' || /^\d+$/.test(input.trim()) || 'Enter a whole number, or leave blank'
+      },
+      {
+        type: 'confirm',
+        name: 'collapseICs',
+        message: 'Sum up each manager\'s individual contributors in one line or box?',
+        default: current.collapseICs
+      }
+    ]);
+
+    return { maxDepth: depth.trim() === '' ? Infinity : Number(depth), collapseICs };
+  }
+
+  // Ask for a label template such as "{name} — {title} [{dept}]", defaulting
+  // to `current`. Returns the template, or null for the usual name and title.
+  async _askLabelTemplate(current = null) {
+    const fields = [...LABEL_FIELDS, ...this.orgChart.customFields.map((f) => f.key)];
+    console.log(chalk.gray(`Label fields: ${fields.map((field) => `{${field}}`).join(' ')}`));
+
+    const { template } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'template',
+        message: 'Label for each person (blank for "name (title)"):',
+        default: current || '',
+        validate: (input) => {
+          if (input.trim() === '') return true;
+          try {
+            this.orgChart.checkLabelTemplate(input);
+            return true;
+          } catch (err) {
+            return err.message;
+          }
+        }
+      }
+    ]);
+
+    return template.trim() === '' ? null : template.trim();
+  }
+
+  // Browse the chart in the full-screen navigator. An action chosen there
+  // (details, edit, move or remove) runs through the usual prompts for the
+  // highlighted person, then the navigator reopens where the user left off.
+  async browseOrgChart() {
+    if (!process.stdin.isTTY) {
+      console.log(chalk.red('The full-screen navigator needs an interactive terminal.'));
+      return;
+    }
+
+    const navigator = new TreeNavigator(this.orgChart, { labelTemplate: this.labelTemplate, colorBy: this.colorBy });
+    while (true) {
+      const choice = await navigator.run();
+      if (!choice) {
+        return;
+      }
+
+      const employee = this.orgChart.employees[choice.employeeId];
+      const managerId = employee.manager ? employee.manager.id : null;
+      console.clear();
+
+      switch (choice.action) {
+        case 'details':
+          if ((await this.displayEmployeeDetails(employee.id)) !== 'back') {
+            await this.promptToContinue();
+          }
+          break;
+        case 'edit':
+          console.log(chalk.bold.yellow('Edit an Employee'));
+          await this.editEmployee(employee.id, { askAgain: false });
+          await this.promptToContinue();
+          break;
+        case 'move':
+          if (employee === this.orgChart.root) {
+            navigator.message = 'The root has nobody to move under';
+            continue;
+          }
+          await this.moveEmployee({ employeeId: employee.id });
+          await this.promptToContinue();
+          break;
+        case 'remove':
+          if (employee === this.orgChart.root) {
+            navigator.message = 'The root cannot be removed';
+            continue;
+          }
+          await this.removeEmployee(employee.id, { askAgain: false });
+          await this.promptToContinue();
+          break;
+      }
+
+      // Highlight the manager in place of someone who was removed
+      if (!this.orgChart.employees[choice.employeeId] && managerId) {
+        navigator.cursorId = managerId;
+      }
+      this.writeRecoveryFile();
+    }
+  }
+
+  // Helper method for "press Enter to continue" prompts
+  async promptToContinue() {
+    console.log();
+    await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'continue',
+        message: 'Press Enter to continue...',
+        default: ''
+      }
+    ]);
+  }
+
+  // Search for employees
+  async searchEmployees() {
+    if (!this.orgChart.root) {
+      console.log(chalk.red('Org chart is empty. Please create one first.'));
+      return;
+    }
+
+    console.clear();
+    console.log(chalk.bold.yellow('Search Employees'));
+
+    const { type, query } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'type',
+        message: 'Search among:',
+        choices: [
+          { name: 'Employees and vacancies', value: null },
+          { name: 'Employees only', value: 'employee' },
+          { name: 'Vacancies only', value: 'vacancy' }
+        ],
+        when: this.orgChart.getVacancies().length > 0
+      },
+      {
+        type: 'input',
+        name: 'query',
+        message: (answers) => answers.type === 'vacancy'
+          ? 'Enter search term (title, department, status; leave empty for all):'
+          : 'Enter search term (ID, name, title, LOB, etc.):',
+        validate: (input, answers) =>
+          input.trim() !== '' || answers.type === 'vacancy' || 'Search term cannot be empty'
+      }
+    ]);
+
+    const results = this.orgChart.search(query, { type });
+
+    if (results.length === 0) {
+      console.log(chalk.yellow(`No employees found matching "${query}"`));
+      return;
+    }
+
+    console.log(
+      chalk.green(`Found ${results.length} employee(s) matching "${query}":`)
+    );
+
+    results.forEach((employee, index) => {
+      if (employee.isVacancy) {
+        console.log(
+          chalk.bold(`\n${index + 1}. ${chalk.yellow.italic('[Vacancy]')} ${chalk.blue(employee.title)} - ${employee.status}`)
+        );
+      } else {
+        console.log(
+          chalk.bold(`\n${index + 1}. ${chalk.green(employee.name)} - ${chalk.blue(employee.title)}`)
+        );
+      }
+
+      // Show other info
+      console.log(`   ID: ${chalk.yellow(employee.id)}`);
+      console.log(`   LOB: ${chalk.cyan(employee.lob || 'N/A')}`);
+      console.log(`   Division: ${chalk.cyan(employee.division || 'N/A')}`);
+      console.log(`   Department: ${chalk.cyan(employee.dept || 'N/A')}`);
+      console.log(`   Email: ${chalk.cyan(employee.email || 'N/A')}`);
+
+      // Show who they report to
+      const manager = this.orgChart._findManager(employee.id);
+      if (manager) {
+        console.log(
+          `   Reports to: ${chalk.cyan(manager.name)} (${manager.title})`
+        );
+      } else {
+        console.log(`   Reports to: ${chalk.gray('None (Top of organization)')}`);
+      }
+
+      // Show their direct reports
+      if (employee.reports.length > 0) {
+        console.log(`   Direct reports: ${employee.reports.length}`);
+        employee.reports.forEach((report) => {
+          console.log(`     - ${chalk.cyan(report.name)} (${report.title})`);
+        });
+      } else {
+        console.log(`   Direct reports: ${chalk.gray('None')}`);
+      }
+    });
+
+    // Allow viewing detailed info for one of the results
+    if (results.length > 0) {
+      const { viewDetails } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'viewDetails',
+          message:
+            'Would you like to view detailed information for one of these employees?',
+          default: false
+        }
+      ]);
+
+      if (viewDetails) {
+        const employeeChoices = results.map((e, i) => ({
+          name: `${e.name} (${e.title})`,
+          value: i
+        }));
+        
+        const { employeeIndex } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'employeeIndex',
+            message: 'Select an employee:',
+            choices: this.addBackOption(employeeChoices, 'Back to search results')
+          }
+        ]);
+        
+        if (employeeIndex === 'back') {
+          return;
+        }
+
+        await this.displayEmployeeDetails(results[employeeIndex].id);
+      }
+    }
+  }
+
+  // Display detailed information about an employee. Returns the print action
+  // chosen afterwards, or 'back'.
+  async displayEmployeeDetails(employeeId) {
+    const employee = this.orgChart.employees[employeeId];
+    if (!employee) return;
+
+    console.clear();
+    if (employee.isVacancy) {
+      console.log(chalk.bold.yellow(`Vacancy Details: ${employee.title}`));
+    } else {
+      console.log(chalk.bold.yellow(`Employee Details: ${employee.name}`));
+    }
+
+    // Basic information
+    console.log(chalk.bold('\nBasic Information:'));
+    console.log(`ID: ${chalk.yellow(employee.id)}`);
+    if (employee.isVacancy) {
+      console.log(`Status: ${chalk.yellow(employee.status)}`);
+    } else {
+      console.log(`Name: ${chalk.green(employee.name)}`);
+    }
+    console.log(`Title: ${chalk.blue(employee.title)}`);
+    console.log(`LOB: ${chalk.cyan(employee.lob || 'N/A')}`);
+    console.log(`Division: ${chalk.cyan(employee.division || 'N/A')}`);
+    console.log(`Department: ${chalk.cyan(employee.dept || 'N/A')}`);
+    console.log(`Email: ${chalk.cyan(employee.email || 'N/A')}`);
+    this.orgChart.customFields.forEach(({ key, label }) => {
+      console.log(`${label}: ${chalk.cyan(employee.fields[key] ?? 'N/A')}`);
+    });
+    console.log(
+      `Level: ${chalk.cyan(employee.level)} ${
+        employee.level === 0 ? '(Top level)' : ''
+      }`
+    );
+
+    // Organization path
+    console.log(chalk.bold('\nOrganizational Hierarchy:'));
+    const path = this.orgChart.getPath(employee.id);
+
+    if (path.length > 0) {
+      path.forEach((pathEmployee, index) => {
+        const indent = '  '.repeat(index);
+        console.log(
+          `${indent}${
+            index === path.length - 1 ? '└─ ' : '├─ '
+          }${chalk.green(pathEmployee.name)} (${pathEmployee.title})`
+        );
+      });
+    }
+
+    // Dotted-line relationships, in both directions
+    const dottedLineManagers = this.orgChart.getDottedLineManagers(employee.id);
+    const dottedLineReports = this.orgChart.getDottedLineReports(employee.id);
+    if (dottedLineManagers.length > 0) {
+      console.log(chalk.bold('\nDotted-Line Managers:'));
+      dottedLineManagers.forEach((m) => console.log(`- ${chalk.magenta(m.name)} (${m.title})`));
+    }
+    if (dottedLineReports.length > 0) {
+      console.log(chalk.bold('\nDotted-Line Reports:'));
+      dottedLineReports.forEach((r) => console.log(`- ${chalk.magenta(r.name)} (${r.title})`));
+    }
+
+    // Direct reports
+    console.log(chalk.bold('\nDirect Reports:'));
+    if (employee.reports.length > 0) {
+      employee.reports.forEach((report) => {
+        console.log(`- ${chalk.green(report.name)} (${report.title})`);
+
+        // Second level (reports of reports)
+        if (report.reports.length > 0) {
+          report.reports.forEach((subReport) => {
+            console.log(`  └─ ${chalk.cyan(subReport.name)} (${subReport.title})`);
+          });
+        }
+      });
+    } else {
+      console.log(chalk.gray('No direct reports'));
+    }
+
+    // Print options
+    const actionChoices = [
+      { name: 'Print employee details', value: 'print' },
+      { name: 'Print organizational subtree', value: 'subtree' }
+    ];
+    
+    const { printAction } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'printAction',
+        message: 'What would you like to do?',
+        choices: this.addBackOption(actionChoices, 'Back')
+      }
+    ]);
+
+    switch (printAction) {
+      case 'print':
+        await this.printEmployeeDetails(employee);
+        break;
+      case 'subtree':
+        await this.printSubtree(employee);
+        break;
+      case 'back':
+      default:
+        break;
+    }
+    return printAction;
+  }
+
+  // Print employee details to a file
+  async printEmployeeDetails(employee) {
+    const { filename } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'filename',
+        message: 'Enter filename to save the details (or "back" to cancel):',
+        default: `${employee.name.toLowerCase().replace(/\s+/g, '_')}_details.txt`,
+        validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
+      }
+    ]);
+    
+    if (filename.toLowerCase() === 'back') {
+      return;
+    }
+
+    const content = new OrgReports(this.orgChart).employeeDetails(employee);
+
+    fs.writeFileSync(filename, content);
+    console.log(chalk.green(`Employee details saved to ${filename}`));
+    
+    // Return to employee display
+    return;
+  }
+
+  // Print a subtree of the organization
+  async printSubtree(rootEmployee) {
+    const { filename } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'filename',
+        message: 'Enter filename to save the subtree (or "back" to cancel):',
+        default: `${rootEmployee.name.toLowerCase().replace(/\s+/g, '_')}_subtree.txt`,
+        validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
+      }
+    ]);
+    
+    if (filename.toLowerCase() === 'back') {
+      return;
+    }
+
+    const limits = await this._askTreeLimits();
+    const labelTemplate = await this._askLabelTemplate(this.labelTemplate);
+    const content = new OrgReports(this.orgChart).subtree(rootEmployee, { ...limits, labelTemplate });
+
+    fs.writeFileSync(filename, content);
+    console.log(chalk.green(`Organizational subtree saved to ${filename}`));
+    
+    // Return to previous screen
+    return;
+  }
+
+
+  // Save the org chart to a file
+  async saveOrgChart() {
+    if (!this.orgChart.root) {
+      console.log(chalk.red('Nothing to save. Please create an org chart first.'));
+      return;
+    }
+
+    console.clear();
+    console.log(chalk.bold.yellow('Save Org Chart'));
+
+    const { filename } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'filename',
+        message: 'Enter the filename to save (or "back" to cancel):',
+        default: this.currentFile || 'orgchart.json',
+        validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
+      }
+    ]);
+    
+    if (filename.toLowerCase() === 'back') {
+      return;
+    }
+
+    try {
+      this.orgChart.exportToJSON(filename);
+      this.currentFile = filename;
+      this.markSaved();
+      console.log(chalk.green(`Org chart exported to ${filename}`));
+    } catch (err) {
+      console.error(chalk.red(`Error exporting org chart: ${err.message}`));
+    }
+  }
+
+  // Load an org chart from a file
+  async loadOrgChart() {
+    if (!(await this.confirmDiscardChanges('loading another org chart'))) {
+      return;
+    }
+
+    console.clear();
+    console.log(chalk.bold.yellow('Load Org Chart'));
+
+    const filename = await this.selectFile('.json', 'Select a file to load:', 'load');
+    if (filename === 'back') {
+      return;
+    }
+
+    // Load into a fresh chart so a bad file leaves the current one intact
+    const chart = new OrgChart();
+    let repaired = false;
+    try {
+      chart.importFromJSON(filename);
+    } catch (err) {
+      if (!(err instanceof ChartValidationError)) {
+        console.error(chalk.red(`Error importing org chart: ${err.message}`));
+        return;
+      }
+
+      console.log(chalk.red(`${filename} has ${err.problems.length} problem(s):`));
+      this._printProblems(err.problems);
+
+      if (err.problems.some((problem) => !problem.fix)) {
+        console.log(chalk.red('Some problems cannot be repaired, so the file was not loaded.'));
+        return;
+      }
+
+      const { repair } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'repair',
+          message: 'How would you like to continue?',
+          choices: [
+            { name: 'Repair the problems and load the chart', value: true },
+            { name: 'Cancel loading', value: false }
+          ]
+        }
+      ]);
+
+      if (!repair) {
+        return;
+      }
+
+      chart.importFromJSON(filename, { repair: true });
+      repaired = true;
+      console.log(chalk.yellow('Repaired problems are not written to the file until you save.'));
+    }
+
+    this.orgChart = chart;
+    this.currentFile = filename;
+    // A repaired chart no longer matches the file, so it starts out unsaved
+    this.savedRevision = repaired ? null : chart.revision;
+    console.log(chalk.green(`Org chart imported from ${filename}`));
+  }
+
+  // Check a JSON file for problems without loading it
+  async validateFile() {
+    console.clear();
+    console.log(chalk.bold.yellow('Validate File'));
+
+    const filename = await this.selectFile('.json', 'Select a file to validate:', 'validate');
+    if (filename === 'back') {
+      return;
+    }
+
+    let result;
+    try {
+      result = OrgChart.validateJSONFile(filename);
+    } catch (err) {
+      console.error(chalk.red(`Error reading ${filename}: ${err.message}`));
+      return;
+    }
+
+    if (result.problems.length === 0) {
+      console.log(chalk.green(`No problems found in ${filename}`));
+      return;
+    }
+
+    console.log(chalk.red(`${filename} has ${result.problems.length} problem(s):`));
+    this._printProblems(result.problems);
+
+    if (!result.repaired) {
+      console.log(chalk.red('Some problems cannot be repaired automatically.'));
+    } else {
+      console.log(chalk.cyan('Loading the file will offer to repair these problems.'));
+    }
+  }
+
+  // Print validation problems one per line, capped so huge files stay readable
+  _printProblems(problems, limit = 25) {
+    problems.slice(0, limit).forEach((problem) => {
+      const fix = problem.fix ? chalk.gray(` (repair: ${problem.fix})`) : chalk.red(' (cannot be repaired)');
+      console.log(`  ${chalk.yellow(problem.path)}: ${problem.message}${fix}`);
+    });
+
+    if (problems.length > limit) {
+      console.log(chalk.gray(`  ...and ${problems.length - limit} more`));
+    }
+  }
+
+  // List files with the given extension in the current directory and let the
+  // user pick one or type a path. Returns the filename or 'back'.
+  async selectFile(extension, message, verb) {
+    // Try to list matching files in the current directory
+    let files = [];
+    try {
+      const dirFiles = fs.readdirSync('./');
+      files = dirFiles.filter((file) => file.endsWith(extension));
+    } catch (err) {
+      console.error(chalk.red(`Error reading directory: ${err.message}`));
+    }
+
+    let choices = files.map((file) => ({ name: file, value: file }));
+    choices.push({ name: 'Enter a different filename', value: 'custom' });
+
+    const { fileChoice } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'fileChoice',
+        message,
+        choices: this.addBackOption(choices)
+      }
+    ]);
+    
+    if (fileChoice !== 'custom') {
+      return fileChoice;
     }
-    
-    // Sort alphabetically
-    employees.sort((a, b) => a.name.localeCompare(b.name));
-    
-    // Create array of labels for display
-    const employeeLabels = employees.map(e => `${e.name} (${e.title})`);
-    
-    // Setup fuzzy search with Fuse.js
-    const fuse = new Fuse(employeeLabels, { 
-      threshold: 0.3,
-      includeScore: true,
-      keys: ['']  // Search the entire string
-    });
-    
-    console.log(chalk.cyan(`Type to search for a ${entityType} by name or title`));
-    
-    // Get input for search
-    const { searchTerm } = await inquirer.prompt([
+
+    const { customFile } = await inquirer.prompt([
       {
         type: 'input',
-        name: 'searchTerm',
-        message: `Search (leave empty to see all, or type "back" to go back):`,
+        name: 'customFile',
+        message: `Enter the filename to ${verb} (or "back" to cancel):`,
+        validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
       }
     ]);
     
-    if (searchTerm.toLowerCase() === 'back') {
-      return 'back';
+    return customFile.toLowerCase() === 'back' ? 'back' : customFile;
+  }
+  
+  // Import org chart from a CSV file
+  async importFromCSV() {
+    console.clear();
+    console.log(chalk.bold.yellow('Import from CSV'));
+    console.log(chalk.cyan('Columns are matched to name, title, manager, lob, division, dept, email and id; you can adjust the mapping'));
+    console.log(chalk.cyan('The manager column should contain the ID or name of the employee\'s manager'));
+    console.log(chalk.cyan('At least one employee should have no manager (they will be the root)'));
+    
+    const filename = await this.selectFile('.csv', 'Select a CSV file to import:', 'import');
+    if (filename === 'back') {
+      return;
+    }
+
+    let csvInfo;
+    try {
+      csvInfo = OrgChart.readCSVFile(filename);
+    } catch (err) {
+      console.error(chalk.red(`Error reading CSV: ${err.message}`));
+      return;
+    }
+
+    console.log(chalk.cyan(
+      `Detected ${CSV_DELIMITER_NAMES[csvInfo.delimiter] || `"${csvInfo.delimiter}"`}-separated ${csvInfo.encoding} text with ${csvInfo.rows.length} rows`
+    ));
+
+    const mapping = await this.chooseCSVMapping(csvInfo);
+    if (!mapping) {
+      return;
     }
     
-    let filteredEmployees;
-    let employeeChoices;
+    // Determine if there's an existing org chart and offer merge option
+    let mergeMode = false;
     
-    // Apply search filter if a term was entered
-    if (searchTerm && searchTerm.trim() !== '') {
-      const results = fuse.search(searchTerm);
+    if (this.orgChart.root && Object.keys(this.orgChart.employees).length > 0) {
+      const { importMode } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'importMode',
+          message: 'How would you like to import this file?',
+          choices: [
+            { name: 'Replace current org chart', value: 'replace' },
+            { name: 'Merge with current org chart (add/update employees)', value: 'merge' }
+          ]
+        }
+      ]);
       
-      // Map back to our original objects, maintaining the search result order
-      filteredEmployees = results.map(result => {
-        const index = employeeLabels.indexOf(result.item);
-        return employees[index];
-      });
+      mergeMode = importMode === 'merge';
       
-      // If no results, show all
-      if (filteredEmployees.length === 0) {
-        console.log(chalk.yellow(`No ${entityType}s found matching "${searchTerm}". Showing all ${entityType}s.`));
-        filteredEmployees = employees;
+      if (mergeMode) {
+        console.log(chalk.cyan('Merge mode: Employees with the same ID (or the same unique name if the row has no ID) will be updated, new employees will be added.'));
       } else {
-        console.log(chalk.green(`Found ${filteredEmployees.length} ${entityType}s matching "${searchTerm}"`));
+        console.log(chalk.yellow('Replace mode: Current org chart will be completely replaced.'));
       }
-    } else {
-      // No search term, show all
-      filteredEmployees = employees;
     }
     
-    // Create choices for the selection list
-    employeeChoices = filteredEmployees.map(e => ({
-      name: `${e.name} (${e.title})`,
-      value: e.name
-    }));
+    // Dry run first, so the user sees what would change before anything does
+    let preview;
+    try {
+      preview = this.orgChart.previewCSVImport(filename, mergeMode, { mapping });
+    } catch (err) {
+      console.error(chalk.red(`Error importing from CSV: ${err.message}`));
+      return;
+    }
+
+    const reports = new OrgReports(this.orgChart);
+    const source = path.basename(filename);
+    console.log(reports.csvImportPreview(preview, source, { limit: 20 }));
+
+    let deciding = true;
+    while (deciding) {
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'What would you like to do?',
+          choices: [
+            { name: 'Apply this import', value: 'apply', disabled: preview.error && 'the import would fail' },
+            { name: 'Save this report to a file', value: 'save' },
+            { name: 'Cancel the import', value: 'back' }
+          ]
+        }
+      ]);
+
+      if (action === 'back') {
+        console.log(chalk.yellow('Import cancelled. The chart was not changed.'));
+        return;
+      }
+      if (action === 'apply') {
+        deciding = false;
+        continue;
+      }
+
+      const { reportFile } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'reportFile',
+          message: 'Enter the filename for the report:',
+          default: `${path.basename(filename, path.extname(filename))}-import-report.txt`,
+          validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
+        }
+      ]);
+
+      try {
+        fs.writeFileSync(reportFile, reports.csvImportPreview(preview, source));
+        console.log(chalk.green(`Report saved to ${reportFile}`));
+      } catch (err) {
+        console.error(chalk.red(`Error saving report: ${err.message}`));
+      }
+    }
     
-    // Add back option
-    employeeChoices = this.addBackOption(employeeChoices);
+    let summary;
+    try {
+      summary = this.orgChart.importFromCSV(filename, mergeMode, { mapping });
+    } catch (err) {
+      console.error(chalk.red(`Error importing from CSV: ${err.message}`));
+      return;
+    }
     
-    // Show the list for selection
-    const { employeeName } = await inquirer.prompt([
+    // Don't set currentFile since this isn't a JSON file
+    if (mergeMode) {
+      console.log(chalk.green(`Successfully merged CSV data: ${summary.added} new employees added, ${summary.updated} existing employees updated`));
+    } else {
+      console.log(chalk.green(`Successfully imported ${summary.total} employees from CSV`));
+    }
+    
+    // Give the option to save as JSON
+    const { saveAsJson } = await inquirer.prompt([
       {
-        type: 'list',
-        name: 'employeeName',
-        message,
-        choices: employeeChoices,
-        pageSize: 15
+        type: 'confirm',
+        name: 'saveAsJson',
+        message: 'Would you like to save this org chart as JSON?',
+        default: true
       }
     ]);
     
-    return employeeName;
-  }
-  
-  // Helper method specifically for manager selection
-  async selectManager(message = 'Select a manager:') {
-    return this.selectEmployee(message, null, 'manager');
+    if (saveAsJson) {
+      await this.saveOrgChart();
+    }
   }
 
-  // Display the main menu
-  async mainMenu() {
-    console.clear();
-    console.log(chalk.bold.cyan('===== Terminal Org Chart ====='));
+  // Propose a column mapping for a parsed CSV file, or start from a saved
+  // profile, and let the user adjust it. Returns the mapping, or null if the
+  // user cancels.
+  async chooseCSVMapping(csvInfo) {
+    const profiles = this.loadMappingProfiles();
+    const importFields = this.orgChart.csvImportFields(csvInfo.headers);
+    let mapping = OrgChart.proposeCSVMapping(csvInfo.headers, importFields);
+    let profileName = null;
+
+    // Only offer profiles whose columns all exist in this file
+    const usableProfiles = Object.keys(profiles).filter((name) =>
+      Object.values(profiles[name]).every((header) => !header || csvInfo.headers.includes(header))
+    );
 
-    if (this.currentFile) {
-      console.log(chalk.italic(`Current file: ${this.currentFile}`));
+    if (usableProfiles.length > 0) {
+      const { profile } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'profile',
+          message: 'Which column mapping would you like to use?',
+          choices: [
+            { name: 'Detect columns automatically', value: null },
+            ...usableProfiles.map((name) => ({ name: `Saved profile: ${name}`, value: name }))
+          ]
+        }
+      ]);
+
+      if (profile) {
+        profileName = profile;
+        mapping = { ...this._emptyCSVMapping(importFields), ...profiles[profile] };
+      }
     }
 
-    const { action } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'action',
-        message: 'What would you like to do?',
-        choices: [
-          { name: 'Create a new org chart', value: 'new' },
-          { name: 'Add an employee', value: 'add' },
-          { name: 'Edit an employee', value: 'edit' },
-          { name: 'Remove an employee', value: 'remove' },
-          { name: 'Display org chart', value: 'display' },
-          { name: 'Search employees', value: 'search' },
-          new inquirer.Separator('--- File Operations ---'),
-          { name: 'Save org chart', value: 'save' },
-          { name: 'Load org chart', value: 'load' },
-          { name: 'Import from CSV', value: 'importcsv' },
-          new inquirer.Separator('--- Reports ---'),
-          { name: 'Print reports', value: 'print' },
-          new inquirer.Separator('-------------------'),
-          { name: 'Exit', value: 'exit' }
-        ]
+    let editing = true;
+    while (editing) {
+      this._printCSVMapping(mapping, csvInfo.rows[0], importFields);
+
+      const missing = Object.keys(importFields)
+        .filter((field) => importFields[field].required && !mapping[field])
+        .map((field) => importFields[field].label);
+
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'Is this mapping correct?',
+          choices: [
+            {
+              name: 'Use this mapping',
+              value: 'accept',
+              disabled: missing.length > 0 && `map ${missing.join(' and ')} first`
+            },
+            { name: 'Change a column', value: 'change' },
+            ...(mapping.manager
+              ? [{ name: 'Change what the manager column refers to', value: 'managerKey' }]
+              : []),
+            { name: 'Cancel import', value: 'back' }
+          ]
+        }
+      ]);
+
+      if (action === 'back') {
+        return null;
+      }
+      if (action === 'accept') {
+        editing = false;
+        continue;
+      }
+      if (action === 'managerKey') {
+        const { managerKey } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'managerKey',
+            message: `What do the values in "${mapping.manager}" refer to?`,
+            choices: [
+              { name: 'The manager\'s ID or name', value: null },
+              ...csvInfo.headers
+                .filter((columnHeader) => columnHeader !== mapping.manager)
+                .map((columnHeader) => ({ name: `The manager's "${columnHeader}" column`, value: columnHeader }))
+            ]
+          }
+        ]);
+        mapping.managerKey = managerKey;
+        continue;
       }
-    ]);
 
-    switch (action) {
-      case 'new':
-        await this.createNewOrgChart();
-        break;
-      case 'add':
-        await this.addEmployee();
-        break;
-      case 'edit':
-        await this.editEmployee();
-        break;
-      case 'remove':
-        await this.removeEmployee();
-        break;
-      case 'display':
-        await this.displayOrgChart();
-        break;
-      case 'search':
-        await this.searchEmployees();
-        break;
-      case 'save':
-        await this.saveOrgChart();
-        break;
-      case 'load':
-        await this.loadOrgChart();
-        break;
-      case 'importcsv':
-        await this.importFromCSV();
-        break;
-      case 'print':
-        await this.printMenu();
-        break;
-      case 'exit':
-        return false;
+      const { field, header } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'field',
+          message: 'Which field would you like to change?',
+          choices: Object.entries(importFields).map(([key, { label }]) => ({
+            name: `${label} (${mapping[key] || 'not mapped'})`,
+            value: key
+          }))
+        },
+        {
+          type: 'list',
+          name: 'header',
+          message: (answers) => `Which column holds ${importFields[answers.field].label}?`,
+          choices: [
+            ...csvInfo.headers.map((columnHeader) => ({ name: columnHeader, value: columnHeader })),
+            { name: '(not mapped)', value: null }
+          ]
+        }
+      ]);
+
+      // A column feeds one field, so taking it from another field unmaps that one
+      Object.keys(importFields).forEach((key) => {
+        if (header && mapping[key] === header) {
+          mapping[key] = null;
+        }
+      });
+      mapping[field] = header;
+    }
+
+    const changed = !profileName || [...Object.keys(importFields), 'managerKey']
+      .some((field) => (profiles[profileName][field] || null) !== (mapping[field] || null));
+
+    if (changed) {
+      const { saveProfile } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'saveProfile',
+          message: 'Save this mapping as a profile for future imports?',
+          default: false
+        }
+      ]);
+
+      if (saveProfile) {
+        const { name } = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'name',
+            message: 'Profile name:',
+            default: profileName || undefined,
+            validate: (input) => input.trim() !== '' || 'Profile name cannot be empty'
+          }
+        ]);
+        this.saveMappingProfile(name.trim(), mapping);
+      }
     }
 
-    // Prompt to continue
-    if (action !== 'exit') {
-      console.log(); // Add empty line for better spacing
-      await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'continue',
-          message: chalk.cyan('Press Enter to return to main menu...'),
-          default: true
-        }
-      ]);
-      return true;
+    return mapping;
+  }
+
+  // Summarise the rows a CSV import skipped and the manager links it could not
+  // make, capped per kind so a badly mapped file does not flood the screen
+  _importProblemLines(summary, limit = 25) {
+    const lines = [];
+    const group = (heading, items, formatItem) => {
+      if (items.length === 0) return;
+      lines.push(heading);
+      items.slice(0, limit).forEach((item) => lines.push(`  ${formatItem(item)}`));
+      if (items.length > limit) {
+        lines.push(`  ...and ${items.length - limit} more`);
+      }
+    };
+
+    group(`${summary.skipped.length} row(s) skipped:`, summary.skipped, ({ row, name, reason }) =>
+      `row ${row}: ${name || '(no name)'} - ${reason}`
+    );
+    group(
+      `${summary.unresolved.length} manager reference(s) could not be resolved; these employees have no manager:`,
+      summary.unresolved,
+      ({ row, name, reference, reason }) => `row ${row}: ${name} -> "${reference}" (${reason})`
+    );
+    group(
+      `${summary.unresolvedDottedLines.length} dotted-line manager reference(s) could not be resolved and were left out:`,
+      summary.unresolvedDottedLines,
+      ({ row, name, reference, reason }) => `row ${row}: ${name} -> "${reference}" (${reason})`
+    );
+    group(
+      `${summary.invalidValues.length} custom field value(s) were not valid and were left blank:`,
+      summary.invalidValues,
+      ({ row, name, field, reason }) => `row ${row}: ${name} - ${field}: ${reason}`
+    );
+    group(
+      `${summary.cycles.length} manager link(s) left out because they would form a cycle:`,
+      summary.cycles,
+      ({ row, chain }) => `row ${row}: ${chain.join(' reports to ')}`
+    );
+    group(
+      `${summary.ignoredColumns.length} column(s) match no field and were not imported:`,
+      summary.ignoredColumns,
+      (header) => `"${header}"`
+    );
+
+    return lines;
+  }
+
+  // A mapping with every importer field (by default the built-in ones) unmapped
+  _emptyCSVMapping(fields = CSV_IMPORT_FIELDS) {
+    const mapping = {};
+    Object.keys(fields).forEach((field) => {
+      mapping[field] = null;
+    });
+    return mapping;
+  }
+
+  // Show which column feeds each field, with a sample value from the first row
+  _printCSVMapping(mapping, sampleRow, fields = CSV_IMPORT_FIELDS) {
+    console.log(chalk.bold('\nColumn mapping:'));
+    Object.entries(fields).forEach(([field, { label, required }]) => {
+      const header = mapping[field];
+      const fieldLabel = `${label}${required ? '*' : ''}`.padEnd(18);
+      if (!header) {
+        console.log(`  ${fieldLabel} ${chalk.gray('(not mapped)')}`);
+        return;
+      }
+      const sample = sampleRow && sampleRow[header] ? chalk.gray(` e.g. "${sampleRow[header]}"`) : '';
+      console.log(`  ${fieldLabel} ${chalk.cyan(header)}${sample}`);
+      if (field === 'manager') {
+        const refersTo = mapping.managerKey ? `values of "${mapping.managerKey}"` : 'ID or name';
+        console.log(`  ${'  refers to'.padEnd(18)} ${chalk.cyan(refersTo)}`);
+      }
+    });
+    console.log(chalk.gray('  * required'));
+  }
+
+  // Read the saved CSV mapping profiles, keyed by profile name
+  loadMappingProfiles() {
+    if (!fs.existsSync(CSV_MAPPINGS_FILE)) {
+      return {};
     }
 
-    return false;
+    try {
+      return JSON.parse(fs.readFileSync(CSV_MAPPINGS_FILE, 'utf8'));
+    } catch (err) {
+      console.error(chalk.red(`Ignoring unreadable mapping profiles: ${err.message}`));
+      return {};
+    }
   }
 
-  // Create a new org chart
-  async createNewOrgChart() {
-    console.clear();
-    console.log(chalk.bold.yellow('Create a New Org Chart'));
+  // Save a CSV mapping profile under the given name, replacing any with that name
+  saveMappingProfile(name, mapping) {
+    const profiles = this.loadMappingProfiles();
+    profiles[name] = mapping;
 
-    const { name } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'name',
-        message: 'Enter the name of the CEO/root (or "back" to cancel):',
-        validate: (input) => input.trim() !== '' || 'Name cannot be empty'
-      }
-    ]);
-    
-    if (name.toLowerCase() === 'back') {
+    try {
+      fs.writeFileSync(CSV_MAPPINGS_FILE, JSON.stringify(profiles, null, 2));
+      console.log(chalk.green(`Saved mapping profile "${name}"`));
+    } catch (err) {
+      console.error(chalk.red(`Error saving mapping profile: ${err.message}`));
+    }
+  }
+
+  // Export the chart to a CSV file that can be imported again
+  async exportToCSV() {
+    if (!this.orgChart.root) {
+      console.log(chalk.red('Nothing to export. Please create an org chart first.'));
       return;
     }
-    
-    const { title, lob, division, dept, email } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'title',
-        message: 'Enter their title:',
-        validate: (input) => input.trim() !== '' || 'Title cannot be empty'
-      },
-      {
-        type: 'input',
-        name: 'lob',
-        message: 'Enter LOB (Line of Business):',
-        default: ''
-      },
-      {
-        type: 'input',
-        name: 'division',
-        message: 'Enter Division:',
-        default: ''
-      },
+
+    console.clear();
+    console.log(chalk.bold.yellow('Export to CSV'));
+    console.log(chalk.cyan(`Columns: ${CSV_COLUMNS.join(', ')}`));
+
+    const defaultName = this.currentFile
+      ? `${path.basename(this.currentFile, path.extname(this.currentFile))}.csv`
+      : 'orgchart.csv';
+
+    const { filename, extraColumns } = await inquirer.prompt([
       {
         type: 'input',
-        name: 'dept',
-        message: 'Enter Department:',
-        default: ''
+        name: 'filename',
+        message: 'Enter the filename to export to (or "back" to cancel):',
+        default: defaultName,
+        validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
       },
       {
-        type: 'input',
-        name: 'email',
-        message: 'Enter Email:',
-        default: ''
+        type: 'checkbox',
+        name: 'extraColumns',
+        message: 'Extra columns to include (the importer ignores them):',
+        choices: [
+          { name: 'Manager ID', value: 'manager_id' },
+          { name: 'Level', value: 'level' },
+          { name: 'Direct-report count', value: 'direct_reports' }
+        ],
+        when: (answers) => answers.filename.toLowerCase() !== 'back'
       }
     ]);
 
-    this.orgChart = new OrgChart();
-    const ceo = new Employee(name, title, 0, lob, division, dept, email);
-    this.orgChart.setRoot(ceo);
-    this.currentFile = null;
+    if (filename.toLowerCase() === 'back') {
+      return;
+    }
 
-    console.log(chalk.green(`Created a new org chart with ${name} as the root`));
+    try {
+      this.orgChart.exportToCSV(filename, { extraColumns });
+      console.log(chalk.green(`Exported ${Object.keys(this.orgChart.employees).length} employees to ${filename}`));
+    } catch (err) {
+      console.error(chalk.red(`Error exporting to CSV: ${err.message}`));
+    }
   }
 
-  // Add an employee to the org chart
-  async addEmployee() {
+  // Print menu for various report options
+  async printMenu() {
     if (!this.orgChart.root) {
-      console.log(chalk.red('Please create a new org chart first'));
+      console.log(chalk.red('Org chart is empty. Please create one first.'));
       return;
     }
 
     console.clear();
-    console.log(chalk.bold.yellow('Add an Employee'));
+    console.log(chalk.bold.yellow('Print Reports'));
 
-    // First ask for name, to allow early cancellation
-    const { name } = await inquirer.prompt([
+    const choices = [
+      { name: 'Complete Organization Chart', value: 'full' },
+      { name: 'Interactive HTML Chart', value: 'html' },
+      { name: 'Department/Manager Subtree', value: 'subtree' },
+      { name: 'Employee Directory', value: 'directory' },
+      { name: 'Statistics Report', value: 'stats' },
+      { name: 'Matrix Report (dotted-line managers)', value: 'matrix' },
+      new inquirer.Separator('--- Diagrams ---'),
+      { name: 'Graphviz DOT Export', value: 'dot' },
+      { name: 'Mermaid Flowchart Export', value: 'mermaid' },
+      { name: 'SVG Box Diagram', value: 'svg' }
+    ];
+
+    const { reportType } = await inquirer.prompt([
       {
-        type: 'input',
-        name: 'name',
-        message: 'Enter the name of the employee (or "back" to cancel):',
-        validate: (input) => input.trim() !== '' || 'Name cannot be empty'
+        type: 'list',
+        name: 'reportType',
+        message: 'What type of report would you like to print?',
+        choices: this.addBackOption(choices)
       }
     ]);
-    
-    if (name.toLowerCase() === 'back') {
-      return;
+
+    switch (reportType) {
+      case 'full':
+        await this.printFullOrgChart();
+        break;
+      case 'html':
+        await this.exportHTML();
+        break;
+      case 'subtree':
+        await this.printSubtreeReport();
+        break;
+      case 'directory':
+        await this.printEmployeeDirectory();
+        break;
+      case 'stats':
+        await this.printStatisticsReport();
+        break;
+      case 'matrix':
+        await this.printMatrixReport();
+        break;
+      case 'dot':
+        await this.exportDot();
+        break;
+      case 'mermaid':
+        await this.exportMermaid();
+        break;
+      case 'svg':
+        await this.exportSVG();
+        break;
+      case 'back':
+      default:
+        return;
     }
-    
-    // Continue with title
-    const { title } = await inquirer.prompt([
+  }
+
+  // Print the full organization chart to a file
+  async printFullOrgChart() {
+    const { filename } = await inquirer.prompt([
       {
         type: 'input',
-        name: 'title',
-        message: 'Enter their title:',
-        validate: (input) => input.trim() !== '' || 'Title cannot be empty'
+        name: 'filename',
+        message: 'Enter filename to save the organization chart (or "back" to cancel):',
+        default: 'full_org_chart.txt',
+        validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
       }
     ]);
     
-    // Select manager with search capability
-    console.clear();
-    console.log(chalk.bold.yellow('Add an Employee'));
-    console.log(chalk.blue(`Name: ${name}`));
-    console.log(chalk.blue(`Title: ${title}`));
-    console.log();
-    
-    const managerName = await this.selectManager('Select their manager:');
-    
-    if (managerName === 'back') {
+    if (filename.toLowerCase() === 'back') {
       return;
     }
-    
-    // Continue with remaining fields
-    const { lob, division, dept, email } = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'lob',
-          message: 'Enter LOB (Line of Business):',
-          default: ''
-        },
-        {
-          type: 'input',
-          name: 'division',
-          message: 'Enter Division:',
-          default: ''
-        },
-        {
-          type: 'input',
-          name: 'dept',
-          message: 'Enter Department:',
-          default: ''
-        },
-        {
-          type: 'input',
-          name: 'email',
-          message: 'Enter Email:',
-          default: ''
-        }
-      ]);
-
-    this.orgChart.addEmployee(name, title, managerName, lob, division, dept, email);
-    console.log(chalk.green(`Added ${name} reporting to ${managerName}`));
-    
-    // Ask if they want to add another employee
-    const { addAnother } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'addAnother',
-        message: 'Would you like to add another employee?',
-        default: true
-      }
-    ]);
-    
-    if (addAnother) {
-      await this.addEmployee();
-    }
-  }
 
-  // NEW: Edit an existing employee
-  async editEmployee() {
-    if (!this.orgChart.root) {
-      console.log(chalk.red('Please create a new org chart first'));
-      return;
-    }
+    const limits = await this._askTreeLimits();
+    const labelTemplate = await this._askLabelTemplate(this.labelTemplate);
+    const content = new OrgReports(this.orgChart).fullChart({ ...limits, labelTemplate });
 
-    // Check if there are any employees
-    if (Object.keys(this.orgChart.employees).length === 0) {
-      console.log(chalk.yellow('No employees to edit.'));
-      return;
-    }
-    
-    // Use our helper method to select an employee to edit
-    const employeeName = await this.selectEmployee('Select the employee to edit:');
+    fs.writeFileSync(filename, content);
+    console.log(chalk.green(`Organization chart saved to ${filename}`));
     
-    if (employeeName === 'back') {
-      return;
-    }
-
-    const employee = this.orgChart.employees[employeeName];
-    if (!employee) {
-      console.log(chalk.red('Employee not found.'));
-      return;
-    }
-
-    // Ask for new info; if empty, we'll leave the field unchanged
-    const answers = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'name',
-        message: `Name [${employee.name}]:`,
-        default: employee.name
-      },
-      {
-        type: 'input',
-        name: 'title',
-        message: `Title [${employee.title}]:`,
-        default: employee.title
-      },
-      {
-        type: 'input',
-        name: 'lob',
-        message: `LOB (Line of Business) [${employee.lob}]:`,
-        default: employee.lob
-      },
-      {
-        type: 'input',
-        name: 'division',
-        message: `Division [${employee.division}]:`,
-        default: employee.division
-      },
-      {
-        type: 'input',
-        name: 'dept',
-        message: `Department [${employee.dept}]:`,
-        default: employee.dept
-      },
+    // Ask if they want to generate another report
+    const { printAnother } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'printAnother',
+        message: 'Would you like to generate another report?',
+        default: true
+      }
+    ]);
+    
+    if (printAnother) {
+      await this.printMenu();
+    }
+  }
+
+  // Save the chart or a subtree as a self-contained interactive HTML page
+  async exportHTML() {
+    const scope = await this._chooseExportScope('page');
+    if (!scope) {
+      return;
+    }
+
+    const defaultName = scope.root
+      ? `${scope.root.name.toLowerCase().replace(/\s+/g, '_')}_subtree.html`
+      : 'org_chart.html';
+
+    const { filename } = await inquirer.prompt([
       {
         type: 'input',
-        name: 'email',
-        message: `Email [${employee.email}]:`,
-        default: employee.email
+        name: 'filename',
+        message: 'Enter filename to save the HTML page (or "back" to cancel):',
+        default: defaultName,
+        validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
       }
     ]);
 
+    if (filename.toLowerCase() === 'back') {
+      return;
+    }
+
     try {
-      this.orgChart.editEmployee(employeeName, answers);
-      console.log(chalk.green(`Employee "${employeeName}" updated successfully.`));
-      
-      // Ask if they want to edit another employee
-      const { editAnother } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'editAnother',
-          message: 'Would you like to edit another employee?',
-          default: true
-        }
-      ]);
-      
-      if (editAnother) {
-        await this.editEmployee();
-      }
+      fs.writeFileSync(filename, new OrgReports(this.orgChart).html(scope.root));
+      console.log(chalk.green(`HTML chart saved to ${filename}`));
+      console.log(chalk.cyan('Open it in any web browser; it works offline.'));
     } catch (err) {
-      console.log(chalk.red(`Error updating employee: ${err.message}`));
+      console.error(chalk.red(`Error exporting HTML chart: ${err.message}`));
     }
   }
 
-  // Remove an employee from the org chart
-  async removeEmployee() {
-    if (!this.orgChart.root) {
-      console.log(chalk.red('Please create a new org chart first'));
+  // Print a subtree report
+  async printSubtreeReport() {
+    // Use our helper method to select a manager with reports
+    const managerId = await this.selectEmployee(
+      'Select a manager to print their department:',
+      (e) => e.reports.length > 0,
+      'manager'
+    );
+    
+    if (managerId === 'back') {
       return;
     }
 
-    console.clear();
-    console.log(chalk.bold.yellow('Remove an Employee'));
+    const manager = this.orgChart.employees[managerId];
+    if (!manager) return;
 
-    // Use our helper method to select an employee to remove, excluding the root
-    const name = await this.selectEmployee(
-      'Select the employee to remove:',
-      (e) => e !== this.orgChart.root
-    );
+    await this.printSubtree(manager);
+  }
+
+  // Print an employee directory
+  async printEmployeeDirectory() {
+    const { filename } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'filename',
+        message: 'Enter filename to save the employee directory (or "back" to cancel):',
+        default: 'employee_directory.txt',
+        validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
+      }
+    ]);
     
-    if (name === 'back') {
+    if (filename.toLowerCase() === 'back') {
       return;
     }
+
+    const content = new OrgReports(this.orgChart).directory();
+
+    fs.writeFileSync(filename, content);
+    console.log(chalk.green(`Employee directory saved to ${filename}`));
     
-    const { reassignReports } = await inquirer.prompt([
+    // Ask if they want to generate another report
+    const { printAnother } = await inquirer.prompt([
       {
         type: 'confirm',
-        name: 'reassignReports',
-        message: 'Do you want to reassign their direct reports?',
+        name: 'printAnother',
+        message: 'Would you like to generate another report?',
         default: true
       }
     ]);
-
-    let newManagerName = null;
-
-    if (reassignReports) {
-      console.clear();
-      console.log(chalk.bold.yellow('Reassign Reports'));
-      console.log(chalk.blue(`When removing: ${name}`));
-      console.log();
-      
-      // Use our searchable manager selection method
-      const manager = await this.selectManager('Select the new manager for their reports:');
-      
-      if (manager === 'back') {
-        return;  // Cancel the removal if they back out of reassignment
-      }
-      
-      newManagerName = manager;
+    
+    if (printAnother) {
+      await this.printMenu();
     }
+  }
 
-    this.orgChart.removeEmployee(name, newManagerName);
-    console.log(chalk.green(`Removed ${name} from the org chart`));
-    
-    // Ask if they want to remove another employee
-    const { removeAnother } = await inquirer.prompt([
+  // Print a statistics report
+  async printStatisticsReport() {
+    const { filename } = await inquirer.prompt([
       {
-        type: 'confirm',
-        name: 'removeAnother',
-        message: 'Would you like to remove another employee?',
-        default: false
+        type: 'input',
+        name: 'filename',
+        message: 'Enter filename to save the statistics report (or "back" to cancel):',
+        default: 'org_statistics.txt',
+        validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
       }
     ]);
     
-    if (removeAnother) {
-      await this.removeEmployee();
+    if (filename.toLowerCase() === 'back') {
+      return;
     }
-  }
 
-  // Display the org chart
-  async displayOrgChart() {
-    console.clear();
-    console.log(chalk.bold.yellow('Organization Chart'));
+    const content = new OrgReports(this.orgChart).statistics();
 
-    if (!this.orgChart.root) {
-      console.log(chalk.red('Org chart is empty. Please create one first.'));
-      return;
-    }
-    
-    // Display the full organization chart
-    this.orgChart.print();
+    fs.writeFileSync(filename, content);
+    console.log(chalk.green(`Statistics report saved to ${filename}`));
     
-    // Simple menu for org chart viewing actions
-    while (true) {
-      console.log();
-      console.log(chalk.dim('─'.repeat(40)));
-      
-      const { viewOption } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'viewOption',
-          message: 'Organization Chart Options:',
-          choices: [
-            { name: 'View full organization chart', value: 'full' },
-            { name: 'Focus on a specific department', value: 'department' },
-            { name: 'Return to main menu', value: 'exit' }
-          ]
-        }
-      ]);
-      
-      if (viewOption === 'exit') {
-        // Return to main menu without exiting the program
-        return;
-      }
-      
-      if (viewOption === 'full') {
-        // Show the full organization chart again
-        console.clear();
-        console.log(chalk.bold.yellow('Complete Organization Chart'));
-        this.orgChart.print();
-        continue;
-      }
-      
-      if (viewOption === 'department') {
-        // Select a manager to focus on
-        const managerName = await this.selectEmployee(
-          'Select a department manager to focus on:',
-          (e) => e.reports.length > 0,  // Filter to only show managers with reports
-          'manager'
-        );
-        
-        if (managerName === 'back') {
-          // If user cancels, show the menu again
-          console.clear();
-          console.log(chalk.bold.yellow('Organization Chart'));
-          this.orgChart.print();
-          continue;
-        }
-        
-        const manager = this.orgChart.employees[managerName];
-        if (!manager) {
-          console.log(chalk.red('Manager not found.'));
-          await this.promptToContinue();
-          console.clear();
-          console.log(chalk.bold.yellow('Organization Chart'));
-          this.orgChart.print();
-          continue;
-        }
-        
-        // Display the department view with a clear header
-        console.clear();
-        console.log(chalk.bold.yellow(`Department: ${manager.name}`));
-        console.log(chalk.blue(`Title: ${manager.title}`));
-        
-        // Display additional details if available
-        const details = [];
-        if (manager.lob) details.push(`LOB: ${manager.lob}`);
-        if (manager.division) details.push(`Division: ${manager.division}`);
-        if (manager.dept) details.push(`Department: ${manager.dept}`);
-        
-        if (details.length > 0) {
-          console.log(details.join(' | '));
-        }
-        
-        console.log(chalk.dim('─'.repeat(40)));
-        
-        // Create a temporary org chart with just this manager's subtree
-        const tempOrgChart = new OrgChart();
-        tempOrgChart.setRoot(manager);
-        tempOrgChart.print();
-        
-        // Add a small sub-menu for department view
-        console.log();
-        const { deptOption } = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'deptOption',
-            message: 'Department View Options:',
-            choices: [
-              { name: 'Return to full organization chart', value: 'full' },
-              { name: 'Choose another department', value: 'another' },
-              { name: 'Return to main menu', value: 'exit' }
-            ]
-          }
-        ]);
-        
-        if (deptOption === 'exit') {
-          return; // Return to main menu
-        } else if (deptOption === 'full') {
-          console.clear();
-          console.log(chalk.bold.yellow('Complete Organization Chart'));
-          this.orgChart.print();
-          continue;
-        }
-        // If 'another', just let the loop continue to show the options again
+    // Ask if they want to generate another report
+    const { printAnother } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'printAnother',
+        message: 'Would you like to generate another report?',
+        default: true
       }
+    ]);
+    
+    if (printAnother) {
+      await this.printMenu();
     }
   }
-  
-  // Helper method for "press Enter to continue" prompts
-  async promptToContinue() {
-    console.log();
-    await inquirer.prompt([
+
+  // Print the matrix (dotted-line managers) report
+  async printMatrixReport() {
+    const { filename } = await inquirer.prompt([
       {
         type: 'input',
-        name: 'continue',
-        message: 'Press Enter to continue...',
-        default: ''
+        name: 'filename',
+        message: 'Enter filename to save the matrix report (or "back" to cancel):',
+        default: 'matrix_report.txt',
+        validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
       }
     ]);
-  }
-
-  // Search for employees
-  async searchEmployees() {
-    if (!this.orgChart.root) {
-      console.log(chalk.red('Org chart is empty. Please create one first.'));
+    
+    if (filename.toLowerCase() === 'back') {
       return;
     }
 
-    console.clear();
-    console.log(chalk.bold.yellow('Search Employees'));
+    const content = new OrgReports(this.orgChart).matrix();
 
-    const { query } = await inquirer.prompt([
+    fs.writeFileSync(filename, content);
+    console.log(chalk.green(`Matrix report saved to ${filename}`));
+    
+    // Ask if they want to generate another report
+    const { printAnother } = await inquirer.prompt([
       {
-        type: 'input',
-        name: 'query',
-        message: 'Enter search term (ID, name, title, LOB, etc.):',
-        validate: (input) => input.trim() !== '' || 'Search term cannot be empty'
+        type: 'confirm',
+        name: 'printAnother',
+        message: 'Would you like to generate another report?',
+        default: true
       }
     ]);
+    
+    if (printAnother) {
+      await this.printMenu();
+    }
+  }
 
-    const results = this.orgChart.search(query);
+  // Ask whether an export (a diagram, or the `noun` given) covers the whole
+  // chart or one manager's subtree. Returns { root } with root null for the
+  // whole chart, or null to go back.
+  async _chooseExportScope(noun = 'diagram') {
+    const { scope } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'scope',
+        message: `What should the ${noun} show?`,
+        choices: this.addBackOption([
+          { name: 'The whole organization', value: 'full' },
+          { name: 'A manager\'s subtree', value: 'subtree' }
+        ])
+      }
+    ]);
 
-    if (results.length === 0) {
-      console.log(chalk.yellow(`No employees found matching "${query}"`));
-      return;
+    if (scope === 'back') {
+      return null;
+    }
+    if (scope === 'full') {
+      return { root: null };
     }
 
-    console.log(
-      chalk.green(`Found ${results.length} employee(s) matching "${query}":`)
+    const managerId = await this.selectEmployee(
+      `Select the manager at the top of the ${noun}:`,
+      (e) => e.reports.length > 0,
+      'manager'
     );
+    return managerId === 'back' ? null : { root: this.orgChart.employees[managerId] };
+  }
 
-    results.forEach((employee, index) => {
-      console.log(
-        chalk.bold(`\n${index + 1}. ${chalk.green(employee.name)} - ${chalk.blue(employee.title)}`)
-      );
+  // Choices for the fields shown in each diagram box, custom fields included
+  _labelFieldChoices(checked = ['name', 'title']) {
+    const labels = { name: 'Name', title: 'Title', dept: 'Department', division: 'Division', lob: 'LOB', email: 'Email' };
+    return [
+      ...LABEL_FIELDS.map((field) => ({ name: labels[field], value: field, checked: checked.includes(field) })),
+      ...this.orgChart.customFields.map((field) => ({ name: field.label, value: field.key, checked: checked.includes(field.key) }))
+    ];
+  }
 
-      // Show other info
-      console.log(`   ID: ${chalk.yellow(employee.id)}`);
-      console.log(`   LOB: ${chalk.cyan(employee.lob || 'N/A')}`);
-      console.log(`   Division: ${chalk.cyan(employee.division || 'N/A')}`);
-      console.log(`   Department: ${chalk.cyan(employee.dept || 'N/A')}`);
-      console.log(`   Email: ${chalk.cyan(employee.email || 'N/A')}`);
+  // Export the chart or a subtree as a Graphviz DOT file
+  async exportDot() {
+    const scope = await this._chooseExportScope();
+    if (!scope) {
+      return;
+    }
 
-      // Show who they report to
-      const manager = this.orgChart._findManager(employee.name);
-      if (manager) {
-        console.log(
-          `   Reports to: ${chalk.cyan(manager.name)} (${manager.title})`
-        );
-      } else {
-        console.log(`   Reports to: ${chalk.gray('None (Top of organization)')}`);
-      }
+    const defaultName = scope.root
+      ? `${scope.root.name.toLowerCase().replace(/\s+/g, '_')}_subtree.dot`
+      : 'org_chart.dot';
 
-      // Show their direct reports
-      if (employee.reports.length > 0) {
-        console.log(`   Direct reports: ${employee.reports.length}`);
-        employee.reports.forEach((report) => {
-          console.log(`     - ${chalk.cyan(report.name)} (${report.title})`);
-        });
-      } else {
-        console.log(`   Direct reports: ${chalk.gray('None')}`);
+    const { label, cluster, filename } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'label',
+        message: 'Fields to show in each box:',
+        choices: this._labelFieldChoices(),
+        validate: (input) => input.length > 0 || 'Choose at least one field'
+      },
+      {
+        type: 'list',
+        name: 'cluster',
+        message: 'Group boxes by:',
+        choices: [
+          { name: 'Nothing', value: null },
+          { name: 'Division', value: 'division' },
+          { name: 'Department', value: 'dept' },
+          { name: 'LOB', value: 'lob' }
+        ]
+      },
+      {
+        type: 'input',
+        name: 'filename',
+        message: 'Enter filename to save the DOT file (or "back" to cancel):',
+        default: defaultName,
+        validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
       }
-    });
-
-    // Allow viewing detailed info for one of the results
-    if (results.length > 0) {
-      const { viewDetails } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'viewDetails',
-          message:
-            'Would you like to view detailed information for one of these employees?',
-          default: false
-        }
-      ]);
-
-      if (viewDetails) {
-        const employeeChoices = results.map((e, i) => ({
-          name: `${e.name} (${e.title})`,
-          value: i
-        }));
-        
-        const { employeeIndex } = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'employeeIndex',
-            message: 'Select an employee:',
-            choices: this.addBackOption(employeeChoices, 'Back to search results')
-          }
-        ]);
-        
-        if (employeeIndex === 'back') {
-          return;
-        }
+    ]);
 
-        await this.displayEmployeeDetails(results[employeeIndex].name);
-      }
+    if (filename.toLowerCase() === 'back') {
+      return;
     }
-  }
-
-  // Display detailed information about an employee
-  async displayEmployeeDetails(employeeName) {
-    const employee = this.orgChart.employees[employeeName];
-    if (!employee) return;
-
-    console.clear();
-    console.log(chalk.bold.yellow(`Employee Details: ${employee.name}`));
-
-    // Basic information
-    console.log(chalk.bold('\nBasic Information:'));
-    console.log(`ID: ${chalk.yellow(employee.id)}`);
-    console.log(`Name: ${chalk.green(employee.name)}`);
-    console.log(`Title: ${chalk.blue(employee.title)}`);
-    console.log(`LOB: ${chalk.cyan(employee.lob || 'N/A')}`);
-    console.log(`Division: ${chalk.cyan(employee.division || 'N/A')}`);
-    console.log(`Department: ${chalk.cyan(employee.dept || 'N/A')}`);
-    console.log(`Email: ${chalk.cyan(employee.email || 'N/A')}`);
-    console.log(
-      `Level: ${chalk.cyan(employee.level)} ${
-        employee.level === 0 ? '(Top level)' : ''
-      }`
-    );
-
-    // Organization path
-    console.log(chalk.bold('\nOrganizational Hierarchy:'));
-    const path = this.orgChart.getPath(employee.name);
 
-    if (path.length > 0) {
-      path.forEach((pathEmployee, index) => {
-        const indent = '  '.repeat(index);
-        console.log(
-          `${indent}${
-            index === path.length - 1 ? '└─ ' : '├─ '
-          }${chalk.green(pathEmployee.name)} (${pathEmployee.title})`
-        );
-      });
+    try {
+      const content = new OrgReports(this.orgChart).dot(scope.root, { label, cluster });
+      fs.writeFileSync(filename, content);
+      console.log(chalk.green(`DOT file saved to ${filename}`));
+      console.log(chalk.cyan(`Render it with: dot -Tpng ${filename} -o ${path.basename(filename, path.extname(filename))}.png`));
+    } catch (err) {
+      console.error(chalk.red(`Error exporting DOT file: ${err.message}`));
     }
+  }
 
-    // Direct reports
-    console.log(chalk.bold('\nDirect Reports:'));
-    if (employee.reports.length > 0) {
-      employee.reports.forEach((report) => {
-        console.log(`- ${chalk.green(report.name)} (${report.title})`);
-
-        // Second level (reports of reports)
-        if (report.reports.length > 0) {
-          report.reports.forEach((subReport) => {
-            console.log(`  └─ ${chalk.cyan(subReport.name)} (${subReport.title})`);
-          });
-        }
-      });
-    } else {
-      console.log(chalk.gray('No direct reports'));
+  // Export the chart or a subtree as a Mermaid flowchart
+  async exportMermaid() {
+    const scope = await this._chooseExportScope();
+    if (!scope) {
+      return;
     }
 
-    // Print options
-    const actionChoices = [
-      { name: 'Print employee details', value: 'print' },
-      { name: 'Print organizational subtree', value: 'subtree' }
-    ];
-    
-    const { printAction } = await inquirer.prompt([
+    const { label, depth, fence } = await inquirer.prompt([
       {
-        type: 'list',
-        name: 'printAction',
-        message: 'What would you like to do?',
-        choices: this.addBackOption(actionChoices, 'Back')
+        type: 'checkbox',
+        name: 'label',
+        message: 'Fields to show in each box:',
+        choices: this._labelFieldChoices(),
+        validate: (input) => input.length > 0 || 'Choose at least one field'
+      },
+      {
+        type: 'input',
+        name: 'depth',
+        message: 'How many levels below the top to draw (blank for all):',
+        default: '',
+        validate: (input) => input.trim() === '' || /^\d+$/.test(input.trim()) || 'Enter a whole number, or leave blank'
+      },
+      {
+        type: 'confirm',
+        name: 'fence',
+        message: 'Wrap it in a Markdown ```mermaid block?',
+        default: true
       }
     ]);
 
-    switch (printAction) {
-      case 'print':
-        this.printEmployeeDetails(employee);
-        break;
-      case 'subtree':
-        this.printSubtree(employee);
-        break;
-      case 'back':
-      default:
-        return;
-    }
-  }
+    const maxDepth = depth.trim() === '' ? Infinity : Number(depth);
 
-  // Print employee details to a file
-  async printEmployeeDetails(employee) {
+    const base = scope.root ? `${scope.root.name.toLowerCase().replace(/\s+/g, '_')}_subtree` : 'org_chart';
     const { filename } = await inquirer.prompt([
       {
         type: 'input',
         name: 'filename',
-        message: 'Enter filename to save the details (or "back" to cancel):',
-        default: `${employee.name.toLowerCase().replace(/\s+/g, '_')}_details.txt`,
+        message: 'Enter filename to save the flowchart (or "back" to cancel):',
+        default: `${base}.${fence ? 'md' : 'mmd'}`,
         validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
       }
     ]);
-    
+
     if (filename.toLowerCase() === 'back') {
       return;
     }
 
-    let content = '';
-
-    // Basic information
-    content += `EMPLOYEE DETAILS: ${employee.name.toUpperCase()}\n`;
-    content += `====================${'='.repeat(employee.name.length)}\n\n`;
-    content += `ID: ${employee.id}\n`;
-    content += `Name: ${employee.name}\n`;
-    content += `Title: ${employee.title}\n`;
-    content += `LOB: ${employee.lob}\n`;
-    content += `Division: ${employee.division}\n`;
-    content += `Department: ${employee.dept}\n`;
-    content += `Email: ${employee.email}\n`;
-    content += `Level: ${employee.level}\n\n`;
-
-    // Organization path
-    content += `ORGANIZATIONAL HIERARCHY:\n`;
-    content += `------------------------\n`;
-    const path = this.orgChart.getPath(employee.name);
-
-    if (path.length > 0) {
-      path.forEach((pathEmployee, index) => {
-        const indent = '  '.repeat(index);
-        content += `${indent}${
-          index === path.length - 1 ? '└─ ' : '├─ '
-        }${pathEmployee.name} (${pathEmployee.title})\n`;
-      });
+    try {
+      const content = new OrgReports(this.orgChart).mermaid(scope.root, { label, maxDepth, fence });
+      fs.writeFileSync(filename, content);
+      console.log(chalk.green(`Mermaid flowchart saved to ${filename}`));
+    } catch (err) {
+      console.error(chalk.red(`Error exporting Mermaid flowchart: ${err.message}`));
     }
+  }
 
-    content += '\n';
-
-    // Direct reports
-    content += `DIRECT REPORTS:\n`;
-    content += `--------------\n`;
-    if (employee.reports.length > 0) {
-      employee.reports.forEach((report) => {
-        content += `- ${report.name} (${report.title})\n`;
-
-        // Second level (reports of reports)
-        if (report.reports.length > 0) {
-          report.reports.forEach((subReport) => {
-            content += `  └─ ${subReport.name} (${subReport.title})\n`;
-          });
-        }
-      });
-    } else {
-      content += 'No direct reports\n';
+  // Export the chart or a subtree as an SVG box-and-line diagram
+  async exportSVG() {
+    const scope = await this._chooseExportScope();
+    if (!scope) {
+      return;
     }
 
-    content += '\n';
-    content += `Generated on: ${new Date().toLocaleString()}\n`;
-
-    fs.writeFileSync(filename, content);
-    console.log(chalk.green(`Employee details saved to ${filename}`));
-    
-    // Return to employee display
-    return;
-  }
+    const defaultName = scope.root
+      ? `${scope.root.name.toLowerCase().replace(/\s+/g, '_')}_subtree.svg`
+      : 'org_chart.svg';
 
-  // Print a subtree of the organization
-  async printSubtree(rootEmployee) {
-    const { filename } = await inquirer.prompt([
+    const { label, compactLeaves, filename } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'label',
+        message: 'Fields to show in each box:',
+        choices: this._labelFieldChoices(),
+        validate: (input) => input.length > 0 || 'Choose at least one field'
+      },
+      {
+        type: 'confirm',
+        name: 'compactLeaves',
+        message: 'Stack people with no reports in a column under their manager?',
+        default: true
+      },
       {
         type: 'input',
         name: 'filename',
-        message: 'Enter filename to save the subtree (or "back" to cancel):',
-        default: `${rootEmployee.name.toLowerCase().replace(/\s+/g, '_')}_subtree.txt`,
+        message: 'Enter filename to save the SVG file (or "back" to cancel):',
+        default: defaultName,
         validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
       }
     ]);
-    
+
     if (filename.toLowerCase() === 'back') {
       return;
     }
 
-    let content = '';
+    try {
+      const content = new OrgReports(this.orgChart).svg(scope.root, { label, compactLeaves });
+      fs.writeFileSync(filename, content);
+      console.log(chalk.green(`SVG diagram saved to ${filename}`));
+    } catch (err) {
+      console.error(chalk.red(`Error exporting SVG diagram: ${err.message}`));
+    }
+  }
 
-    // Header
-    content += `ORGANIZATIONAL SUBTREE: ${rootEmployee.name.toUpperCase()}\n`;
-    content += `======================${'='.repeat(rootEmployee.name.length)}\n\n`;
+  // Split command-line arguments into positionals and --options
+  parseArgs(args) {
+    const positionals = [];
+    const options = {};
 
-    // Capture console.log output
-    const oldLog = console.log;
-    const logs = [];
-    console.log = (...args) => logs.push(args.join(' '));
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
 
-    // Print the subtree using the existing print method
-    this._printSubtree(rootEmployee);
+      if (!arg.startsWith('--')) {
+        positionals.push(arg);
+        continue;
+      }
 
-    // Restore console.log
-    console.log = oldLog;
+      // Support both "--key value" and "--key=value"
+      const eqIdx = arg.indexOf('=');
+      const key = eqIdx === -1 ? arg.slice(2) : arg.slice(2, eqIdx);
 
-    // Add the captured output to the content
-    content += logs.join('\n');
+      if (eqIdx !== -1) {
+        options[key] = arg.slice(eqIdx + 1);
+      } else if (BOOLEAN_OPTIONS.includes(key)) {
+        options[key] = true;
+      } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+        options[key] = args[++i];
+      } else {
+        throw new CommandError(`Option --${key} requires a value`, EXIT_CODES.USAGE);
+      }
+    }
 
-    content += '\n\n';
-    content += `Generated on: ${new Date().toLocaleString()}\n`;
+    return { positionals, options };
+  }
 
-    fs.writeFileSync(filename, content);
-    console.log(chalk.green(`Organizational subtree saved to ${filename}`));
-    
-    // Return to previous screen
-    return;
+  // Run a non-interactive subcommand and return the process exit code
+  async runCommand(args) {
+    try {
+      const { positionals, options } = this.parseArgs(args);
+      const [command, ...rest] = positionals;
+
+      if (options.help || command === 'help') {
+        console.log(COMMAND_USAGE);
+        return EXIT_CODES.OK;
+      }
+
+      if (!command) {
+        throw new CommandError(`Missing command\n\n${COMMAND_USAGE}`, EXIT_CODES.USAGE);
+      }
+
+      switch (command) {
+        case 'print':
+          this.commandPrint(options);
+          break;
+        case 'add':
+          this.commandAdd(options);
+          break;
+        case 'remove':
+          this.commandRemove(options);
+          break;
+        case 'move':
+          this.commandMove(options);
+          break;
+        case 'dotted-line':
+          this.commandDottedLine(options);
+          break;
+        case 'add-field':
+          this.commandAddField(options);
+          break;
+        case 'add-vacancy':
+          this.commandAddVacancy(options);
+          break;
+        case 'fill-vacancy':
+          this.commandFillVacancy(options);
+          break;
+        case 'search':
+          this.commandSearch(rest, options);
+          break;
+        case 'validate':
+          this.commandValidate(options);
+          break;
+        case 'import-csv':
+          this.commandImportCSV(rest, options);
+          break;
+        case 'export-csv':
+          this.commandExportCSV(options);
+          break;
+        case 'export-dot':
+          this.commandExportDot(options);
+          break;
+        case 'export-mermaid':
+          this.commandExportMermaid(options);
+          break;
+        case 'export-svg':
+          this.commandExportSVG(options);
+          break;
+        case 'export-html':
+          this.commandExportHTML(options);
+          break;
+        case 'report':
+          this.commandReport(rest, options);
+          break;
+        default:
+          throw new CommandError(`Unknown command "${command}"\n\n${COMMAND_USAGE}`, EXIT_CODES.USAGE);
+      }
+
+      return EXIT_CODES.OK;
+    } catch (err) {
+      console.error(chalk.red(err.message));
+      return err instanceof CommandError ? err.exitCode : EXIT_CODES.ERROR;
+    }
   }
 
-  // Helper method to print a subtree
-  _printSubtree(node) {
-    this._printNode(node, '', true);
+  // Make sure a required option was given
+  _requireOption(options, key) {
+    if (!options[key] || options[key] === true) {
+      throw new CommandError(`Missing required option --${key}`, EXIT_CODES.USAGE);
+    }
+    return options[key];
   }
 
-  // Helper method to print a node
-  _printNode(node, prefix, isTail) {
-    // Print current node
-    const connector = isTail ? '└── ' : '├── ';
-    
-    // Standard text mode
-    console.log(`${prefix}${connector}${node.name} (${node.title})`);
+  // The --depth option as a number of levels, or Infinity when not given
+  _depthOption(options) {
+    if (options.depth === undefined) {
+      return Infinity;
+    }
+    if (!/^\d+$/.test(options.depth)) {
+      throw new CommandError('--depth must be a whole number', EXIT_CODES.USAGE);
+    }
+    return Number(options.depth);
+  }
 
-    // Prepare prefix for children
-    const childPrefix = prefix + (isTail ? '    ' : '│   ');
+  // The --label-template and --color-by options, checked against the loaded chart
+  _labelOptions(options) {
+    const labelTemplate = typeof options['label-template'] === 'string' ? options['label-template'] : null;
+    if (labelTemplate !== null) {
+      try {
+        this.orgChart.checkLabelTemplate(labelTemplate);
+      } catch (err) {
+        throw new CommandError(err.message, EXIT_CODES.USAGE);
+      }
+    }
 
-    // Print children
-    const lastIdx = node.reports.length - 1;
-    node.reports.forEach((report, idx) => {
-      this._printNode(report, childPrefix, idx === lastIdx);
-    });
+    const colorBy = options['color-by'] || null;
+    if (colorBy !== null && !CLUSTER_FIELDS.includes(colorBy)) {
+      throw new CommandError(`--color-by must be one of: ${CLUSTER_FIELDS.join(', ')}`, EXIT_CODES.USAGE);
+    }
+    return { labelTemplate, colorBy };
   }
 
-  // Save the org chart to a file
-  async saveOrgChart() {
-    if (!this.orgChart.root) {
-      console.log(chalk.red('Nothing to save. Please create an org chart first.'));
-      return;
+  // Load the chart named by --file
+  _loadChartFile(filename) {
+    if (!fs.existsSync(filename)) {
+      throw new CommandError(`File not found: ${filename}`);
     }
 
-    console.clear();
-    console.log(chalk.bold.yellow('Save Org Chart'));
-
-    const { filename } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'filename',
-        message: 'Enter the filename to save (or "back" to cancel):',
-        default: this.currentFile || 'orgchart.json',
-        validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
+    try {
+      this.orgChart.importFromJSON(filename);
+    } catch (err) {
+      if (err instanceof ChartValidationError) {
+        const lines = err.problems.map((problem) => `  ${problem.path}: ${problem.message}`);
+        const hint = err.problems.every((problem) => problem.fix)
+          ? `Run "validate --file ${filename} --repair" to fix it.`
+          : 'Some problems cannot be repaired.';
+        throw new CommandError(
+          `Could not load org chart from ${filename}: ${err.message}\n${lines.join('\n')}\n${hint}`
+        );
       }
-    ]);
-    
-    if (filename.toLowerCase() === 'back') {
-      return;
+      throw new CommandError(`Could not load org chart from ${filename}: ${err.message}`);
     }
 
-    this.orgChart.exportToJSON(filename);
     this.currentFile = filename;
   }
 
-  // Load an org chart from a file
-  async loadOrgChart() {
-    console.clear();
-    console.log(chalk.bold.yellow('Load Org Chart'));
+  // Save the chart back to the file it was loaded from
+  _saveChartFile(filename) {
+    this.orgChart.exportToJSON(filename);
+  }
 
-    // Try to list JSON files in the current directory
-    let files = [];
+  // Look up an employee by ID or unique name, failing with NOT_FOUND if they don't exist
+  _requireEmployee(idOrName) {
+    let employee;
     try {
-      const dirFiles = fs.readdirSync('./');
-      files = dirFiles.filter((file) => file.endsWith('.json'));
+      employee = this.orgChart.findEmployee(idOrName);
     } catch (err) {
-      console.error(chalk.red(`Error reading directory: ${err.message}`));
+      throw new CommandError(err.message, EXIT_CODES.USAGE);
     }
 
-    let choices = files.map((file) => ({ name: file, value: file }));
-    choices.push({ name: 'Enter a different filename', value: 'custom' });
-
-    const { fileChoice } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'fileChoice',
-        message: 'Select a file to load:',
-        choices: this.addBackOption(choices)
-      }
-    ]);
-    
-    if (fileChoice === 'back') {
-      return;
+    if (!employee) {
+      throw new CommandError(`Employee "${idOrName}" not found`, EXIT_CODES.NOT_FOUND);
     }
+    return employee;
+  }
 
-    let filename = fileChoice;
+  // `print`: write the org chart (or a manager's subtree) to stdout
+  commandPrint(options) {
+    this._loadChartFile(this._requireOption(options, 'file'));
+
+    const treeOptions = {
+      dottedLines: Boolean(options['dotted-lines']),
+      maxDepth: this._depthOption(options),
+      collapseICs: Boolean(options['collapse-ics']),
+      ...this._labelOptions(options)
+    };
+    // Colour-coding needs colour, which is otherwise left out below
+    const color = treeOptions.colorBy !== null;
+    if (options.boxes) {
+      // Written as drawn, however wide, so it can be piped to a file
+      const manager = options.manager ? this._requireEmployee(options.manager) : null;
+      this.orgChart.formatBoxes(manager, { ...treeOptions, color }).forEach((line) => console.log(line));
+    } else if (options.manager) {
+      const manager = this._requireEmployee(options.manager);
+      this.orgChart.formatTree(manager, { ...treeOptions, color }).forEach((line) => console.log(line));
+    } else {
+      this.orgChart.print(null, treeOptions);
+    }
+  }
 
-    if (fileChoice === 'custom') {
-      const { customFile } = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'customFile',
-          message: 'Enter the filename to load (or "back" to cancel):',
-          validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
-        }
-      ]);
-      
-      if (customFile.toLowerCase() === 'back') {
-        return;
-      }
+  // `add`: add an employee and save the chart
+  commandAdd(options) {
+    const filename = this._requireOption(options, 'file');
+    const name = this._requireOption(options, 'name');
+    const title = this._requireOption(options, 'title');
 
-      filename = customFile;
+    // A missing file starts a new chart with this employee as the root
+    if (fs.existsSync(filename)) {
+      this._loadChartFile(filename);
     }
 
-    const success = this.orgChart.importFromJSON(filename);
-    if (success) {
-      this.currentFile = filename;
-    }
-  }
-  
-  // Import org chart from a CSV file
-  async importFromCSV() {
-    console.clear();
-    console.log(chalk.bold.yellow('Import from CSV'));
-    console.log(chalk.cyan('CSV format should include columns: name, title, manager, lob, division, dept, email, id'));
-    console.log(chalk.cyan('The "manager" column should contain the name of the employee\'s manager'));
-    console.log(chalk.cyan('At least one employee should have no manager (they will be the root)'));
-    
-    // Try to list CSV files in the current directory
-    let files = [];
-    try {
-      const dirFiles = fs.readdirSync('./');
-      files = dirFiles.filter((file) => file.endsWith('.csv'));
-    } catch (err) {
-      console.error(chalk.red(`Error reading directory: ${err.message}`));
+    if (options.id && this.orgChart.employees[options.id]) {
+      throw new CommandError(`An employee with ID "${options.id}" already exists`);
     }
-    
-    let choices = files.map((file) => ({ name: file, value: file }));
-    choices.push({ name: 'Enter a different filename', value: 'custom' });
-    
-    const { fileChoice } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'fileChoice',
-        message: 'Select a CSV file to import:',
-        choices: this.addBackOption(choices)
+
+    // Custom field values are given as --<key>, or with dashes for underscores
+    const fields = {};
+    this.orgChart.customFields.forEach(({ key }) => {
+      const value = options[key] ?? options[key.replace(/_/g, '-')];
+      if (value !== undefined) fields[key] = value;
+    });
+
+    let employee;
+    if (!this.orgChart.root) {
+      employee = new Employee(
+        name,
+        title,
+        0,
+        options.lob || '',
+        options.division || '',
+        options.dept || '',
+        options.email || '',
+        options.id || null
+      );
+      try {
+        this.orgChart._setCustomFieldValues(employee, fields);
+      } catch (err) {
+        throw new CommandError(err.message, EXIT_CODES.USAGE);
       }
-    ]);
-    
-    if (fileChoice === 'back') {
-      return;
-    }
-    
-    let filename = fileChoice;
-    
-    if (fileChoice === 'custom') {
-      const { customFile } = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'customFile',
-          message: 'Enter the filename to import (or "back" to cancel):',
-          validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
-        }
-      ]);
-      
-      if (customFile.toLowerCase() === 'back') {
-        return;
+      this.orgChart.setRoot(employee);
+    } else {
+      // --top-level starts a separate tree instead of reporting to someone
+      const manager = options['top-level']
+        ? null
+        : this._requireEmployee(this._requireOption(options, 'manager'));
+
+      try {
+        employee = this.orgChart.addEmployee(
+          name,
+          title,
+          manager ? manager.id : null,
+          options.lob || '',
+          options.division || '',
+          options.dept || '',
+          options.email || '',
+          options.id || null,
+          fields
+        );
+      } catch (err) {
+        throw new CommandError(err.message, EXIT_CODES.USAGE);
       }
-      
-      filename = customFile;
     }
-    
-    // Determine if there's an existing org chart and offer merge option
-    let mergeMode = false;
-    
-    if (this.orgChart.root && Object.keys(this.orgChart.employees).length > 0) {
-      const { importMode } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'importMode',
-          message: 'How would you like to import this file?',
-          choices: [
-            { name: 'Replace current org chart', value: 'replace' },
-            { name: 'Merge with current org chart (add/update employees)', value: 'merge' }
-          ]
-        }
-      ]);
-      
-      mergeMode = importMode === 'merge';
-      
-      if (mergeMode) {
-        console.log(chalk.cyan('Merge mode: Employees with the same name will be updated, new employees will be added.'));
-      } else {
-        console.log(chalk.yellow('Replace mode: Current org chart will be completely replaced.'));
-      }
+
+    this._saveChartFile(filename);
+    console.log(employee.id);
+  }
+
+  // `remove`: remove an employee and save the chart
+  commandRemove(options) {
+    const filename = this._requireOption(options, 'file');
+    const ref = options.id || this._requireOption(options, 'name');
+
+    this._loadChartFile(filename);
+    const employee = this._requireEmployee(ref);
+
+    if (employee === this.orgChart.root) {
+      throw new CommandError('The root of the org chart cannot be removed');
     }
-    
-    const success = this.orgChart.importFromCSV(filename, mergeMode);
-    
-    if (success) {
-      // Don't set currentFile since this isn't a JSON file
-      if (mergeMode) {
-        console.log(chalk.green('CSV data successfully merged with current org chart'));
-      } else {
-        console.log(chalk.green('Org chart imported successfully from CSV'));
-      }
-      
-      // Give the option to save as JSON
-      const { saveAsJson } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'saveAsJson',
-          message: 'Would you like to save this org chart as JSON?',
-          default: true
-        }
-      ]);
-      
-      if (saveAsJson) {
-        await this.saveOrgChart();
+
+    let newManager = null;
+    if (options['reassign-to']) {
+      newManager = this._requireEmployee(options['reassign-to']);
+      if (newManager === employee || this.orgChart.isInSubtree(newManager.id, employee.id)) {
+        throw new CommandError('Reports cannot be reassigned to the employee being removed or anyone under them', EXIT_CODES.USAGE);
       }
     }
+
+    this.orgChart.removeEmployee(employee.id, newManager ? newManager.id : null);
+    this._saveChartFile(filename);
+    console.error(chalk.green(`Removed ${employee.name} from the org chart`));
   }
 
-  // Print menu for various report options
-  async printMenu() {
-    if (!this.orgChart.root) {
-      console.log(chalk.red('Org chart is empty. Please create one first.'));
-      return;
+  // `add-field`: add a custom employee field and save the chart
+  commandAddField(options) {
+    const filename = this._requireOption(options, 'file');
+    const label = this._requireOption(options, 'label');
+    const type = this._requireOption(options, 'type');
+    this._loadChartFile(filename);
+
+    let field;
+    try {
+      field = this.orgChart.addCustomField({
+        label,
+        type,
+        key: options.key,
+        options: typeof options.options === 'string' ? options.options.split(',') : []
+      });
+    } catch (err) {
+      throw new CommandError(err.message, EXIT_CODES.USAGE);
     }
 
-    console.clear();
-    console.log(chalk.bold.yellow('Print Reports'));
+    this._saveChartFile(filename);
+    console.log(field.key);
+  }
 
-    const choices = [
-      { name: 'Complete Organization Chart', value: 'full' },
-      { name: 'Department/Manager Subtree', value: 'subtree' },
-      { name: 'Employee Directory', value: 'directory' },
-      { name: 'Statistics Report', value: 'stats' }
-    ];
+  // `dotted-line`: add or remove a dotted-line manager and save the chart
+  commandDottedLine(options) {
+    const filename = this._requireOption(options, 'file');
+    this._loadChartFile(filename);
 
-    const { reportType } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'reportType',
-        message: 'What type of report would you like to print?',
-        choices: this.addBackOption(choices)
+    const employee = this._requireEmployee(this._requireOption(options, 'employee'));
+    const manager = this._requireEmployee(this._requireOption(options, 'manager'));
+
+    if (options.remove) {
+      if (!this.orgChart.removeDottedLine(employee.id, manager.id)) {
+        throw new CommandError(
+          `${employee.name} has no dotted line to ${manager.name}`,
+          EXIT_CODES.NOT_FOUND
+        );
       }
-    ]);
+      this._saveChartFile(filename);
+      console.error(chalk.green(`Removed dotted line from ${employee.name} to ${manager.name}`));
+      return;
+    }
 
-    switch (reportType) {
-      case 'full':
-        await this.printFullOrgChart();
-        break;
-      case 'subtree':
-        await this.printSubtreeReport();
-        break;
-      case 'directory':
-        await this.printEmployeeDirectory();
-        break;
-      case 'stats':
-        await this.printStatisticsReport();
-        break;
-      case 'back':
-      default:
-        return;
+    try {
+      this.orgChart.addDottedLine(employee.id, manager.id);
+    } catch (err) {
+      throw new CommandError(err.message);
     }
+    this._saveChartFile(filename);
+    console.error(chalk.green(`${employee.name} now has a dotted line to ${manager.name}`));
   }
 
-  // Print the full organization chart to a file
-  async printFullOrgChart() {
-    const { filename } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'filename',
-        message: 'Enter filename to save the organization chart (or "back" to cancel):',
-        default: 'full_org_chart.txt',
-        validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
-      }
-    ]);
-    
-    if (filename.toLowerCase() === 'back') {
-      return;
+  // `add-vacancy`: add an open position under its hiring manager and save the chart
+  commandAddVacancy(options) {
+    const filename = this._requireOption(options, 'file');
+    const title = this._requireOption(options, 'title');
+    this._loadChartFile(filename);
+
+    const manager = this._requireEmployee(this._requireOption(options, 'manager'));
+    const status = options.status || 'open';
+    if (!VACANCY_STATUSES.includes(status)) {
+      throw new CommandError(
+        `Status must be one of: ${VACANCY_STATUSES.join(', ')}`,
+        EXIT_CODES.USAGE
+      );
     }
 
-    let content = '';
+    const vacancy = this.orgChart.addVacancy(title, manager.id, options.dept || manager.dept, status);
+    this._saveChartFile(filename);
+    console.log(vacancy.id);
+  }
+
+  // `fill-vacancy`: turn a vacancy into an employee and save the chart
+  commandFillVacancy(options) {
+    const filename = this._requireOption(options, 'file');
+    const id = this._requireOption(options, 'id');
+    const name = this._requireOption(options, 'name');
+    this._loadChartFile(filename);
+
+    const vacancy = this.orgChart.employees[id];
+    if (!vacancy || !vacancy.isVacancy) {
+      throw new CommandError(`Vacancy "${id}" not found`, EXIT_CODES.NOT_FOUND);
+    }
+
+    this.orgChart.fillVacancy(id, { name, title: options.title, email: options.email });
+    this._saveChartFile(filename);
+    console.error(chalk.green(`${name} fills the "${vacancy.title}" position`));
+  }
 
-    // Header
-    content += `ORGANIZATION CHART\n`;
-    content += `=================\n\n`;
+  // `move`: move an employee and their team under a new manager and save the chart
+  commandMove(options) {
+    const filename = this._requireOption(options, 'file');
+    const ref = options.id || this._requireOption(options, 'name');
 
-    // Capture console.log output
-    const oldLog = console.log;
-    const logs = [];
-    console.log = (...args) => logs.push(args.join(' '));
+    this._loadChartFile(filename);
+    const employee = this._requireEmployee(ref);
+    const newManager = this._requireEmployee(this._requireOption(options, 'manager'));
 
-    // Print the org chart using the existing print method
-    this.orgChart.print();
+    try {
+      this.orgChart.moveEmployee(employee.id, newManager.id);
+    } catch (err) {
+      throw new CommandError(err.message);
+    }
 
-    // Restore console.log
-    console.log = oldLog;
+    this._saveChartFile(filename);
+    console.error(chalk.green(`${employee.name} now reports to ${newManager.name}`));
+  }
 
-    // Add the captured output to the content
-    content += logs.join('\n');
+  // `search`: print matching employees one per line
+  commandSearch(rest, options) {
+    const query = rest.join(' ');
+    const type = options.type || null;
+    if (type && type !== 'employee' && type !== 'vacancy') {
+      throw new CommandError('--type must be employee or vacancy', EXIT_CODES.USAGE);
+    }
+    if (query.trim() === '' && type !== 'vacancy') {
+      throw new CommandError('Missing search query', EXIT_CODES.USAGE);
+    }
 
-    content += '\n\n';
-    content += `Total Employees: ${Object.keys(this.orgChart.employees).length}\n`;
-    content += `Generated on: ${new Date().toLocaleString()}\n`;
+    this._loadChartFile(this._requireOption(options, 'file'));
 
-    fs.writeFileSync(filename, content);
-    console.log(chalk.green(`Organization chart saved to ${filename}`));
-    
-    // Ask if they want to generate another report
-    const { printAnother } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'printAnother',
-        message: 'Would you like to generate another report?',
-        default: true
-      }
-    ]);
-    
-    if (printAnother) {
-      await this.printMenu();
+    const results = this.orgChart.search(query, { type });
+    if (results.length === 0) {
+      throw new CommandError(`No employees found matching "${query}"`, EXIT_CODES.NOT_FOUND);
     }
+
+    results.forEach((e) => {
+      console.log([e.id, e.name, e.title, e.dept, e.email].join('\t'));
+    });
   }
 
-  // Print a subtree report
-  async printSubtreeReport() {
-    // Use our helper method to select a manager with reports
-    const managerName = await this.selectEmployee(
-      'Select a manager to print their department:',
-      (e) => e.reports.length > 0,
-      'manager'
-    );
-    
-    if (managerName === 'back') {
+  // `validate`: list every problem in a JSON file, optionally writing a repaired copy
+  commandValidate(options) {
+    const filename = this._requireOption(options, 'file');
+    if (!fs.existsSync(filename)) {
+      throw new CommandError(`File not found: ${filename}`);
+    }
+
+    let result;
+    try {
+      result = OrgChart.validateJSONFile(filename);
+    } catch (err) {
+      throw new CommandError(`Could not read ${filename}: ${err.message}`);
+    }
+
+    result.problems.forEach((problem) => {
+      const fix = problem.fix ? ` (repair: ${problem.fix})` : ' (cannot be repaired)';
+      console.log(`${problem.path}: ${problem.message}${fix}`);
+    });
+
+    if (result.problems.length === 0) {
+      console.error(chalk.green(`No problems found in ${filename}`));
       return;
     }
 
-    const manager = this.orgChart.employees[managerName];
-    if (!manager) return;
+    if (!options.repair) {
+      throw new CommandError(`${result.problems.length} problem(s) found in ${filename}`);
+    }
+    if (!result.repaired) {
+      throw new CommandError('Some problems cannot be repaired; the file was not changed');
+    }
 
-    await this.printSubtree(manager);
+    const outFile = options.out || filename;
+    this.orgChart.loadJSON(result.repaired);
+    this._saveChartFile(outFile);
+    console.error(chalk.green(`Repaired ${result.problems.length} problem(s) and saved to ${outFile}`));
   }
 
-  // Print an employee directory
-  async printEmployeeDirectory() {
-    const { filename } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'filename',
-        message: 'Enter filename to save the employee directory (or "back" to cancel):',
-        default: 'employee_directory.txt',
-        validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
-      }
-    ]);
-    
-    if (filename.toLowerCase() === 'back') {
-      return;
+  // `import-csv`: import a CSV file and write the resulting chart as JSON
+  commandImportCSV(rest, options) {
+    const [csvFile] = rest;
+    if (!csvFile) {
+      throw new CommandError('Missing CSV file to import', EXIT_CODES.USAGE);
+    }
+    if (!fs.existsSync(csvFile)) {
+      throw new CommandError(`File not found: ${csvFile}`);
     }
 
-    let content = '';
+    const filename = options.file;
+    if (options.merge) {
+      // Merging needs an existing chart to merge into
+      this._loadChartFile(this._requireOption(options, 'file'));
+    } else if (filename && fs.existsSync(filename)) {
+      // Replacing keeps the chart's title and custom fields
+      this._loadChartFile(filename);
+    }
 
-    // Header
-    content += `EMPLOYEE DIRECTORY\n`;
-    content += `=================\n\n`;
+    let mapping = null;
+    if (options.mapping) {
+      const profiles = this.loadMappingProfiles();
+      if (!profiles[options.mapping]) {
+        const names = Object.keys(profiles);
+        throw new CommandError(
+          `Unknown mapping profile "${options.mapping}"` +
+          (names.length > 0 ? `. Saved profiles: ${names.join(', ')}` : ''),
+          EXIT_CODES.USAGE
+        );
+      }
+      mapping = { ...this._emptyCSVMapping(this.orgChart.csvImportFields()), ...profiles[options.mapping] };
+    }
 
-    // Sort employees by name
-    const sortedEmployees = Object.values(this.orgChart.employees).sort((a, b) =>
-      a.name.localeCompare(b.name)
-    );
+    const managerKey = options['manager-key'] || null;
 
-    // Add each employee
-    sortedEmployees.forEach((employee, index) => {
-      content += `${index + 1}. ${employee.name}\n`;
-      content += `   ID: ${employee.id}\n`;
-      content += `   Title: ${employee.title}\n`;
-      content += `   LOB: ${employee.lob}\n`;
-      content += `   Division: ${employee.division}\n`;
-      content += `   Department: ${employee.dept}\n`;
-      content += `   Email: ${employee.email}\n`;
+    if (options['dry-run'] || options.report) {
+      let preview;
+      try {
+        preview = this.orgChart.previewCSVImport(csvFile, Boolean(options.merge), { mapping, managerKey });
+      } catch (err) {
+        throw new CommandError(`Could not import ${csvFile}: ${err.message}`);
+      }
 
-      // Manager
-      const manager = this.orgChart._findManager(employee.name);
-      if (manager) {
-        content += `   Reports to: ${manager.name} (${manager.title})\n`;
+      const content = new OrgReports(this.orgChart).csvImportPreview(preview, path.basename(csvFile));
+      if (options.report) {
+        fs.writeFileSync(options.report, content);
+        console.error(chalk.green(`Import report saved to ${options.report}`));
       } else {
-        content += `   Reports to: None (Top of organization)\n`;
+        process.stdout.write(content);
       }
 
-      // Add direct reports count
-      if (employee.reports.length > 0) {
-        content += `   Direct reports: ${employee.reports.length}\n`;
-      } else {
-        content += `   Direct reports: None\n`;
+      if (preview.error) {
+        throw new CommandError(`Could not import ${csvFile}: ${preview.error}`);
+      }
+      if (options['dry-run']) {
+        return;
       }
+    }
 
-      content += '\n';
-    });
+    let summary;
+    try {
+      summary = this.orgChart.importFromCSV(csvFile, Boolean(options.merge), { mapping, managerKey });
+    } catch (err) {
+      throw new CommandError(`Could not import ${csvFile}: ${err.message}`);
+    }
 
-    content += `Total Employees: ${sortedEmployees.length}\n`;
-    content += `Generated on: ${new Date().toLocaleString()}\n`;
+    summary.warnings.forEach((warning) => console.error(chalk.yellow(warning)));
+    this._importProblemLines(summary).forEach((line) => console.error(chalk.yellow(line)));
+    summary.newFields.forEach(({ label, type }) => {
+      console.error(chalk.green(`Added custom field "${label}" (${type})`));
+    });
+    console.error(chalk.green(
+      `Imported ${csvFile}: ${summary.added} added, ${summary.updated} updated`
+    ));
 
-    fs.writeFileSync(filename, content);
-    console.log(chalk.green(`Employee directory saved to ${filename}`));
-    
-    // Ask if they want to generate another report
-    const { printAnother } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'printAnother',
-        message: 'Would you like to generate another report?',
-        default: true
-      }
-    ]);
-    
-    if (printAnother) {
-      await this.printMenu();
+    if (filename) {
+      this._saveChartFile(filename);
+    } else {
+      console.log(JSON.stringify(this.orgChart.toJSON(), null, 2));
     }
   }
 
-  // Print a statistics report
-  async printStatisticsReport() {
-    const { filename } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'filename',
-        message: 'Enter filename to save the statistics report (or "back" to cancel):',
-        default: 'org_statistics.txt',
-        validate: (input) => input.trim() !== '' || 'Filename cannot be empty'
-      }
-    ]);
-    
-    if (filename.toLowerCase() === 'back') {
-      return;
+  // `export-csv`: write the chart as CSV to stdout, or to --out
+  commandExportCSV(options) {
+    this._loadChartFile(this._requireOption(options, 'file'));
+
+    const extraColumns = options.columns && options.columns !== true
+      ? options.columns.split(',').map((column) => column.trim()).filter(Boolean)
+      : [];
+
+    let content;
+    try {
+      content = this.orgChart.toCSV({ extraColumns });
+    } catch (err) {
+      throw new CommandError(err.message, EXIT_CODES.USAGE);
     }
 
-    const employees = Object.values(this.orgChart.employees);
+    if (options.out) {
+      fs.writeFileSync(options.out, content);
+      console.error(chalk.green(`Exported ${Object.keys(this.orgChart.employees).length} employees to ${options.out}`));
+    } else {
+      process.stdout.write(`${content}\n`);
+    }
+  }
 
-    // Calculate statistics
-    const totalEmployees = employees.length;
-    const maxLevel = Math.max(...employees.map((e) => e.level));
+  // `export-dot`: write a Graphviz DOT graph to stdout, or to --out
+  commandExportDot(options) {
+    this._loadChartFile(this._requireOption(options, 'file'));
 
-    // Count employees by level
-    const employeesByLevel = Array(maxLevel + 1).fill(0);
-    employees.forEach((e) => {
-      employeesByLevel[e.level]++;
-    });
+    const root = options.manager ? this._requireEmployee(options.manager) : null;
+    const label = typeof options.label === 'string'
+      ? options.label.split(',').map((field) => field.trim()).filter(Boolean)
+      : undefined;
 
-    // Average span of control
-    const managersCount = employees.filter((e) => e.reports.length > 0).length;
-    const avgSpan =
-      managersCount > 0
-        ? (totalEmployees - 1) / managersCount // Subtract 1 for the root employee
-        : 0;
+    let content;
+    try {
+      content = new OrgReports(this.orgChart).dot(root, { label, cluster: options.cluster || null });
+    } catch (err) {
+      throw new CommandError(err.message, EXIT_CODES.USAGE);
+    }
 
-    // Find manager with most direct reports
-    let maxReports = 0;
-    let managerWithMostReports = null;
-    employees.forEach((e) => {
-      if (e.reports.length > maxReports) {
-        maxReports = e.reports.length;
-        managerWithMostReports = e;
-      }
-    });
+    if (options.out) {
+      fs.writeFileSync(options.out, content);
+      console.error(chalk.green(`DOT file saved to ${options.out}`));
+    } else {
+      process.stdout.write(content);
+    }
+  }
 
-    let content = '';
+  // `export-mermaid`: write a Mermaid flowchart to stdout, or to --out
+  commandExportMermaid(options) {
+    this._loadChartFile(this._requireOption(options, 'file'));
 
-    // Header
-    content += `ORGANIZATION STATISTICS REPORT\n`;
-    content += `============================\n\n`;
+    const root = options.manager ? this._requireEmployee(options.manager) : null;
+    const label = typeof options.label === 'string'
+      ? options.label.split(',').map((field) => field.trim()).filter(Boolean)
+      : undefined;
 
-    // General statistics
-    content += `General Statistics:\n`;
-    content += `-----------------\n`;
-    content += `Total Employees: ${totalEmployees}\n`;
-    content += `Organization Depth: ${maxLevel + 1} levels\n`;
-    content += `Total Managers: ${managersCount}\n`;
-    content += `Average Span of Control: ${avgSpan.toFixed(2)} direct reports per manager\n\n`;
+    const maxDepth = this._depthOption(options);
 
-    // Employees by level
-    content += `Employees by Level:\n`;
-    content += `-----------------\n`;
-    employeesByLevel.forEach((count, level) => {
-      content += `Level ${level}: ${count} employees ${
-        level === 0 ? '(Top level)' : ''
-      }\n`;
-    });
-    content += '\n';
+    let content;
+    try {
+      content = new OrgReports(this.orgChart).mermaid(root, { label, maxDepth, fence: Boolean(options.markdown) });
+    } catch (err) {
+      throw new CommandError(err.message, EXIT_CODES.USAGE);
+    }
 
-    // Manager with most direct reports
-    if (managerWithMostReports) {
-      content += `Manager with Most Direct Reports:\n`;
-      content += `-------------------------------\n`;
-      content += `${managerWithMostReports.name} (${managerWithMostReports.title}): ${maxReports} direct reports\n\n`;
+    if (options.out) {
+      fs.writeFileSync(options.out, content);
+      console.error(chalk.green(`Mermaid flowchart saved to ${options.out}`));
+    } else {
+      process.stdout.write(content);
     }
+  }
 
-    // Employees with no direct reports
-    const individualContributors = employees.filter((e) => e.reports.length === 0);
-    content += `Individual Contributors: ${individualContributors.length} (${(
-      (individualContributors.length / totalEmployees) *
-      100
-    ).toFixed(1)}% of organization)\n\n`;
+  // `export-svg`: write an SVG box diagram to stdout, or to --out
+  commandExportSVG(options) {
+    this._loadChartFile(this._requireOption(options, 'file'));
 
-    content += `Generated on: ${new Date().toLocaleString()}\n`;
+    const root = options.manager ? this._requireEmployee(options.manager) : null;
+    const label = typeof options.label === 'string'
+      ? options.label.split(',').map((field) => field.trim()).filter(Boolean)
+      : undefined;
 
-    fs.writeFileSync(filename, content);
-    console.log(chalk.green(`Statistics report saved to ${filename}`));
-    
-    // Ask if they want to generate another report
-    const { printAnother } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'printAnother',
-        message: 'Would you like to generate another report?',
-        default: true
+    let nodeWidth;
+    if (options.width !== undefined) {
+      if (!/^\d+$/.test(options.width) || Number(options.width) < 60) {
+        throw new CommandError('--width must be a whole number of pixels, at least 60', EXIT_CODES.USAGE);
       }
-    ]);
-    
-    if (printAnother) {
-      await this.printMenu();
+      nodeWidth = Number(options.width);
+    }
+
+    let content;
+    try {
+      content = new OrgReports(this.orgChart).svg(root, { label, nodeWidth, compactLeaves: !options['spread-leaves'] });
+    } catch (err) {
+      throw new CommandError(err.message, EXIT_CODES.USAGE);
+    }
+
+    if (options.out) {
+      fs.writeFileSync(options.out, content);
+      console.error(chalk.green(`SVG diagram saved to ${options.out}`));
+    } else {
+      process.stdout.write(content);
+    }
+  }
+
+  // `export-html`: write the interactive HTML page to stdout, or to --out
+  commandExportHTML(options) {
+    this._loadChartFile(this._requireOption(options, 'file'));
+
+    const root = options.manager ? this._requireEmployee(options.manager) : null;
+    const content = new OrgReports(this.orgChart).html(root);
+
+    if (options.out) {
+      fs.writeFileSync(options.out, content);
+      console.error(chalk.green(`HTML chart saved to ${options.out}`));
+    } else {
+      process.stdout.write(content);
+    }
+  }
+
+  // `report`: print one of the text reports, or save it with --out
+  commandReport(rest, options) {
+    const [reportType] = rest;
+    this._loadChartFile(this._requireOption(options, 'file'));
+
+    const reports = new OrgReports(this.orgChart);
+    const limits = {
+      maxDepth: this._depthOption(options),
+      collapseICs: Boolean(options['collapse-ics']),
+      labelTemplate: this._labelOptions(options).labelTemplate
+    };
+    let content;
+    switch (reportType) {
+      case 'full':
+        content = reports.fullChart(limits);
+        break;
+      case 'subtree':
+        content = reports.subtree(
+          this._requireEmployee(this._requireOption(options, 'manager')),
+          limits
+        );
+        break;
+      case 'directory':
+        content = reports.directory();
+        break;
+      case 'stats':
+        content = reports.statistics();
+        break;
+      case 'matrix':
+        content = reports.matrix();
+        break;
+      default:
+        throw new CommandError(
+          'Report type must be one of: full, subtree, directory, stats, matrix',
+          EXIT_CODES.USAGE
+        );
+    }
+
+    if (options.out) {
+      fs.writeFileSync(options.out, content);
+      console.error(chalk.green(`Report saved to ${options.out}`));
+    } else {
+      process.stdout.write(content);
     }
   }
 
   // Run the application
-  async run() {
+  async run(args = []) {
+    // Any arguments mean a scripted subcommand rather than the menus
+    if (args.length > 0) {
+      return this.runCommand(args);
+    }
+
     console.log(chalk.bold.green('Welcome to Terminal Org Chart!'));
     console.log(chalk.gray('Press Ctrl+C at any time to exit'));
     console.log();
 
     try {
+      await this.offerRecovery();
+
       let running = true;
       while (running) {
         running = await this.mainMenu();
+        this.writeRecoveryFile();
       }
+
+      // A clean exit leaves nothing to recover
+      this.removeRecoveryFile();
     } catch (err) {
       // Handle keyboard interrupts (Ctrl+C) gracefully
       if (err.isTtyError) {
@@ -1899,6 +7518,28 @@ class OrgChartApp {
   }
 }
 
-// Run the application
-const app = new OrgChartApp();
-app.run();
+module.exports = {
+  Employee,
+  OrgChart,
+  OrgReports,
+  ChartValidationError,
+  OrgChartApp,
+  CommandError,
+  EXIT_CODES
+};
+
+// Only start the app when run as a script, not when required as a library
+if (require.main === module) {
+  // Stop quietly when piped into something like `head` that closes early
+  process.stdout.on('error', (err) => {
+    if (err.code === 'EPIPE') process.exit(EXIT_CODES.OK);
+    throw err;
+  });
+
+  const app = new OrgChartApp();
+  app.run(process.argv.slice(2)).then((exitCode) => {
+    if (exitCode !== undefined) {
+      process.exitCode = exitCode;
+    }
+  });
+}
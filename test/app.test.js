@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const inquirer = require('inquirer');
+const { Employee, OrgChartApp } = require('../orgchart');
+
+// An app with Ann > (Bob, Cat), its console silenced and its prompts answered
+// by `answer(question)`, falling back to each question's default. Returns
+// the app and the names of the questions asked, in order.
+function makeApp(t, answer = () => undefined) {
+  const app = new OrgChartApp();
+  app.orgChart.setRoot(new Employee('Ann', 'CEO'));
+  app.orgChart.addEmployee('Bob', 'CTO', app.orgChart.root.id, '', '', 'Eng', '');
+  app.orgChart.addEmployee('Cat', 'CFO', app.orgChart.root.id, '', '', 'Fin', '');
+
+  const asked = [];
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'clear', () => {});
+  t.mock.method(inquirer, 'prompt', async (questions) => {
+    const answers = {};
+    questions
+      .filter((question) => question.when !== false)
+      .forEach((question) => {
+        asked.push(question.name);
+        const value = answer(question);
+        answers[question.name] = value === undefined ? question.default : value;
+      });
+    return answers;
+  });
+  return { app, asked };
+}
+
+const byName = (app, name) => app.orgChart.findByName(name)[0];
+
+test('editing from the navigator does not offer to edit someone else', async (t) => {
+  const { app, asked } = makeApp(t, (question) => (question.name === 'title' ? 'VP' : undefined));
+  await app.editEmployee(byName(app, 'Bob').id, { askAgain: false });
+  assert.strictEqual(byName(app, 'Bob').title, 'VP');
+  assert.ok(!asked.includes('editAnother'));
+});
+
+test('removing from the navigator does not offer to remove someone else', async (t) => {
+  const { app, asked } = makeApp(t, (question) => (question.name === 'reassignReports' ? false : undefined));
+  await app.removeEmployee(byName(app, 'Bob').id, { askAgain: false });
+  assert.strictEqual(byName(app, 'Bob'), undefined);
+  assert.deepStrictEqual(asked, ['reassignReports']);
+});
+
+test('editing from the menu still offers to edit someone else', async (t) => {
+  const { app, asked } = makeApp(t, (question) => (question.name === 'editAnother' ? false : undefined));
+  await app.editEmployee(byName(app, 'Bob').id);
+  assert.ok(asked.includes('editAnother'));
+});
+
+test('the chart menu offers dotted lines once one is added while it is open', async (t) => {
+  const menus = [];
+  const { app } = makeApp(t, (question) => {
+    if (question.name !== 'viewOption') return undefined;
+    menus.push(question.choices.map((choice) => choice.value));
+    return menus.length === 1 ? 'browse' : 'exit';
+  });
+  app.browseOrgChart = async () => {
+    app.orgChart.addDottedLine(byName(app, 'Cat').id, byName(app, 'Bob').id);
+  };
+
+  await app.displayOrgChart();
+  assert.ok(!menus[0].includes('dotted'));
+  assert.ok(menus[1].includes('dotted'));
+});
@@ -0,0 +1,118 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SCRIPT = path.join(__dirname, '..', 'orgchart.js');
+
+const scratchDirs = [];
+after(() => scratchDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+// A new empty directory, removed when the tests finish
+function scratchDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orgchart-cli-'));
+  scratchDirs.push(dir);
+  return dir;
+}
+
+// Run the CLI in a scratch directory and return { status, stdout, stderr }
+function run(dir, ...args) {
+  const result = spawnSync(process.execPath, [SCRIPT, ...args], {
+    cwd: dir,
+    encoding: 'utf8',
+    env: { ...process.env, HOME: dir, FORCE_COLOR: '0' },
+    timeout: 30000
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+// A scratch directory holding org.json with Ann > Bob > Cat
+function makeChart() {
+  const dir = scratchDir();
+  assert.strictEqual(run(dir, 'add', '--file', 'org.json', '--name', 'Ann', '--title', 'CEO').status, 0);
+  assert.strictEqual(run(dir, 'add', '--file', 'org.json', '--name', 'Bob', '--title', 'CTO', '--manager', 'Ann', '--dept', 'Eng').status, 0);
+  assert.strictEqual(run(dir, 'add', '--file', 'org.json', '--name', 'Cat', '--title', 'Engineer', '--manager', 'Bob', '--dept', 'Eng').status, 0);
+  return dir;
+}
+
+test('print exits 0 and writes the tree to stdout', () => {
+  const dir = makeChart();
+  const { status, stdout } = run(dir, 'print', '--file', 'org.json');
+  assert.strictEqual(status, 0);
+  assert.match(stdout, /Ann \(CEO\)/);
+  assert.match(stdout, /Cat \(Engineer\)/);
+});
+
+test('add prints the new ID and saves the chart', () => {
+  const dir = makeChart();
+  const { status, stdout } = run(dir, 'add', '--file', 'org.json', '--name', 'Dee', '--title', 'PM', '--manager', 'Ann');
+  assert.strictEqual(status, 0);
+  const id = stdout.trim();
+  assert.ok(id);
+  assert.strictEqual(run(dir, 'search', 'Dee', '--file', 'org.json').stdout.split('\t')[0], id);
+});
+
+test('search exits 0 with matches and 3 without', () => {
+  const dir = makeChart();
+  const found = run(dir, 'search', 'Bob', '--file', 'org.json');
+  assert.strictEqual(found.status, 0);
+  assert.match(found.stdout, /\tBob\tCTO\tEng\t/);
+  assert.strictEqual(run(dir, 'search', 'Zelda', '--file', 'org.json').status, 3);
+});
+
+test('a missing employee exits 3', () => {
+  const dir = makeChart();
+  assert.strictEqual(run(dir, 'print', '--file', 'org.json', '--manager', 'Zelda').status, 3);
+  assert.strictEqual(run(dir, 'remove', '--file', 'org.json', '--name', 'Zelda').status, 3);
+});
+
+test('usage errors exit 2', () => {
+  const dir = makeChart();
+  assert.strictEqual(run(dir, 'frobnicate').status, 2);
+  assert.strictEqual(run(dir, 'print').status, 2);
+  assert.strictEqual(run(dir, 'add', '--file', 'org.json', '--name', 'Eve').status, 2);
+  assert.strictEqual(run(dir, 'print', '--file', 'org.json', '--depth', 'two').status, 2);
+  assert.strictEqual(run(dir, 'print', '--file', 'org.json', '--color-by', 'team').status, 2);
+  assert.strictEqual(run(dir, 'print', '--file', 'org.json', '--label-template', '{nickname}').status, 2);
+  // Reports reassigned to someone under the removed employee would be lost
+  assert.strictEqual(run(dir, 'remove', '--file', 'org.json', '--name', 'Bob', '--reassign-to', 'Cat').status, 2);
+  assert.match(run(dir, 'print', '--file', 'org.json').stdout, /Cat/);
+});
+
+test('file and data errors exit 1', () => {
+  const dir = makeChart();
+  assert.strictEqual(run(dir, 'print', '--file', 'missing.json').status, 1);
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{ not json');
+  assert.strictEqual(run(dir, 'print', '--file', 'broken.json').status, 1);
+  fs.writeFileSync(path.join(dir, 'null.json'), 'null');
+  assert.strictEqual(run(dir, 'validate', '--file', 'null.json').status, 1);
+  assert.strictEqual(run(dir, 'print', '--file', 'null.json').status, 1);
+  // Moving a manager under their own report would make a cycle
+  assert.strictEqual(run(dir, 'move', '--file', 'org.json', '--name', 'Ann', '--manager', 'Cat').status, 1);
+});
+
+test('help exits 0 and lists the exit codes', () => {
+  const dir = scratchDir();
+  const { status, stdout } = run(dir, 'help');
+  assert.strictEqual(status, 0);
+  assert.match(stdout, /Exit codes:/);
+});
+
+test('export-csv and import-csv round-trip into a new chart file', () => {
+  const dir = makeChart();
+  assert.strictEqual(run(dir, 'add-field', '--file', 'org.json', '--label', 'Start date', '--type', 'date').status, 0);
+  assert.strictEqual(run(dir, 'add', '--file', 'org.json', '--name', 'Dee', '--title', 'PM', '--manager', 'Ann', '--start-date', '2022-02-01').status, 0);
+
+  assert.strictEqual(run(dir, 'export-csv', '--file', 'org.json', '--out', 'out.csv').status, 0);
+  const imported = run(dir, 'import-csv', 'out.csv', '--file', 'new.json');
+  assert.strictEqual(imported.status, 0);
+  assert.match(imported.stderr, /Added custom field "Start date" \(date\)/);
+
+  const read = (name) => {
+    const { created, modified, ...data } = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+    return data;
+  };
+  assert.deepStrictEqual(read('new.json'), read('org.json'));
+});
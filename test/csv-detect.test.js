@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OrgChart } = require('../orgchart');
+
+test('comma, semicolon, tab and pipe delimiters are detected', () => {
+  for (const delimiter of [',', ';', '\t', '|']) {
+    const csv = ['Name', 'Title', 'Supervisor'].join(delimiter) + '\n' + ['Ann', 'CEO', ''].join(delimiter) + '\n';
+    const { headers, rows, delimiter: detected } = OrgChart.parseCSV(csv);
+    assert.strictEqual(detected, delimiter);
+    assert.deepStrictEqual(headers, ['Name', 'Title', 'Supervisor']);
+    assert.strictEqual(rows[0].Title, 'CEO');
+  }
+});
+
+test('UTF-8 and UTF-16 byte order marks are honoured', () => {
+  const text = 'name,title\nZoë,CEO\n';
+  const withBOM = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(text, 'utf8')]);
+  assert.deepStrictEqual(OrgChart.decodeCSV(withBOM), { text, encoding: 'UTF-8 with BOM' });
+
+  const utf16le = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')]);
+  assert.deepStrictEqual(OrgChart.decodeCSV(utf16le), { text, encoding: 'UTF-16 LE' });
+
+  const utf16be = Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from(text, 'utf16le').swap16()]);
+  assert.deepStrictEqual(OrgChart.decodeCSV(utf16be), { text, encoding: 'UTF-16 BE' });
+});
+
+test('files that are not valid UTF-8 are read as Latin-1', () => {
+  const latin1 = Buffer.from('name,title\nZoë,CEO\n', 'latin1');
+  const { text, encoding } = OrgChart.decodeCSV(latin1);
+  assert.strictEqual(encoding, 'Latin-1');
+  assert.match(text, /Zoë/);
+});
+
+test('a BOM left in the text does not end up in the first header', () => {
+  const { headers } = OrgChart.parseCSV('\uFEFFname,title\nAnn,CEO\n');
+  assert.strictEqual(headers[0], 'name');
+});
+
+test('common HR export headers are mapped to fields', () => {
+  const mapping = OrgChart.proposeCSVMapping(['Employee Name', 'Job Title', 'Supervisor', 'Department', 'Work Email', 'Employee ID', 'Shoe size']);
+  assert.strictEqual(mapping.name, 'Employee Name');
+  assert.strictEqual(mapping.title, 'Job Title');
+  assert.strictEqual(mapping.manager, 'Supervisor');
+  assert.strictEqual(mapping.dept, 'Department');
+  assert.strictEqual(mapping.email, 'Work Email');
+  assert.strictEqual(mapping.id, 'Employee ID');
+  assert.ok(!Object.values(mapping).includes('Shoe size'));
+});
+
+test('an explicit mapping is used for import', () => {
+  const chart = new OrgChart();
+  chart.importFromCSVString('Who;Role;Boss\nAnn;CEO;\nBob;CTO;Ann\n', false, 'CSV data', {
+    mapping: { name: 'Who', title: 'Role', manager: 'Boss' }
+  });
+  assert.strictEqual(chart.findByName('Bob')[0].manager, chart.root);
+});
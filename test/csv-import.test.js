@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OrgChart } = require('../orgchart');
+
+const managerOf = (chart, name) => {
+  const manager = chart.findByName(name)[0].manager;
+  return manager ? manager.name : null;
+};
+
+test('managers are found by manager_id, then manager_email, then manager', () => {
+  const chart = new OrgChart();
+  chart.importFromCSVString([
+    'name,title,id,email,manager_id,manager_email,manager',
+    'Ann,CEO,e1,ann@example.com,,,',
+    'Bob,CTO,e2,bob@example.com,e1,,',
+    'Cat,Engineer,e3,,,BOB@example.com,',
+    'Dan,Engineer,e4,,,,Bob',
+    'Eve,Engineer,e5,,e1,bob@example.com,Bob'
+  ].join('\n'), false);
+  assert.strictEqual(managerOf(chart, 'Bob'), 'Ann');
+  assert.strictEqual(managerOf(chart, 'Cat'), 'Bob');
+  assert.strictEqual(managerOf(chart, 'Dan'), 'Bob');
+  assert.strictEqual(managerOf(chart, 'Eve'), 'Ann');
+});
+
+test('a manager key column resolves the manager column through another column', () => {
+  const chart = new OrgChart();
+  chart.importFromCSVString([
+    'name,title,emp_no,reports_to',
+    'Ann,CEO,100,',
+    'Bob,CTO,200,100',
+    'Cat,Engineer,300,200'
+  ].join('\n'), false, 'CSV data', { managerKey: 'emp_no', mapping: { name: 'name', title: 'title', manager: 'reports_to' } });
+  assert.strictEqual(managerOf(chart, 'Bob'), 'Ann');
+  assert.strictEqual(managerOf(chart, 'Cat'), 'Bob');
+});
+
+test('unresolved managers are summarised, not fatal', () => {
+  const chart = new OrgChart();
+  const summary = chart.importFromCSVString([
+    'name,title,manager_id,manager',
+    'Ann,CEO,,',
+    'Bob,CTO,nope,',
+    'Cat,Engineer,,Zed'
+  ].join('\n'), false);
+  assert.deepStrictEqual(summary.unresolved.map(({ row, name, reference }) => [row, name, reference]), [
+    [2, 'Bob', 'nope'],
+    [3, 'Cat', 'Zed']
+  ]);
+  assert.strictEqual(managerOf(chart, 'Bob'), null);
+  assert.strictEqual(chart.getRoots().length, 3);
+});
+
+test('a manager key column must exist in the file', () => {
+  const chart = new OrgChart();
+  assert.throws(() => chart.importFromCSVString('name,title,manager\nAnn,CEO,\n', false, 'CSV data', { managerKey: 'emp_no' }), /emp_no/);
+});
+
+test('a dry run reports problems and changes without touching the chart', () => {
+  const chart = new OrgChart();
+  chart.importFromCSVString('name,title,id,manager\nAnn,CEO,a,\nBob,CTO,b,Ann\n', false);
+  const before = JSON.stringify(chart.toJSON());
+
+  const preview = chart.previewCSVImportString([
+    'name,title,id,manager',
+    'Ann,Chair,a,',
+    'Bob,CTO,b,Gil',
+    ',Nobody,,',
+    'Cat,Engineer,c,Dan',
+    'Dan,Engineer,d,Cat',
+    'Eve,Engineer,e,Ann',
+    'Eve,Designer,f,Ann',
+    'Fay,Engineer,b,Ann',
+    'Gil,Lead,g,Bob'
+  ].join('\n'), true);
+
+  assert.strictEqual(JSON.stringify(chart.toJSON()), before);
+  assert.strictEqual(preview.error, null);
+  assert.deepStrictEqual(preview.skipped.map(({ row }) => row), [3, 8]);
+  assert.deepStrictEqual(preview.duplicateNames, [{ name: 'Eve', rows: [6, 7] }]);
+  assert.strictEqual(preview.cycles.length, 2);
+  assert.deepStrictEqual(preview.added.sort(), ['Cat', 'Dan', 'Eve', 'Eve', 'Gil']);
+  assert.deepStrictEqual(preview.updated.map(({ name }) => name), ['Ann']);
+  assert.deepStrictEqual(preview.moved.map(({ name, from, to }) => [name, from, to]), [['Bob', 'Ann', 'Gil']]);
+});
+
+test('a dry run reports an import that would fail', () => {
+  const chart = new OrgChart();
+  const preview = chart.previewCSVImportString('name,title\n,Nobody\n', false);
+  assert.match(preview.error, /No root employee found/);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Employee, OrgChart } = require('../orgchart');
+
+// Ann > Bob, with a custom field of each type
+function makeChart() {
+  const chart = new OrgChart();
+  chart.addCustomField({ label: 'Start date', type: 'date' });
+  chart.addCustomField({ label: 'Cost center', type: 'number' });
+  chart.addCustomField({ label: 'Employee type', type: 'enum', options: ['Full-time', 'Contractor | agency', '100% remote'] });
+  chart.addCustomField({ label: 'Location', type: 'text' });
+  chart.setRoot(new Employee('Ann', 'CEO'));
+  chart.addEmployee('Bob', 'CTO', chart.root.id, '', '', 'Eng', '', null, {
+    start_date: '2021-04-01', cost_center: '1200', employee_type: 'contractor | agency', location: 'Oslo'
+  });
+  return chart;
+}
+
+test('custom field headers carry the field definition', () => {
+  const chart = makeChart();
+  chart.customFields.forEach((field) => {
+    const header = OrgChart.csvFieldHeader(field);
+    assert.deepStrictEqual(OrgChart.parseCSVFieldHeader(header), field);
+  });
+  assert.strictEqual(OrgChart.csvFieldHeader(chart.getCustomField('start_date')), 'Start date [start_date:date]');
+});
+
+test('headers without a valid definition are not custom fields', () => {
+  assert.strictEqual(OrgChart.parseCSVFieldHeader('Location'), null);
+  assert.strictEqual(OrgChart.parseCSVFieldHeader('Size [size:colour]'), null);
+  assert.strictEqual(OrgChart.parseCSVFieldHeader('Team [dept:text]'), null);
+  assert.strictEqual(OrgChart.parseCSVFieldHeader('Level [level:enum:]'), null);
+});
+
+test('importing into a chart without the fields adds them', () => {
+  const csv = makeChart().toCSV();
+  const chart = new OrgChart();
+  const summary = chart.importFromCSVString(csv, false);
+
+  assert.deepStrictEqual(summary.newFields.map((field) => field.key), ['start_date', 'cost_center', 'employee_type', 'location']);
+  assert.deepStrictEqual(summary.ignoredColumns, []);
+  assert.deepStrictEqual(chart.customFields, makeChart().customFields);
+  assert.deepStrictEqual(chart.findByName('Bob')[0].fields, {
+    start_date: '2021-04-01', cost_center: 1200, employee_type: 'Contractor | agency', location: 'Oslo'
+  });
+});
+
+test('undoing the import removes the fields it added', () => {
+  const chart = new OrgChart();
+  chart.importFromCSVString(makeChart().toCSV(), false);
+  chart.undo();
+  assert.deepStrictEqual(chart.customFields, []);
+  assert.deepStrictEqual(chart.employees, {});
+});
+
+test('a chart that already has a field keeps its definition', () => {
+  const chart = new OrgChart();
+  chart.addCustomField({ label: 'Where', key: 'location', type: 'text' });
+  const summary = chart.importFromCSVString('name,title,Location [location:enum:Oslo]\nAnn,CEO,Bergen\n', false);
+  assert.deepStrictEqual(summary.newFields, []);
+  assert.strictEqual(chart.getCustomField('location').label, 'Where');
+  assert.strictEqual(chart.findByName('Ann')[0].fields.location, 'Bergen');
+});
+
+test('columns that match no field are reported', () => {
+  const chart = new OrgChart();
+  const csv = 'name,title,Shoe size,level\nAnn,CEO,9,0\n';
+  assert.deepStrictEqual(chart.importFromCSVString(csv, false).ignoredColumns, ['Shoe size']);
+  assert.deepStrictEqual(new OrgChart().previewCSVImportString(csv).ignoredColumns, ['Shoe size']);
+});
+
+test('the preview lists new fields without adding them', () => {
+  const chart = new OrgChart();
+  const preview = chart.previewCSVImportString(makeChart().toCSV());
+  assert.strictEqual(preview.newFields.length, 4);
+  assert.deepStrictEqual(chart.customFields, []);
+});
+
+// A chart with everything CSV has to carry: custom fields, a vacancy, a
+// dotted line, a second top-level tree, shared names and awkward characters
+function makeFullChart() {
+  const chart = makeChart();
+  const ann = chart.root;
+  const bob = chart.findByName('Bob')[0];
+  const cat = chart.addEmployee('Cat "CJ" Jones', 'Engineer, Platform', bob.id, 'Corp', 'Tech', 'Eng', 'cat@example.com');
+  chart.addEmployee('Dan', 'Engineer\nII', bob.id, '', '', 'Eng', '');
+  chart.addEmployee('Dan', 'Designer', ann.id, '', '', 'Design', '');
+  chart.addVacancy('Analyst', ann.id, 'Fin', 'interviewing');
+  chart.addDottedLine(cat.id, ann.id);
+  chart.addEmployee('Yu', 'Advisor', null, '', '', '', '');
+  return chart;
+}
+
+// The chart as saved, without the save dates, which CSV does not carry
+function savedData(chart) {
+  const { created, modified, ...data } = JSON.parse(JSON.stringify(chart.toJSON()));
+  return data;
+}
+
+test('exporting and importing into an empty chart reproduces the chart', () => {
+  const original = makeFullChart();
+  const copy = new OrgChart();
+  copy.importFromCSVString(original.toCSV(), false);
+  assert.deepStrictEqual(savedData(copy), savedData(original));
+});
+
+test('the extra export columns do not change what is imported', () => {
+  const original = makeFullChart();
+  const copy = new OrgChart();
+  const summary = copy.importFromCSVString(original.toCSV({ extraColumns: ['manager_id', 'level', 'direct_reports'] }), false);
+  assert.deepStrictEqual(summary.ignoredColumns, []);
+  assert.deepStrictEqual(savedData(copy), savedData(original));
+});
+
+test('exporting the imported chart gives the same CSV', () => {
+  const csv = makeFullChart().toCSV();
+  const copy = new OrgChart();
+  copy.importFromCSVString(csv, false);
+  assert.strictEqual(copy.toCSV(), csv);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Employee, OrgChart } = require('../orgchart');
+
+// A version 1 file: the bare root employee, as written before the envelope
+const VERSION_1 = {
+  id: 'ann', name: 'Ann', title: 'CEO', level: 0, lob: '', division: '', dept: 'Exec', email: '',
+  reports: [
+    { id: 'bob', name: 'Bob', title: 'CTO', level: 1, lob: '', division: '', dept: 'Eng', email: '', reports: [] }
+  ]
+};
+
+// A version 2 file: the envelope with a single root
+const VERSION_2 = {
+  format: 'terminal-org-chart',
+  version: 2,
+  title: 'Acme',
+  created: '2024-01-02T00:00:00.000Z',
+  modified: '2024-03-04T00:00:00.000Z',
+  customFields: [{ key: 'location', label: 'Location', type: 'text' }],
+  root: { ...VERSION_1, fields: { location: 'Oslo' } }
+};
+
+const copy = (data) => JSON.parse(JSON.stringify(data));
+
+test('version 1 files are migrated through every step to the current version', () => {
+  const data = OrgChart.migrateJSON(copy(VERSION_1));
+  assert.strictEqual(data.format, 'terminal-org-chart');
+  assert.strictEqual(data.version, 3);
+  assert.strictEqual(data.title, '');
+  assert.deepStrictEqual(data.customFields, []);
+  assert.strictEqual(data.roots.length, 1);
+  assert.strictEqual(data.roots[0].id, 'ann');
+  assert.strictEqual('root' in data, false);
+});
+
+test('version 2 files keep their metadata and get a list of roots', () => {
+  const data = OrgChart.migrateJSON(copy(VERSION_2));
+  assert.strictEqual(data.version, 3);
+  assert.strictEqual(data.title, 'Acme');
+  assert.strictEqual(data.created, '2024-01-02T00:00:00.000Z');
+  assert.deepStrictEqual(data.roots.map((root) => root.id), ['ann']);
+  assert.strictEqual('root' in data, false);
+});
+
+test('files from a newer version or an unknown version are refused', () => {
+  assert.throws(() => OrgChart.migrateJSON({ format: 'terminal-org-chart', version: 99, roots: [] }), /upgrade/i);
+  assert.throws(() => OrgChart.migrateJSON({ format: 'terminal-org-chart', version: 0, roots: [] }), /version/);
+});
+
+test('old files load into the same chart as current ones', () => {
+  const fromV1 = new OrgChart().loadJSON(copy(VERSION_1));
+  const fromV2 = new OrgChart().loadJSON(copy(VERSION_2));
+  for (const chart of [fromV1, fromV2]) {
+    assert.strictEqual(chart.root.id, 'ann');
+    assert.strictEqual(chart.employees.bob.manager, chart.root);
+    assert.strictEqual(chart.employees.bob.level, 1);
+  }
+  assert.strictEqual(fromV2.title, 'Acme');
+  assert.strictEqual(fromV2.employees.ann.fields.location, 'Oslo');
+});
+
+test('saved files carry the envelope and read back unchanged', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orgchart-json-'));
+  try {
+    const chart = new OrgChart();
+    chart.setTitle('Acme');
+    chart.setRoot(new Employee('Ann', 'CEO'));
+    chart.addEmployee('Bob', 'CTO', chart.root.id, '', '', 'Eng', '');
+    chart.addEmployee('Yu', 'Advisor', null, '', '', '', '');
+
+    const filename = path.join(dir, 'org.json');
+    chart.exportToJSON(filename);
+    const saved = JSON.parse(fs.readFileSync(filename, 'utf8'));
+    assert.strictEqual(saved.format, 'terminal-org-chart');
+    assert.strictEqual(saved.version, 3);
+    assert.ok(saved.created);
+    assert.strictEqual(saved.roots.length, 2);
+
+    const loaded = new OrgChart();
+    loaded.importFromJSON(filename);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(loaded.toJSON())), saved);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Employee, OrgChart, OrgReports } = require('../orgchart');
+
+const WIDTH = 180;
+const HEIGHT = 48;
+
+// A chart of `size` people with a repeatable, uneven shape: some managers
+// with many leaf reports, some with deep chains, and a second top-level tree
+function makeChart(size) {
+  const chart = new OrgChart();
+  chart.setRoot(new Employee('Person 0', 'CEO'));
+  const people = [chart.root];
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  for (let i = 1; i < size; i++) {
+    const manager = i === size - 1 ? null : people[Math.floor(random() * random() * people.length)];
+    people.push(chart.addEmployee(`Person ${i}`, 'Staff', manager && manager.id, '', '', '', ''));
+  }
+  return chart;
+}
+
+// Problems in a layout: boxes outside the drawing or overlapping each other,
+// reports (or rollups) not below their manager, and connector ends touching
+// nothing
+function layoutProblems({ nodes, lines, width, height }) {
+  const problems = [];
+  const positions = new Map(nodes.filter((node) => node.employee).map((node) => [node.employee, node]));
+  const name = (node) => (node.employee ? node.employee.name : node.rollup.reports.map((e) => e.name).join('/'));
+  const managerOf = (node) => (node.employee ? node.employee.manager : node.rollup.reports[0].manager);
+
+  nodes.forEach((a, i) => {
+    if (a.x < 0 || a.y < 0 || a.x + WIDTH > width || a.y + HEIGHT > height) {
+      problems.push(`${name(a)} is outside the drawing`);
+    }
+    nodes.slice(i + 1).forEach((b) => {
+      if (a.x < b.x + WIDTH && b.x < a.x + WIDTH && a.y < b.y + HEIGHT && b.y < a.y + HEIGHT) {
+        problems.push(`${name(a)} overlaps ${name(b)}`);
+      }
+    });
+    const manager = positions.get(managerOf(a));
+    if (manager && manager.y >= a.y) {
+      problems.push(`${name(a)} is not below their manager`);
+    }
+  });
+
+  const onBox = (x, y) => nodes.some((n) =>
+    (x >= n.x && x <= n.x + WIDTH && (y === n.y || y === n.y + HEIGHT)) ||
+    (y >= n.y && y <= n.y + HEIGHT && (x === n.x || x === n.x + WIDTH))
+  );
+  const onLine = (x, y, self) => lines.some((l) => l !== self &&
+    Math.min(l.x1, l.x2) <= x && x <= Math.max(l.x1, l.x2) &&
+    Math.min(l.y1, l.y2) <= y && y <= Math.max(l.y1, l.y2)
+  );
+  lines.forEach((line) => {
+    [[line.x1, line.y1], [line.x2, line.y2]].forEach(([x, y]) => {
+      if (!onBox(x, y) && !onLine(x, y, line)) {
+        problems.push(`connector end (${x}, ${y}) touches nothing`);
+      }
+    });
+  });
+  return problems;
+}
+
+test('every employee is placed once, with no overlaps or loose connectors', () => {
+  const chart = makeChart(150);
+  for (const compactLeaves of [true, false]) {
+    const layout = new OrgReports(chart).layout(null, { compactLeaves });
+    assert.strictEqual(layout.nodes.length, 150);
+    assert.strictEqual(new Set(layout.nodes.map((node) => node.employee)).size, 150);
+    assert.deepStrictEqual(layoutProblems(layout), []);
+  }
+});
+
+test('leaf reports are stacked in a column under their manager', () => {
+  const chart = new OrgChart();
+  chart.setRoot(new Employee('Ann', 'CEO'));
+  ['Bob', 'Cat', 'Dan'].forEach((name) => chart.addEmployee(name, 'Engineer', chart.root.id, '', '', '', ''));
+
+  const stacked = new OrgReports(chart).layout();
+  const leaves = stacked.nodes.filter((node) => node.employee !== chart.root);
+  assert.strictEqual(new Set(leaves.map((node) => node.x)).size, 1);
+  assert.strictEqual(new Set(leaves.map((node) => node.y)).size, 3);
+  assert.deepStrictEqual(layoutProblems(stacked), []);
+
+  const spread = new OrgReports(chart).layout(null, { compactLeaves: false });
+  const row = spread.nodes.filter((node) => node.employee !== chart.root);
+  assert.strictEqual(new Set(row.map((node) => node.y)).size, 1);
+  assert.ok(spread.width > stacked.width);
+});
+
+test('a subtree layout holds only that subtree', () => {
+  const chart = makeChart(60);
+  const manager = Object.values(chart.employees).find((e) => e.manager && e.reports.length > 1);
+  const layout = new OrgReports(chart).layout(manager);
+  assert.strictEqual(layout.nodes.length, chart.getSubtree(manager.id).length + 1);
+  assert.strictEqual(layout.nodes[0].employee, manager);
+  assert.deepStrictEqual(layoutProblems(layout), []);
+});
+
+test('the SVG export escapes names and draws every box', () => {
+  const chart = new OrgChart();
+  chart.setRoot(new Employee('Al "Big" <Boss> & Co', 'CEO'));
+  chart.addEmployee('Bob', 'CTO', chart.root.id, '', '', '', '');
+  const svg = new OrgReports(chart).svg(null);
+  assert.match(svg, /^<svg /m);
+  assert.match(svg, /Al &quot;Big&quot; &lt;Boss&gt; &amp; Co/);
+  assert.ok(!svg.includes('<Boss>'));
+  assert.ok((svg.match(/<rect /g) || []).length >= 2);
+});
+
+test('rollup boxes stand in for everyone below the depth limit and summed-up ICs', () => {
+  const chart = makeChart(150);
+  for (const collapseICs of [true, false]) {
+    const layout = new OrgReports(chart).layout(null, { maxDepth: 2, collapseICs });
+    const people = layout.nodes.filter((node) => node.employee);
+    const rollups = layout.nodes.filter((node) => node.rollup);
+    assert.ok(rollups.length > 0);
+    assert.ok(people.every((node) => node.employee.level <= 2));
+    assert.strictEqual(people.length + rollups.reduce((sum, node) => sum + node.rollup.total, 0), 150);
+    assert.deepStrictEqual(layoutProblems(layout), []);
+  }
+});
+
+// Ann > (Bob > (Cat, Dan), Eve)
+function makeSmallChart() {
+  const chart = new OrgChart();
+  chart.setRoot(new Employee('Ann', 'CEO'));
+  const bob = chart.addEmployee('Bob', 'CTO', chart.root.id, '', '', '', '');
+  chart.addEmployee('Cat', 'Engineer', bob.id, '', '', '', '');
+  chart.addEmployee('Dan', 'Engineer', bob.id, '', '', '', '');
+  chart.addEmployee('Eve', 'CFO', chart.root.id, '', '', '', '');
+  return chart;
+}
+
+test('the box view sums up reports like the tree view', () => {
+  const chart = makeSmallChart();
+  const deep = chart.formatBoxes(null, { maxDepth: 1 }).join('\n');
+  assert.match(deep, /\+ 2 ICs/);
+  assert.doesNotMatch(deep, /Cat/);
+
+  const top = chart.formatBoxes(null, { maxDepth: 0 }).join('\n');
+  assert.match(top, /\+ 2 reports/);
+  assert.match(top, /4 people in all/);
+  assert.doesNotMatch(top, /Bob/);
+
+  const collapsed = chart.formatBoxes(null, { collapseICs: true }).join('\n');
+  assert.match(collapsed, /Eve/);
+  assert.match(collapsed, /\+ 2 ICs/);
+  assert.doesNotMatch(collapsed, /Cat/);
+});
+
+test('printing boxes checks the width with the options it draws with', (t) => {
+  const columns = process.stdout.columns;
+  process.stdout.columns = 80;
+  t.after(() => {
+    process.stdout.columns = columns;
+  });
+
+  const chart = new OrgChart();
+  chart.setRoot(new Employee('Ann', 'CEO'));
+  for (let i = 0; i < 6; i++) {
+    const manager = chart.addEmployee(`Manager ${i}`, 'Director', chart.root.id, '', '', '', '');
+    chart.addEmployee(`Engineer ${i}`, 'Engineer', manager.id, '', '', '', '');
+  }
+  const printed = [];
+  t.mock.method(console, 'log', (line = '') => printed.push(String(line)));
+
+  chart.print(null, { view: 'boxes' });
+  assert.ok(printed.some((line) => line.includes('too wide')));
+
+  printed.length = 0;
+  chart.print(null, { view: 'boxes', maxDepth: 0 });
+  assert.ok(!printed.some((line) => line.includes('too wide')));
+  assert.ok(printed.some((line) => line.includes('+ 6 managers')));
+});
+
+test('the box view labels people with the template, wrapped over both lines', () => {
+  const chart = makeSmallChart();
+  const lines = chart.formatBoxes(null, { boxWidth: 12, labelTemplate: '{name} the {title}' });
+  const row = lines.findIndex((line) => /│ *Ann the *│/.test(line));
+  assert.ok(row > 0);
+  assert.match(lines[row + 1], /│ *CEO *│/);
+  assert.ok(!lines.join('\n').includes('Ann the CEO'));
+});
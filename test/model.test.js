@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Employee, OrgChart, OrgReports } = require('../orgchart');
+
+// Ann > Bob > Cat, plus a separate tree headed by Yu
+function makeChart() {
+  const chart = new OrgChart();
+  chart.setRoot(new Employee('Ann', 'CEO'));
+  const bob = chart.addEmployee('Bob', 'CTO', chart.root.id, '', '', 'Eng', '');
+  chart.addEmployee('Cat', 'Engineer', bob.id, '', '', 'Eng', '');
+  chart.addEmployee('Yu', 'Advisor', null, '', '', 'Board', '');
+  return chart;
+}
+
+const byName = (chart, name) => chart.findByName(name)[0];
+
+test('moving an employee takes their team and updates levels', () => {
+  const chart = makeChart();
+  const bob = byName(chart, 'Bob');
+  const id = bob.id;
+  chart.moveEmployee(bob.id, byName(chart, 'Yu').id);
+  assert.strictEqual(chart.employees[id], bob);
+  assert.strictEqual(bob.manager.name, 'Yu');
+  assert.deepStrictEqual(chart.root.reports, []);
+  assert.deepStrictEqual([bob.level, byName(chart, 'Cat').level], [1, 2]);
+});
+
+test('a move that would make a cycle is refused', () => {
+  const chart = makeChart();
+  assert.throws(() => chart.moveEmployee(chart.root.id, byName(chart, 'Cat').id), /reports to them/);
+  assert.throws(() => chart.moveEmployee(chart.root.id, chart.root.id), /themselves/);
+});
+
+test('no re-parenting can make someone report to their own team', () => {
+  const chart = makeChart();
+  const cat = byName(chart, 'Cat');
+  assert.throws(() => chart._attach(cat, chart.root), /reports to them/);
+  assert.throws(() => chart._attach(cat, cat), /themselves/);
+  assert.strictEqual(chart.root.manager, null);
+  assert.deepStrictEqual(cat.reports, []);
+});
+
+test('reports cannot be reassigned to someone under the removed employee', () => {
+  // Ann > Abe > Bea > Cy
+  const chart = new OrgChart();
+  chart.setRoot(new Employee('Ann', 'CEO'));
+  const abe = chart.addEmployee('Abe', 'VP', chart.root.id, '', '', '', '');
+  const bea = chart.addEmployee('Bea', 'Director', abe.id, '', '', '', '');
+  const cy = chart.addEmployee('Cy', 'Manager', bea.id, '', '', '', '');
+  chart.clearHistory();
+
+  assert.throws(() => chart.removeEmployee(abe.id, cy.id), /reports to them/);
+  assert.throws(() => chart.removeEmployee(abe.id, bea.id), /reports to them/);
+  assert.throws(() => chart.removeEmployee(abe.id, abe.id), /reports to them/);
+  assert.strictEqual(chart.canUndo(), false);
+  assert.deepStrictEqual(chart.getSubtree(chart.root.id).map((e) => e.name), ['Abe', 'Bea', 'Cy']);
+  assert.deepStrictEqual(chart.getPath(cy.id).map((e) => e.name), ['Ann', 'Abe', 'Bea', 'Cy']);
+});
+
+test('several top-level trees are kept, the root first', () => {
+  const chart = makeChart();
+  assert.deepStrictEqual(chart.getRoots().map((e) => e.name), ['Ann', 'Yu']);
+  assert.match(chart.formatTree().join('\n'), /Yu \(Advisor\)/);
+  assert.strictEqual(chart.toJSON().roots.length, 2);
+});
+
+test('a top-level tree can be attached under a manager', () => {
+  const chart = makeChart();
+  chart.moveEmployee(byName(chart, 'Yu').id, byName(chart, 'Bob').id);
+  assert.deepStrictEqual(chart.getRoots().map((e) => e.name), ['Ann']);
+  assert.strictEqual(byName(chart, 'Yu').level, 2);
+});
+
+test('removing the root hands the role to the next top-level employee', () => {
+  const chart = makeChart();
+  chart.removeEmployee(chart.root.id, null);
+  assert.strictEqual(chart.root.name, 'Bob');
+  assert.deepStrictEqual(chart.getRoots().map((e) => e.name).sort(), ['Bob', 'Yu']);
+});
+
+test('vacancies are counted, searched and filled in place', () => {
+  const chart = makeChart();
+  const bob = byName(chart, 'Bob');
+  const vacancy = chart.addVacancy('Engineer', bob.id, 'Eng', 'interviewing');
+  assert.ok(vacancy.isVacancy);
+  assert.deepStrictEqual(chart.getVacancies(), [vacancy]);
+  assert.deepStrictEqual(chart.search('engineer', { type: 'vacancy' }), [vacancy]);
+  assert.deepStrictEqual(chart.search('engineer', { type: 'employee' }).map((e) => e.name), ['Cat']);
+  const stats = new OrgReports(chart).statistics();
+  assert.match(stats, /Total Employees: 4\n/);
+  assert.match(stats, /Open Vacancies: 1\n/);
+
+  chart.fillVacancy(vacancy.id, { name: 'Dee', email: 'dee@example.com' });
+  assert.strictEqual(chart.employees[vacancy.id].name, 'Dee');
+  assert.strictEqual(chart.employees[vacancy.id].manager, bob);
+  assert.strictEqual(bob.reports.indexOf(vacancy), 1);
+  assert.deepStrictEqual(chart.getVacancies(), []);
+  assert.deepStrictEqual(chart.findByEmail('dee@example.com'), [vacancy]);
+  assert.throws(() => chart.fillVacancy(vacancy.id, { name: 'Eve' }), /not a vacancy/);
+});
+
+test('dotted lines are recorded both ways and cleaned up on removal', () => {
+  const chart = makeChart();
+  const cat = byName(chart, 'Cat');
+  const yu = byName(chart, 'Yu');
+  chart.addDottedLine(cat.id, yu.id);
+  assert.deepStrictEqual(chart.getDottedLineManagers(cat.id), [yu]);
+  assert.deepStrictEqual(chart.getDottedLineReports(yu.id), [cat]);
+  assert.throws(() => chart.addDottedLine(cat.id, yu.id), /already has a dotted line/);
+  assert.throws(() => chart.addDottedLine(cat.id, byName(chart, 'Bob').id), /already Cat's manager/);
+
+  chart.removeEmployee(yu.id, null);
+  assert.deepStrictEqual(cat.dottedLineManagers, []);
+});
+
+test('a dotted line becomes the solid line when moving under that manager', () => {
+  const chart = makeChart();
+  const cat = byName(chart, 'Cat');
+  chart.addDottedLine(cat.id, byName(chart, 'Yu').id);
+  chart.moveEmployee(cat.id, byName(chart, 'Yu').id);
+  assert.deepStrictEqual(cat.dottedLineManagers, []);
+});
+
+test('dotted lines survive saving and loading', () => {
+  const chart = makeChart();
+  chart.addDottedLine(byName(chart, 'Cat').id, byName(chart, 'Yu').id);
+  const loaded = new OrgChart().loadJSON(JSON.parse(JSON.stringify(chart.toJSON())));
+  assert.deepStrictEqual(loaded.getDottedLineManagers(byName(loaded, 'Cat').id).map((e) => e.name), ['Yu']);
+});
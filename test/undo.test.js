@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Employee, OrgChart } = require('../orgchart');
+
+// Ann > (Bob > (Cat, Dan), Eve)
+function makeChart() {
+  const chart = new OrgChart();
+  const ann = new Employee('Ann', 'CEO', 0, 'Corp', 'HQ', 'Exec', 'ann@example.com');
+  chart.setRoot(ann);
+  const bob = chart.addEmployee('Bob', 'CTO', ann.id, 'Corp', 'Tech', 'Eng', 'bob@example.com');
+  chart.addEmployee('Cat', 'Engineer', bob.id, 'Corp', 'Tech', 'Eng', 'cat@example.com');
+  chart.addEmployee('Dan', 'Engineer', bob.id, 'Corp', 'Tech', 'Eng', '');
+  chart.addEmployee('Eve', 'CFO', ann.id, 'Corp', 'Finance', 'Fin', 'eve@example.com');
+  chart.clearHistory();
+  return chart;
+}
+
+// Everything about the chart that undo must put back, including the levels
+// and the name, email and dept indexes
+function snapshot(chart) {
+  const employees = Object.values(chart.employees)
+    .map((e) => ({
+      ...e.toJSON(),
+      reports: e.reports.map((r) => r.id),
+      manager: e.manager ? e.manager.id : null
+    }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+  return JSON.stringify({
+    root: chart.root && chart.root.id,
+    title: chart.title,
+    customFields: chart.customFields,
+    employees,
+    byName: ['Ann', 'Bob', 'Cat', 'Dan', 'Eve', 'Fay', 'Robert'].map((n) => chart.findByName(n).map((e) => e.id).sort()),
+    byEmail: ['bob@example.com', 'robert@example.com'].map((m) => chart.findByEmail(m).length),
+    byDept: ['Eng', 'Fin', 'Platform'].map((d) => chart.findByDept(d).length)
+  });
+}
+
+// Apply a change, then check that undo restores the chart and redo reapplies it
+function assertUndoable(chart, change) {
+  const before = snapshot(chart);
+  change(chart);
+  const after = snapshot(chart);
+  assert.notStrictEqual(after, before);
+
+  assert.ok(chart.undo());
+  assert.strictEqual(snapshot(chart), before);
+  assert.ok(chart.redo());
+  assert.strictEqual(snapshot(chart), after);
+  assert.ok(chart.undo());
+  assert.strictEqual(snapshot(chart), before);
+}
+
+const byName = (chart, name) => chart.findByName(name)[0];
+
+test('undo and redo an added employee', () => {
+  const chart = makeChart();
+  assertUndoable(chart, (c) => c.addEmployee('Fay', 'Engineer', byName(c, 'Bob').id, '', '', 'Eng', ''));
+});
+
+test('undo and redo an edit, including indexed fields', () => {
+  const chart = makeChart();
+  assertUndoable(chart, (c) => c.editEmployee(byName(c, 'Bob').id, {
+    name: 'Robert', email: 'robert@example.com', dept: 'Platform'
+  }));
+});
+
+test('undo and redo a removal with reports reassigned', () => {
+  const chart = makeChart();
+  assertUndoable(chart, (c) => c.removeEmployee(byName(c, 'Bob').id, byName(c, 'Eve').id));
+});
+
+test('undo and redo removing the root', () => {
+  const chart = makeChart();
+  assertUndoable(chart, (c) => c.removeEmployee(c.root.id, null));
+});
+
+test('undo and redo a move, restoring levels in the moved team', () => {
+  const chart = makeChart();
+  assertUndoable(chart, (c) => c.moveEmployee(byName(c, 'Bob').id, byName(c, 'Eve').id));
+  assert.strictEqual(byName(chart, 'Cat').level, 2);
+});
+
+test('undo and redo dotted lines, vacancies and custom fields', () => {
+  const chart = makeChart();
+  assertUndoable(chart, (c) => c.addDottedLine(byName(c, 'Cat').id, byName(c, 'Eve').id));
+  assertUndoable(chart, (c) => c.addVacancy('Analyst', byName(c, 'Eve').id, 'Fin'));
+  assertUndoable(chart, (c) => c.addCustomField({ label: 'Location', type: 'text' }));
+
+  chart.addCustomField({ label: 'Location', type: 'text' });
+  chart.editEmployee(byName(chart, 'Cat').id, { fields: { location: 'Oslo' } });
+  assertUndoable(chart, (c) => c.removeCustomField('location'));
+});
+
+test('undo and redo a CSV import, merged or replacing the chart', () => {
+  const chart = makeChart();
+  const csv = 'name,title,manager,dept\nZed,CEO,,Exec\nFay,Engineer,Zed,Eng\n';
+  assertUndoable(chart, (c) => c.importFromCSVString(csv, false));
+  assertUndoable(chart, (c) => c.importFromCSVString('name,title,manager,dept\nFay,Engineer,Eve,Fin\nBob,VP,Ann,Eng\n', true));
+});
+
+test('a failed change leaves the chart and history as they were', () => {
+  const chart = makeChart();
+  const before = snapshot(chart);
+  assert.throws(() => chart.importFromCSVString('name,title\n,\n', false));
+  assert.strictEqual(snapshot(chart), before);
+  assert.strictEqual(chart.canUndo(), false);
+});
+
+test('a sequence of changes undoes in reverse order with descriptions', () => {
+  const chart = makeChart();
+  const start = snapshot(chart);
+  chart.moveEmployee(byName(chart, 'Cat').id, byName(chart, 'Eve').id);
+  chart.removeEmployee(byName(chart, 'Bob').id, byName(chart, 'Eve').id);
+  chart.editEmployee(byName(chart, 'Eve').id, { title: 'COO' });
+
+  assert.strictEqual(chart.undo(), 'Edited Eve');
+  assert.strictEqual(chart.undo(), 'Removed Bob; 1 reports reassigned to Eve');
+  assert.strictEqual(chart.undo(), 'Moved Cat from Bob to Eve');
+  assert.strictEqual(chart.undo(), null);
+  assert.strictEqual(snapshot(chart), start);
+});
+
+test('the revision returns to its earlier value on undo', () => {
+  const chart = makeChart();
+  const saved = chart.revision;
+  chart.editEmployee(byName(chart, 'Ann').id, { title: 'Chair' });
+  assert.notStrictEqual(chart.revision, saved);
+  chart.undo();
+  assert.strictEqual(chart.revision, saved);
+});
+
+test('an undo entry holds only the employees the change touched', () => {
+  const chart = makeChart();
+  const ann = byName(chart, 'Ann');
+  for (let i = 0; i < 200; i++) {
+    chart.addEmployee(`Person ${i}`, 'Engineer', ann.id, '', '', 'Eng', '');
+  }
+  chart.editEmployee(byName(chart, 'Cat').id, { title: 'Staff Engineer' });
+  const entry = chart._undoStack[chart._undoStack.length - 1];
+  assert.strictEqual(entry.changes.employees.size, 1);
+});
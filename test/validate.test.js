@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OrgChart, ChartValidationError } = require('../orgchart');
+
+// A version 1 file with a problem at several depths
+const BROKEN = {
+  id: 'ann', name: 'Ann', title: 'CEO',
+  reports: [
+    { id: 'bob', title: 'CTO', reports: 'nobody' },
+    { id: 'cat', name: 'Cat', title: 'Engineer', reports: [
+      { id: 'dan', name: 'Dan', reports: [] }
+    ] },
+    { id: 'cat', name: 'Cy', title: 'Designer', reports: [] }
+  ]
+};
+
+const copy = (data) => JSON.parse(JSON.stringify(data));
+
+test('every problem is reported with its JSON path', () => {
+  const { problems } = OrgChart.validateJSON(copy(BROKEN));
+  const found = problems.map((problem) => `${problem.path}: ${problem.message}`);
+  assert.ok(found.includes('reports[0]: missing name'));
+  assert.ok(found.includes('reports[0]: reports is not a list'));
+  assert.ok(found.includes('reports[1].reports[0]: missing title'));
+  assert.ok(found.some((line) => line.startsWith('reports[2]: duplicate id "cat"')));
+});
+
+test('a valid chart has no problems', () => {
+  const { problems } = OrgChart.validateJSON({ id: 'ann', name: 'Ann', title: 'CEO', reports: [] });
+  assert.deepStrictEqual(problems, []);
+});
+
+test('loading refuses invalid data unless asked to repair it', () => {
+  const chart = new OrgChart();
+  assert.throws(() => chart.loadJSON(copy(BROKEN)), (err) => {
+    assert.ok(err instanceof ChartValidationError);
+    assert.ok(err.problems.length >= 4);
+    return true;
+  });
+  assert.strictEqual(chart.root, null);
+
+  chart.loadJSON(copy(BROKEN), { repair: true });
+  assert.strictEqual(chart.employees.bob.name, 'Unknown');
+  assert.deepStrictEqual(chart.employees.bob.reports, []);
+  assert.strictEqual(chart.employees.dan.title, 'Unknown');
+  assert.strictEqual(Object.keys(chart.employees).length, 5);
+  assert.strictEqual(chart.findByName('Cy')[0].manager, chart.root);
+});
+
+test('the same person appearing twice is reported and removed on repair', () => {
+  const dan = { id: 'dan', name: 'Dan', title: 'Engineer', reports: [] };
+  const data = { id: 'ann', name: 'Ann', title: 'CEO', reports: [{ ...dan }, { ...dan }] };
+  const { problems, repaired } = OrgChart.validateJSON(data);
+  assert.ok(problems.some((problem) => problem.path === 'reports[1]'));
+  assert.strictEqual(repaired.roots[0].reports.length, 1);
+});
+
+test('data that cannot be repaired has no repaired copy', () => {
+  const { problems, repaired } = OrgChart.validateJSON({ format: 'terminal-org-chart', version: 99 });
+  assert.strictEqual(problems.length, 1);
+  assert.strictEqual(repaired, null);
+});
+
+test('a file whose top level is not an object cannot be loaded', () => {
+  for (const data of [null, [1, 2], 'Ann', 42]) {
+    const { problems, repaired } = OrgChart.validateJSON(data);
+    assert.deepStrictEqual(problems.map((problem) => problem.path), ['(file)']);
+    assert.strictEqual(repaired, null);
+    assert.throws(() => new OrgChart().loadJSON(data, { repair: true }), ChartValidationError);
+  }
+});